@@ -0,0 +1,501 @@
+#!/usr/bin/env node
+/**
+ * Debate command line
+ * Validates, summarises, converts, merges and renders debate files with the graph logic
+ * of the visualizer, without a browser
+ *
+ * Usage: node cli/debate.mjs <command> [options] <files>
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import { ArgumentEvaluator } from '../js/ArgumentEvaluator.js';
+import { BatchMerger } from '../js/BatchMerger.js';
+import { Config } from '../js/config.js';
+import { Exporter } from '../js/Exporter.js';
+import { GraphValidator } from '../js/GraphValidator.js';
+import { Importer } from '../js/Importer.js';
+import { SpeakerAnalytics } from '../js/SpeakerAnalytics.js';
+import { StaticSunburst } from '../js/StaticSunburst.js';
+import { SunburstLayout } from '../js/SunburstLayout.js';
+import { TreeBuilder } from '../js/TreeBuilder.js';
+
+// Exit codes; usage and input errors follow sysexits.h
+const EXIT = {
+    ok: 0,
+    schema: 1,
+    graph: 2,
+    usage: 64,
+    input: 66
+};
+
+// Writers by format name turn a node list into file text. Files are read by the
+// Importer, which guesses their format from the name and content
+const WRITERS = {
+    json: {
+        extensions: ['.json'],
+        write: nodes => Exporter.toJson(nodes)
+    },
+    outline: {
+        extensions: ['.md'],
+        write: nodes => Exporter.toOutline(TreeBuilder.buildTree(nodes))
+    },
+    argdown: {
+        extensions: ['.argdown', '.ad'],
+        write: nodes => Exporter.toArgdown(nodes)
+    },
+    aif: {
+        extensions: ['.aif.json'],
+        write: nodes => Exporter.toAif(nodes)
+    },
+    graphml: {
+        extensions: ['.graphml'],
+        write: nodes => Exporter.toGraphml(nodes)
+    },
+    dot: {
+        extensions: ['.dot', '.gv'],
+        write: nodes => Exporter.toDot(nodes)
+    }
+};
+
+const COMMANDS = {
+    validate: {
+        usage: 'validate [--json] <file>...',
+        description: 'Check files against the schema and DAG rules; exits 1 on schema errors, 2 on graph errors',
+        options: { json: { type: 'boolean' } },
+        run: validate
+    },
+    stats: {
+        usage: 'stats [--json] [--semantics <name>] <file>',
+        description: 'Count nodes, relations, speakers and shared nodes, and evaluate the thesis',
+        options: { json: { type: 'boolean' }, semantics: { type: 'string' } },
+        run: stats
+    },
+    convert: {
+        usage: 'convert [--from <format>] [--to <format>] [-o <file>] <file>',
+        description: `Convert between formats (read: ${Importer.formats().join(', ')}; write: ${Object.keys(WRITERS).join(', ')}), guessed from the files by default`,
+        options: { from: { type: 'string' }, to: { type: 'string' }, output: { type: 'string', short: 'o' } },
+        run: convert
+    },
+    merge: {
+        usage: 'merge [--collisions renumber|reject] [-o <file>] <base> <batch>...',
+        description: 'Merge incremental new_nodes batches into a debate, in order',
+        options: { collisions: { type: 'string', default: 'renumber' }, output: { type: 'string', short: 'o' } },
+        run: merge
+    },
+    render: {
+        usage: 'render [-o <file>] [--size <px>] [--zoom <path>] [--color <mode>] [--fill relation|type] [--sizing <mode>] [--semantics <name>] [--title <text>] <file>',
+        description: 'Draw the sunburst as a standalone SVG',
+        options: {
+            output: { type: 'string', short: 'o' },
+            size: { type: 'string' },
+            zoom: { type: 'string' },
+            color: { type: 'string', default: 'intensity' },
+            fill: { type: 'string', default: Config.encoding.defaultFill },
+            sizing: { type: 'string', default: Config.sizing.defaultMode },
+            semantics: { type: 'string' },
+            title: { type: 'string' }
+        },
+        run: render
+    }
+};
+
+/**
+ * Error that ends the command with an exit code
+ * @param {string} message - Message for stderr
+ * @param {number} exitCode - Key value of EXIT
+ * @returns {Error} Error to throw
+ */
+function failure(message, exitCode) {
+    return Object.assign(new Error(message), { exitCode });
+}
+
+/**
+ * Read a file, '-' for stdin
+ * @param {string} file - Path
+ * @returns {string} File text
+ */
+function readText(file) {
+    try {
+        return readFileSync(file === '-' ? 0 : file, 'utf8');
+    } catch (error) {
+        throw failure(`cannot read ${file}: ${error.message}`, EXIT.input);
+    }
+}
+
+/**
+ * Write text to a file, or to stdout without one
+ * @param {string|undefined} file - Path
+ * @param {string} text - Content
+ */
+function writeText(file, text) {
+    if (file && file !== '-') {
+        writeFileSync(file, text.endsWith('\n') ? text : `${text}\n`);
+    } else {
+        process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+    }
+}
+
+/**
+ * Writer for a file from an explicit format or its extension
+ * The longest matching extension wins, so that ".aif.json" is not read as ".json"
+ * @param {string|undefined} name - Format given on the command line
+ * @param {string|undefined} file - Path
+ * @returns {Object} Entry of WRITERS
+ */
+function writerFor(name, file) {
+    const path = (file || '').toLowerCase();
+    const [match] = Object.entries(WRITERS)
+        .flatMap(([key, writer]) => writer.extensions.map(ext => ({ key, ext })))
+        .filter(({ ext }) => path.endsWith(ext))
+        .sort((a, b) => b.ext.length - a.ext.length);
+    const key = name || match?.key || 'json';
+    if (!WRITERS[key]) {
+        throw failure(`cannot write format "${key}" (supported: ${Object.keys(WRITERS).join(', ')})`, EXIT.usage);
+    }
+    return WRITERS[key];
+}
+
+/**
+ * Read, convert and validate a debate file
+ * What the importer could not map is reported as warnings with the validation issues
+ * @param {string} file - Path
+ * @param {string} [format] - Format given on the command line, guessed otherwise
+ * @returns {Object} Debate data and its validation report
+ */
+function loadDebate(file, format) {
+    if (format && !Importer.formats().includes(format)) {
+        throw failure(`cannot read format "${format}" (supported: ${Importer.formats().join(', ')})`, EXIT.usage);
+    }
+    let imported;
+    try {
+        imported = Importer.read(readText(file), { filename: file, format });
+    } catch (error) {
+        if (error.exitCode !== undefined) throw error;
+        throw failure(`${file}: ${error.message}`, EXIT.schema);
+    }
+    const validation = GraphValidator.validate(imported.data);
+    return {
+        data: imported.data,
+        report: GraphValidator.summarize([...Importer.toIssues(imported.unmapped), ...validation.issues])
+    };
+}
+
+/**
+ * Exit code for a validation report: schema errors before graph errors
+ * @param {Object} report - Report from GraphValidator.validate
+ * @returns {number} Exit code
+ */
+function exitCodeFor(report) {
+    const errors = report.issues.filter(i => i.severity === 'error');
+    if (errors.some(i => !GraphValidator.isGraphIssue(i))) return EXIT.schema;
+    if (errors.length > 0) return EXIT.graph;
+    return EXIT.ok;
+}
+
+/**
+ * Read a debate that must be drawable, printing its errors
+ * Scores that are not numbers would turn colours, sizes and the verdict into NaN, so
+ * they are refused even though the browser still draws such a file
+ * @param {string} file - Path
+ * @param {string} [format] - Format given on the command line
+ * @returns {Array<Object>} new_nodes
+ */
+function loadRenderable(file, format) {
+    const { data, report } = loadDebate(file, format);
+    if (!GraphValidator.isRenderable(report)) {
+        printIssues(file, report);
+        throw failure(`${file}: cannot be drawn`, exitCodeFor(report));
+    }
+    printIssues(file, { issues: report.issues.filter(i => i.severity === 'error' || i.code === 'unmapped') });
+
+    const unscored = data.new_nodes
+        .filter(node => ['intensity', 'confidence'].some(key => node.score?.[key] !== undefined && typeof node.score[key] !== 'number'))
+        .map(node => node.id);
+    if (unscored.length > 0) {
+        throw failure(`${file}: scores of ${unscored.join(', ')} are not numbers`, EXIT.schema);
+    }
+    return withRelationLists(data.new_nodes);
+}
+
+/**
+ * Semantics given on the command line, or the default one
+ * @param {Object} values - Parsed options
+ * @returns {string} Semantics for ArgumentEvaluator.evaluate
+ */
+function semanticsOf(values) {
+    const semantics = values.semantics ?? Config.evaluation.defaultSemantics;
+    if (!ArgumentEvaluator.semanticsModes().includes(semantics)) {
+        throw failure(`unknown semantics "${semantics}" (${ArgumentEvaluator.semanticsModes().join(', ')})`, EXIT.usage);
+    }
+    return semantics;
+}
+
+/**
+ * Nodes with a relation list of relation objects only
+ * The validator reports malformed relations without refusing the file, so they are
+ * dropped here rather than met by every command
+ * @param {Array<Object>} nodes - new_nodes that passed GraphValidator.isRenderable
+ * @returns {Array<Object>} new_nodes
+ */
+function withRelationLists(nodes) {
+    return nodes.map(node => ({
+        ...node,
+        relations: (Array.isArray(node.relations) ? node.relations : [])
+            .filter(relation => relation !== null && typeof relation === 'object')
+    }));
+}
+
+/**
+ * List the issues of a report on stderr
+ * @param {string} file - Path shown before each issue
+ * @param {Object} report - Report from GraphValidator.validate
+ */
+function printIssues(file, report) {
+    report.issues.forEach(issue => {
+        const node = issue.nodeId ? ` [${issue.nodeId}]` : '';
+        console.error(`${file}: ${issue.severity} ${issue.code}${node}: ${issue.message}`);
+    });
+}
+
+/**
+ * Validate files and report their issues
+ * @param {Object} values - Parsed options
+ * @param {Array<string>} files - Paths
+ * @returns {number} Exit code of the worst file
+ */
+function validate(values, files) {
+    if (files.length === 0) throw failure('validate needs at least one file', EXIT.usage);
+
+    const results = files.map(file => {
+        try {
+            const { report } = loadDebate(file);
+            return { file, report, exitCode: exitCodeFor(report) };
+        } catch (error) {
+            // Unreadable or unparsable files are reported with the others
+            const report = GraphValidator.summarize([{ severity: 'error', code: 'unreadable', message: error.message, nodeId: null }]);
+            return { file, report, exitCode: error.exitCode };
+        }
+    });
+
+    if (values.json) {
+        writeText(null, JSON.stringify(results.map(({ file, report, exitCode }) => ({ file, exitCode, ...report })), null, 2));
+    } else {
+        results.forEach(({ file, report }) => {
+            printIssues(file, report);
+            console.error(`${file}: ${report.errorCount} errors, ${report.warningCount} warnings`);
+        });
+    }
+
+    // The most basic problem of any file decides
+    const codes = results.map(r => r.exitCode).filter(code => code !== EXIT.ok);
+    return codes.length > 0 ? Math.min(...codes) : EXIT.ok;
+}
+
+/**
+ * Print counts and the thesis verdict of a debate
+ * @param {Object} values - Parsed options
+ * @param {Array<string>} files - Path of the debate
+ * @returns {number} Exit code
+ */
+function stats(values, files) {
+    if (files.length !== 1) throw failure('stats needs one file', EXIT.usage);
+    const semantics = semanticsOf(values);
+    const nodes = loadRenderable(files[0]);
+    const tree = TreeBuilder.buildTree(nodes);
+
+    const count = (list, key) => list.reduce((counts, value) => {
+        counts[value[key]] = (counts[value[key]] || 0) + 1;
+        return counts;
+    }, {});
+    const relations = nodes.flatMap(n => n.relations);
+    const occurrences = SunburstLayout.descendants(SunburstLayout.hierarchy(tree));
+    const evaluation = ArgumentEvaluator.evaluate(nodes, semantics);
+
+    const result = {
+        title: tree.title,
+        nodes: nodes.length,
+        types: count(nodes, 'type'),
+        relations: relations.length,
+        relationTypes: count(relations, 'relation_type'),
+        sharedNodes: nodes.filter(n => new Set(n.relations.map(r => r.target_node_id)).size > 1).length,
+        occurrences: occurrences.length,
+        leaves: occurrences.filter(d => !d.children).length,
+        depth: Math.max(...occurrences.map(d => d.depth)),
+        speakers: SpeakerAnalytics.analyze(nodes).map(({ speaker, claims, support, attack }) => ({ speaker, claims, support, attack })),
+        verdict: evaluation.verdict && {
+            semantics: evaluation.semantics,
+            acceptability: evaluation.verdict.acceptability,
+            status: evaluation.verdict.status,
+            label: evaluation.verdict.label
+        }
+    };
+
+    if (values.json) {
+        writeText(null, JSON.stringify(result, null, 2));
+        return EXIT.ok;
+    }
+
+    const list = (counts) => Object.entries(counts).map(([key, n]) => `${key} ${n}`).join(', ');
+    const lines = [
+        `title:        ${result.title}`,
+        `nodes:        ${result.nodes} (${list(result.types)})`,
+        `relations:    ${result.relations} (${list(result.relationTypes)})`,
+        `shared nodes: ${result.sharedNodes}`,
+        `tree:         ${result.occurrences} occurrences, ${result.leaves} leaves, depth ${result.depth}`,
+        `speakers:     ${result.speakers.length}`,
+        ...result.speakers.map(s => `  ${s.speaker}: ${s.claims} claims, ${s.support} support, ${s.attack} attack`)
+    ];
+    if (result.verdict) {
+        lines.push(`verdict:      ${result.verdict.label} (${result.verdict.acceptability.toFixed(2)}, ${result.verdict.semantics})`);
+    }
+    writeText(null, lines.join('\n'));
+    return EXIT.ok;
+}
+
+/**
+ * Write a debate in another format
+ * @param {Object} values - Parsed options
+ * @param {Array<string>} files - Path of the debate
+ * @returns {number} Exit code
+ */
+function convert(values, files) {
+    if (files.length !== 1) throw failure('convert needs one input file', EXIT.usage);
+    const writer = writerFor(values.to, values.output);
+    const nodes = loadRenderable(files[0], values.from);
+    writeText(values.output, writer.write(nodes));
+    return EXIT.ok;
+}
+
+/**
+ * Merge batches into a debate and write the result
+ * @param {Object} values - Parsed options
+ * @param {Array<string>} files - Paths of the debate and the batches
+ * @returns {number} Exit code of validating the merged debate
+ */
+function merge(values, files) {
+    if (files.length < 2) throw failure('merge needs a base file and at least one batch', EXIT.usage);
+    if (!['renumber', 'reject'].includes(values.collisions)) {
+        throw failure(`unknown collision mode "${values.collisions}" (renumber or reject)`, EXIT.usage);
+    }
+
+    const [baseFile, ...batchFiles] = files;
+    let nodes = loadRenderable(baseFile);
+    batchFiles.forEach(file => {
+        const { data, report } = loadDebate(file);
+        if (!Array.isArray(data?.new_nodes)) {
+            throw failure(`${file}: batch has no "new_nodes" array`, EXIT.schema);
+        }
+        // A batch needs no thesis of its own, but every entry must be a node with an id
+        const malformed = report.issues.filter(i => ['invalid-node', 'missing-id'].includes(i.code));
+        if (malformed.length > 0) {
+            printIssues(file, { issues: malformed });
+            throw failure(`${file}: batch has entries that are not nodes`, EXIT.schema);
+        }
+        const result = BatchMerger.merge(nodes, withRelationLists(data.new_nodes), values.collisions);
+        nodes = result.nodes;
+
+        const renumbered = [...result.renumbered].map(([from, to]) => `${from}→${to}`);
+        const dropped = result.dropped.map(({ nodeId, relation }) => `${nodeId}→${relation.target_node_id}`);
+        console.error(`${file}: ${result.added.length} added, ${result.changed.length} changed, ${result.rejected.length} rejected`
+            + (renumbered.length > 0 ? `, renumbered ${renumbered.join(' ')}` : '')
+            + (dropped.length > 0 ? `, dropped relations ${dropped.join(' ')}` : ''));
+    });
+
+    // The merged debate must still hold together
+    const report = GraphValidator.validate({ new_nodes: nodes });
+    printIssues('merged', { issues: report.issues.filter(i => i.severity === 'error') });
+    writeText(values.output, Exporter.toJson(nodes));
+    return exitCodeFor(report);
+}
+
+/**
+ * Draw a debate as SVG
+ * @param {Object} values - Parsed options
+ * @param {Array<string>} files - Path of the debate
+ * @returns {number} Exit code
+ */
+function render(values, files) {
+    if (files.length !== 1) throw failure('render needs one file', EXIT.usage);
+    const size = values.size === undefined ? Config.chart.viewBoxWidth : Number(values.size);
+    if (!(size > 2 * Config.chart.minRadius)) throw failure(`invalid size "${values.size}"`, EXIT.usage);
+    if (!['intensity', 'acceptability', 'speaker'].includes(values.color)) {
+        throw failure(`unknown colour mode "${values.color}" (intensity, acceptability or speaker)`, EXIT.usage);
+    }
+    if (!['relation', 'type'].includes(values.fill)) {
+        throw failure(`unknown fill "${values.fill}" (relation or type)`, EXIT.usage);
+    }
+    if (!SunburstLayout.sizingModes().includes(values.sizing)) {
+        throw failure(`unknown sizing "${values.sizing}" (${SunburstLayout.sizingModes().join(', ')})`, EXIT.usage);
+    }
+    const semantics = semanticsOf(values);
+
+    const nodes = loadRenderable(files[0]);
+    const tree = TreeBuilder.buildTree(nodes);
+    let root = tree;
+    if (values.zoom) {
+        const chain = TreeBuilder.resolvePath(tree, values.zoom);
+        if (!chain) throw failure(`no occurrence at path "${values.zoom}"`, EXIT.usage);
+        root = chain[chain.length - 1];
+    }
+
+    if (values.color === 'acceptability') {
+        ArgumentEvaluator.annotate(tree, ArgumentEvaluator.evaluate(nodes, semantics));
+    }
+    const speakerColors = values.color === 'speaker'
+        ? SpeakerAnalytics.speakerColors(SpeakerAnalytics.analyze(nodes))
+        : new Map();
+
+    const { svg } = StaticSunburst.render(root, {
+        size,
+        title: values.title,
+        colorMode: values.color,
+        speakerColors,
+        fillBy: values.fill,
+        sizing: values.sizing
+    });
+    writeText(values.output, svg);
+    return EXIT.ok;
+}
+
+/**
+ * Print the list of commands
+ */
+function usage() {
+    console.error('Usage: node cli/debate.mjs <command> [options] <files>\n');
+    Object.values(COMMANDS).forEach(command => {
+        console.error(`  ${command.usage}\n      ${command.description}`);
+    });
+    console.error('\nUse - to read a file from stdin. Output goes to stdout without -o.');
+}
+
+/**
+ * Run a command
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(argv) {
+    const [name, ...rest] = argv;
+    const command = COMMANDS[name];
+    if (!command) {
+        usage();
+        return name === undefined || name === '--help' || name === '-h' ? EXIT.ok : EXIT.usage;
+    }
+
+    try {
+        const { values, positionals } = parseArgs({ args: rest, options: command.options, allowPositionals: true });
+        return command.run(values, positionals);
+    } catch (error) {
+        // parseArgs rejects unknown options with a code of its own; anything else was
+        // thrown by the graph logic on data it could not handle
+        const exitCode = error.exitCode ?? (error.code?.startsWith('ERR_PARSE_ARGS') ? EXIT.usage : EXIT.schema);
+        console.error(`debate ${name}: ${error.message}`);
+        if (exitCode === EXIT.usage) {
+            console.error(`usage: node cli/debate.mjs ${command.usage}`);
+        }
+        return exitCode;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,60 @@
+/**
+ * Accessible Tree
+ * Visually hidden nested list mirroring the debate, for screen readers and keyboard users
+ */
+
+export class AccessibleTree {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+
+        // Returns the accessible label of a tree node
+        this.describe = null;
+        this.onSelect = null;
+
+        // One listener for all items, large debates have thousands of them
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-path]');
+            if (button && this.onSelect) {
+                this.onSelect(button.dataset.path);
+            }
+        });
+    }
+
+    /**
+     * Rebuild the list from a tree
+     * @param {Object} tree - Root node returned by TreeBuilder.buildTree
+     */
+    render(tree) {
+        this.container.innerHTML = '';
+        const list = document.createElement('ul');
+        list.appendChild(this.buildItem(tree));
+        this.container.appendChild(list);
+    }
+
+    clear() {
+        this.container.innerHTML = '';
+    }
+
+    /**
+     * Build the list item of a node with its children
+     * @param {Object} node - Tree node
+     * @returns {HTMLLIElement} List item
+     */
+    buildItem(node) {
+        const item = document.createElement('li');
+
+        // Text is set with textContent, titles come from uploaded files
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = this.describe ? this.describe(node) : node.title;
+        button.dataset.path = node.path;
+        item.appendChild(button);
+
+        if (node.children.length > 0) {
+            const children = document.createElement('ul');
+            node.children.forEach(child => children.appendChild(this.buildItem(child)));
+            item.appendChild(children);
+        }
+        return item;
+    }
+}
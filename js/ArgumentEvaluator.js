@@ -0,0 +1,206 @@
+/**
+ * Argument Evaluator
+ * Propagates argument strength bottom-up through support and attack relations
+ */
+
+import { Config } from './config.js';
+import { TreeBuilder } from './TreeBuilder.js';
+
+const SEMANTICS = ['weighted-sum', 'df-quad', 'grounded'];
+
+export class ArgumentEvaluator {
+    /**
+     * Evaluate every node of a debate
+     * @param {Array} nodes - Flat node list
+     * @param {string} semantics - 'weighted-sum', 'df-quad' or 'grounded'
+     * @returns {Object} Map of id to { acceptability, status } and the thesis verdict
+     */
+    static evaluate(nodes, semantics = Config.evaluation.defaultSemantics) {
+        if (!SEMANTICS.includes(semantics)) {
+            throw new Error(`Unknown semantics "${semantics}"`);
+        }
+        const graph = TreeBuilder.buildGraph(nodes);
+        const scores = semantics === 'grounded'
+            ? this.grounded(graph)
+            : this.gradual(graph, semantics);
+
+        const thesisScore = graph.thesis ? scores.get(graph.thesis.id) : null;
+
+        return {
+            semantics,
+            scores,
+            verdict: thesisScore ? this.verdictFor(thesisScore) : null
+        };
+    }
+
+    /**
+     * Intrinsic strength of a node before its children are considered
+     * The thesis starts neutral so its verdict depends on the arguments only
+     * @param {Object} node - Flat node
+     * @returns {number} Base score between 0 and 1
+     */
+    static baseScore(node) {
+        if (node.type === 'thesis') return Config.evaluation.thesisBase;
+        const intensity = node.score?.intensity ?? 0.5;
+        const confidence = node.score?.confidence ?? 0.5;
+        return intensity * confidence;
+    }
+
+    /**
+     * Gradual semantics computed from the leaves up
+     * @param {Object} graph - Graph returned by TreeBuilder.buildGraph
+     * @param {string} semantics - 'weighted-sum' or 'df-quad'
+     * @returns {Map<string, Object>} Scores by node id
+     */
+    static gradual(graph, semantics) {
+        const scores = new Map();
+        const active = new Set();
+
+        const score = (id) => {
+            if (scores.has(id)) return scores.get(id).acceptability;
+
+            const base = this.baseScore(graph.nodeMap.get(id));
+            // A cycle cannot be evaluated bottom-up, so fall back to the base score
+            if (active.has(id)) return base;
+            active.add(id);
+
+            const supporters = [];
+            const attackers = [];
+            graph.childIndex.get(id).forEach(child => {
+                const value = score(child.id);
+                (child.relation.relation_type === 'attack' ? attackers : supporters).push(value);
+            });
+
+            const acceptability = semantics === 'df-quad'
+                ? this.dfQuad(base, supporters, attackers)
+                : this.weightedSum(base, supporters, attackers);
+
+            active.delete(id);
+            scores.set(id, { acceptability, status: this.statusFor(acceptability) });
+            return acceptability;
+        };
+
+        graph.nodeMap.forEach((node, id) => score(id));
+        return scores;
+    }
+
+    /**
+     * Weighted sum: base plus the mean balance of supporters over attackers
+     * @param {number} base - Base score
+     * @param {Array<number>} supporters - Scores of supporting children
+     * @param {Array<number>} attackers - Scores of attacking children
+     * @returns {number} Acceptability between 0 and 1
+     */
+    static weightedSum(base, supporters, attackers) {
+        const count = supporters.length + attackers.length;
+        if (count === 0) return base;
+
+        const sum = (values) => values.reduce((a, b) => a + b, 0);
+        const balance = (sum(supporters) - sum(attackers)) / count;
+        return Math.min(1, Math.max(0, base + Config.evaluation.weightedSumFactor * balance));
+    }
+
+    /**
+     * DF-QuAD: probabilistic-sum aggregation of each side, then the stronger side moves the base
+     * @param {number} base - Base score
+     * @param {Array<number>} supporters - Scores of supporting children
+     * @param {Array<number>} attackers - Scores of attacking children
+     * @returns {number} Acceptability between 0 and 1
+     */
+    static dfQuad(base, supporters, attackers) {
+        const aggregate = (values) => 1 - values.reduce((product, v) => product * (1 - v), 1);
+        const support = aggregate(supporters);
+        const attack = aggregate(attackers);
+
+        if (attack >= support) {
+            return base - base * (attack - support);
+        }
+        return base + (1 - base) * (support - attack);
+    }
+
+    /**
+     * Grounded extension of the attack graph; supports do not take part
+     * Accepted nodes score 1, rejected 0 and undecided 0.5
+     * @param {Object} graph - Graph returned by TreeBuilder.buildGraph
+     * @returns {Map<string, Object>} Scores by node id
+     */
+    static grounded(graph) {
+        const attackersOf = (id) => graph.childIndex.get(id)
+            .filter(child => child.relation.relation_type === 'attack')
+            .map(child => child.id);
+
+        const status = new Map();
+        let changed = true;
+        while (changed) {
+            changed = false;
+            graph.nodeMap.forEach((node, id) => {
+                if (status.has(id)) return;
+                const attackers = attackersOf(id);
+                if (attackers.every(a => status.get(a) === 'out')) {
+                    status.set(id, 'in');
+                    changed = true;
+                } else if (attackers.some(a => status.get(a) === 'in')) {
+                    status.set(id, 'out');
+                    changed = true;
+                }
+            });
+        }
+
+        const values = { in: 1, out: 0, undecided: 0.5 };
+        const scores = new Map();
+        graph.nodeMap.forEach((node, id) => {
+            const nodeStatus = status.get(id) || 'undecided';
+            scores.set(id, { acceptability: values[nodeStatus], status: nodeStatus });
+        });
+        return scores;
+    }
+
+    /**
+     * Map a gradual score to accepted / rejected / undecided
+     * @param {number} acceptability - Score between 0 and 1
+     * @returns {string} 'in', 'out' or 'undecided'
+     */
+    static statusFor(acceptability) {
+        const { accept, reject } = Config.evaluation.thresholds;
+        if (acceptability >= accept) return 'in';
+        if (acceptability <= reject) return 'out';
+        return 'undecided';
+    }
+
+    /**
+     * Verdict for the thesis score
+     * @param {Object} score - Score of the thesis
+     * @returns {Object} Score with a Persian label
+     */
+    static verdictFor(score) {
+        const labels = {
+            in: 'پذیرفته',
+            out: 'رد شده',
+            undecided: 'نامشخص'
+        };
+        return { ...score, label: labels[score.status] };
+    }
+
+    /**
+     * Copy computed scores onto tree nodes
+     * @param {Object} tree - Root node returned by TreeBuilder.buildTree
+     * @param {Object} evaluation - Result of evaluate
+     */
+    static annotate(tree, evaluation) {
+        const walk = (node) => {
+            const score = evaluation.scores.get(node.id);
+            node.acceptability = score?.acceptability;
+            node.acceptanceStatus = score?.status;
+            node.children.forEach(walk);
+        };
+        walk(tree);
+    }
+
+    /**
+     * Semantics an evaluation can use
+     * @returns {Array<string>} Semantics keys
+     */
+    static semanticsModes() {
+        return [...SEMANTICS];
+    }
+}
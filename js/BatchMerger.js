@@ -0,0 +1,109 @@
+/**
+ * Batch Merger
+ * Merges an incremental new_nodes batch from the LLM into an existing node list
+ */
+
+// Fields compared to decide whether a re-sent node was changed
+const COMPARED_FIELDS = ['title', 'description', 'quote', 'speaker', 'type', 'score', 'relations'];
+
+export class BatchMerger {
+    /**
+     * Merge a batch into existing nodes
+     * A batch node whose id exists with the same title is an update of that node;
+     * with a different title it is an id collision
+     * @param {Array} existingNodes - Nodes of the open debate
+     * @param {Array} batchNodes - new_nodes of the incoming batch
+     * @param {string} collisionMode - 'renumber' or 'reject'
+     * @returns {Object} Merge result with nodes, the diff and the relations dropped with rejected nodes
+     */
+    static merge(existingNodes, batchNodes, collisionMode = 'renumber') {
+        const existingById = new Map(existingNodes.map(n => [n.id, n]));
+        const renumbered = new Map();
+        const rejected = [];
+
+        // Assign new ids to colliding nodes first so references inside the batch can follow them
+        let nextId = this.nextNumericId([...existingNodes, ...batchNodes]);
+        const accepted = [];
+        batchNodes.forEach(node => {
+            const existing = existingById.get(node.id);
+            if (existing && existing.title !== node.title) {
+                if (collisionMode === 'reject') {
+                    rejected.push(node);
+                    return;
+                }
+                renumbered.set(node.id, String(nextId++));
+            }
+            accepted.push(node);
+        });
+
+        const rejectedIds = new Set(rejected.map(n => n.id));
+        const mapId = (id) => renumbered.get(id) || id;
+
+        const nodes = existingNodes.map(n => ({ ...n }));
+        const indexById = new Map(nodes.map((n, i) => [n.id, i]));
+        const added = [];
+        const changed = [];
+        const dropped = [];
+
+        accepted.forEach(batchNode => {
+            // A reference to a rejected id may have meant the rejected node or the existing one
+            // under that id, so it is dropped and listed for the user rather than guessed
+            (batchNode.relations || [])
+                .filter(r => rejectedIds.has(r.target_node_id))
+                .forEach(relation => dropped.push({ nodeId: mapId(batchNode.id), title: batchNode.title, relation }));
+
+            const node = {
+                ...batchNode,
+                id: mapId(batchNode.id),
+                // References inside the batch follow renumbered nodes
+                relations: (batchNode.relations || [])
+                    .filter(r => !rejectedIds.has(r.target_node_id))
+                    .map(r => ({ ...r, target_node_id: mapId(r.target_node_id) }))
+            };
+
+            if (!indexById.has(node.id)) {
+                indexById.set(node.id, nodes.length);
+                nodes.push(node);
+                added.push({ node, previousId: renumbered.has(batchNode.id) ? batchNode.id : null });
+                return;
+            }
+
+            const index = indexById.get(node.id);
+            const existing = nodes[index];
+            const updated = {
+                ...existing,
+                ...node,
+                relations: this.mergeRelations(existing.relations || [], node.relations)
+            };
+            const fields = COMPARED_FIELDS.filter(f => JSON.stringify(existing[f]) !== JSON.stringify(updated[f]));
+            if (fields.length > 0) {
+                nodes[index] = updated;
+                changed.push({ node: updated, fields });
+            }
+        });
+
+        return { nodes, added, changed, rejected, renumbered, dropped };
+    }
+
+    /**
+     * Union two relation lists, the newer relation wins for the same target
+     * @param {Array} current - Existing relations
+     * @param {Array} incoming - Relations from the batch
+     * @returns {Array} Merged relations
+     */
+    static mergeRelations(current, incoming) {
+        const byTarget = new Map(current.map(r => [r.target_node_id, r]));
+        incoming.forEach(r => byTarget.set(r.target_node_id, r));
+        return Array.from(byTarget.values());
+    }
+
+    /**
+     * Next free sequential id
+     * @param {Array} nodes - Nodes whose ids are taken
+     * @returns {number} Smallest integer above every numeric id
+     */
+    static nextNumericId(nodes) {
+        const numbers = nodes.map(n => parseInt(n.id, 10)).filter(n => !Number.isNaN(n));
+        return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+    }
+}
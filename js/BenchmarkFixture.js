@@ -0,0 +1,97 @@
+/**
+ * Benchmark Fixture
+ * Generates large synthetic debates in the new_nodes format for measuring tree building
+ * and rendering; the same seed always gives the same debate
+ */
+
+const SUBJECTS = ['دولت', 'بازار', 'جامعه', 'خانواده', 'رسانه', 'دانشگاه', 'مجلس', 'شهرداری', 'کارگران', 'کشاورزان', 'پزشکان', 'معلمان'];
+const OBJECTS = ['هزینه‌ها', 'آزادی', 'امنیت', 'سلامت', 'اشتغال', 'آموزش', 'محیط زیست', 'اعتماد عمومی', 'تورم', 'عدالت'];
+const VERBS = ['را افزایش می‌دهد', 'را کاهش می‌دهد', 'را تضمین می‌کند', 'را تهدید می‌کند', 'را تقویت می‌کند', 'را تضعیف می‌کند'];
+const SPEAKERS = ['مجری', 'اقتصاددان', 'حقوق‌دان', 'جامعه‌شناس', 'فیلسوف', 'پزشک', 'فعال مدنی', 'نماینده', 'روزنامه‌نگار', 'مهندس', 'معلم', 'کشاورز'];
+
+export class BenchmarkFixture {
+    /**
+     * Generate a debate
+     * Each node gets one parent among the earlier nodes, so the graph has no loops;
+     * a share of the nodes also relate to a second earlier node, making them shared
+     * @param {number} count - Number of nodes, thesis included
+     * @param {Object} options - seed, branching (children per node) and sharedRatio
+     * @returns {Array<Object>} new_nodes
+     */
+    static generate(count, { seed = 1, branching = 4, sharedRatio = 0.02 } = {}) {
+        const random = this.random(seed);
+        const pick = (list) => list[Math.floor(random() * list.length)];
+        const score = () => Math.round((0.3 + random() * 0.7) * 100) / 100;
+
+        const nodes = [{
+            id: '1',
+            title: 'دولت باید در اقتصاد مداخله کند',
+            description: 'گزاره اصلی یک مباحثه ساختگی برای سنجش سرعت.',
+            quote: '',
+            speaker: SPEAKERS[0],
+            type: 'thesis',
+            score: { intensity: 0.9, confidence: 0.9 },
+            relations: []
+        }];
+
+        for (let i = 2; i <= count; i++) {
+            // Around `branching` children per node, like a heap with some jitter, so the
+            // depth grows with the logarithm of the size as in real debates
+            const base = Math.floor((i - 2) / branching) + 1;
+            const jitter = Math.floor((random() - 0.5) * branching);
+            const parent = Math.max(1, Math.min(i - 1, base + jitter));
+            nodes.push({
+                id: String(i),
+                title: `${pick(SUBJECTS)} ${pick(OBJECTS)} ${pick(VERBS)}`,
+                description: `استدلال شماره ${i} درباره گزاره ${parent}.`,
+                quote: '',
+                speaker: pick(SPEAKERS),
+                type: random() < 0.4 ? 'foundational' : 'practical',
+                score: { intensity: score(), confidence: score() },
+                relations: [{
+                    target_node_id: String(parent),
+                    relation_type: random() < 0.65 ? 'support' : 'attack',
+                    reasoning: ''
+                }]
+            });
+        }
+
+        // Shared claims at every depth, whose subtree buildTree repeats under every parent
+        // until Config.performance.maxOccurrences
+        nodes.forEach((node, index) => {
+            if (index < 2 || random() >= sharedRatio) return;
+            const target = String(1 + Math.floor(random() * index));
+            if (target === node.relations[0].target_node_id) return;
+            node.relations.push({
+                target_node_id: target,
+                relation_type: random() < 0.65 ? 'support' : 'attack',
+                reasoning: ''
+            });
+        });
+
+        // The second branch of the thesis also answers the first, so even small debates
+        // share a subtree holding a large part of the debate
+        const [first, second] = nodes.filter(node => node.relations[0]?.target_node_id === '1');
+        if (second && !second.relations.some(r => r.target_node_id === first.id)) {
+            second.relations.push({ target_node_id: first.id, relation_type: 'attack', reasoning: '' });
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Seeded pseudo-random numbers (mulberry32)
+     * @param {number} seed - Seed
+     * @returns {Function} Returns numbers in [0, 1)
+     */
+    static random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
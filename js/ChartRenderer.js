@@ -0,0 +1,576 @@
+/**
+ * Chart Renderer
+ * Base class for the chart views: shared callbacks, colouring, highlight and filter state
+ *
+ * A renderer draws the tree below a root node into its container. Every drawn node
+ * carries the class 'chart-mark' and a datum whose 'data' is the tree node, whose
+ * 'depth' is relative to the rendered root and whose 'parent'/'children' link to the
+ * neighbouring marks, so hover, click, keyboard navigation, highlighting and
+ * filtering work the same way in every view.
+ */
+
+import { Config } from './config.js';
+import { SunburstLayout } from './SunburstLayout.js';
+import { TreeBuilder } from './TreeBuilder.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Ink drawn in each cell of a texture pattern, over the fill colour; 'plain' draws none.
+// Described as an element and its attributes, so it can be built as DOM or written as markup
+const TEXTURES = {
+    'plain': null,
+    // Diagonal lines, since the pattern is rotated
+    'hatch': size => ({
+        tag: 'line',
+        attributes: {
+            'x1': 0,
+            'y1': 0,
+            'x2': 0,
+            'y2': size,
+            'stroke': Config.encoding.patternColor,
+            'stroke-width': Config.encoding.patternWidth
+        },
+        transform: 'rotate(45)'
+    }),
+    'dots': size => ({
+        tag: 'circle',
+        attributes: {
+            'cx': size / 2,
+            'cy': size / 2,
+            'r': Config.encoding.patternWidth / 2 + 0.5,
+            'fill': Config.encoding.patternColor
+        }
+    })
+};
+
+export class ChartRenderer {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.width = 0;
+        this.height = 0;
+        this.svg = null;
+        this.g = null;
+        this.panZoom = null;
+        this.root = null;
+        this.currentRoot = null;
+        this.highlightedIds = new Set();
+        this.searchHits = new Set();
+        this.filter = { predicate: null, mode: 'dim' };
+        this.colorMode = 'intensity';
+        this.speakerColors = new Map();
+        this.fillBy = Config.encoding.defaultFill;
+        // Texture patterns already added to the SVG
+        this.textureDefs = null;
+        this.textureIds = new Set();
+        this.sizing = Config.sizing.defaultMode;
+
+        this.onHover = null;
+        this.onMouseOut = null;
+        this.onClick = null;
+        this.onContextMenu = null;
+        // Returns the accessible label of a tree node
+        this.describe = null;
+
+        // Set when a keyboard zoom re-renders, so focus moves to the new root
+        this.refocusRoot = false;
+
+        this.handleResize = () => this.resize();
+    }
+
+    init() {
+        this.svg = d3.select(this.container)
+            .append('svg')
+            .attr('width', '100%')
+            .attr('height', '100%')
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .attr('role', 'tree')
+            .attr('aria-label', 'نمودار مباحثه؛ با کلیدهای جهت‌دار حرکت کنید، Enter برای بزرگ‌نمایی و Escape برای بازگشت');
+
+        this.g = this.svg.append('g');
+
+        window.addEventListener('resize', this.handleResize);
+    }
+
+    /**
+     * Remove the view from its container
+     */
+    destroy() {
+        window.removeEventListener('resize', this.handleResize);
+        this.svg.remove();
+    }
+
+    resize() {
+        const containerRect = this.container.getBoundingClientRect();
+        this.width = containerRect.width;
+        this.height = containerRect.height;
+
+        if (Math.min(this.width, this.height) < Config.chart.minRadius * 2) {
+            return;
+        }
+
+        this.svg.attr('viewBox', `0 0 ${this.width} ${this.height}`);
+
+        if (this.currentRoot) {
+            this.render(this.currentRoot);
+        }
+    }
+
+    /**
+     * Let the user pan and scale the drawing with the mouse wheel and drag
+     * Used by views whose drawing can be larger than the container
+     */
+    enablePanZoom() {
+        this.panZoom = d3.zoom()
+            .scaleExtent(Config.layouts.panZoomExtent)
+            .on('zoom', (event) => this.g.attr('transform', event.transform));
+        this.svg.call(this.panZoom).on('dblclick.zoom', null);
+    }
+
+    resetPanZoom() {
+        if (this.panZoom) {
+            this.svg.call(this.panZoom.transform, d3.zoomIdentity);
+        }
+    }
+
+    /**
+     * Fit the viewBox around a drawing
+     * @param {number} minX - Left edge
+     * @param {number} minY - Top edge
+     * @param {number} maxX - Right edge
+     * @param {number} maxY - Bottom edge
+     */
+    fitViewBox(minX, minY, maxX, maxY) {
+        const padding = Config.layouts.padding;
+        this.svg.attr('viewBox', [
+            minX - padding,
+            minY - padding,
+            maxX - minX + 2 * padding,
+            maxY - minY + 2 * padding
+        ].join(' '));
+    }
+
+    /**
+     * Draw the tree below a node
+     * @param {Object} rootNode - Tree node to render as root
+     */
+    render(rootNode) {
+        throw new Error(`${this.constructor.name} does not implement render()`);
+    }
+
+    /**
+     * Take over colouring, highlight and filter state from another view
+     * @param {ChartRenderer} other - Previous view
+     */
+    copyStateFrom(other) {
+        this.highlightedIds = other.highlightedIds;
+        this.searchHits = other.searchHits;
+        this.filter = other.filter;
+        this.colorMode = other.colorMode;
+        this.speakerColors = other.speakerColors;
+        this.fillBy = other.fillBy;
+        this.sizing = other.sizing;
+    }
+
+    /**
+     * Selection of all drawn nodes
+     * @returns {Object} D3 selection
+     */
+    marks() {
+        return this.g.selectAll('.chart-mark');
+    }
+
+    /**
+     * Fill colour of a drawn node
+     * @param {Object} d - Mark datum
+     * @returns {string} Colour
+     */
+    nodeColor(d) {
+        return TreeBuilder.getNodeColor(d.data, this.currentRoot, this.colorMode, this.speakerColors, this.fillBy);
+    }
+
+    /**
+     * Fill of a drawn node: its colour, under the texture of the secondary attribute
+     * @param {Object} d - Mark datum
+     * @returns {string} Colour, or url() of a texture pattern
+     */
+    markFill(d) {
+        const color = this.nodeColor(d);
+        const texture = TreeBuilder.getNodeTexture(d.data, this.currentRoot, this.fillBy);
+        if (!TEXTURES[texture]) {
+            return color;
+        }
+
+        // One pattern per texture and colour, created when first used
+        const id = `${this.container.id}-texture-${texture}-${color.slice(1)}`;
+        if (!this.textureIds.has(id)) {
+            if (!this.textureDefs) {
+                const svg = this.svg.node();
+                this.textureDefs = svg.insertBefore(document.createElementNS(SVG_NS, 'defs'), svg.firstChild);
+            }
+            ChartRenderer.appendTexture(this.textureDefs, id, color, texture);
+            this.textureIds.add(id);
+        }
+        return `url(#${id})`;
+    }
+
+    /**
+     * Apply fill, shared outline and events to freshly drawn marks
+     * @param {Object} marks - D3 selection of marks
+     */
+    decorateMarks(marks) {
+        marks
+            .classed('chart-mark', true)
+            .classed('shared-arc', d => d.data.isShared)
+            .style('fill', d => this.markFill(d))
+            .style('cursor', 'pointer')
+            .style('opacity', 1)
+            .attr('stroke', d => d.data.isShared ? Config.colors.shared : null)
+            .attr('stroke-width', d => d.data.isShared ? Config.shared.strokeWidth : null)
+            .attr('stroke-dasharray', d => d.data.isShared ? Config.shared.dashArray : null);
+
+        marks.on('mouseover', (event, d) => {
+            // Dim all marks, keeping other occurrences of a shared node visible
+            marks.style('opacity', p => d.data.isShared && p.data.id === d.data.id ? 0.85 : 0.3);
+            // Highlight hovered mark
+            const brightness = d.depth === 0 ? 1.05 : 1.2;
+            d3.select(event.currentTarget)
+                .style('opacity', 1)
+                .style('filter', `brightness(${brightness})`);
+
+            if (this.onHover) {
+                this.onHover(d.data, event);
+            }
+        })
+        .on('mouseout', () => {
+            marks.style('opacity', 1)
+                .style('filter', 'none');
+
+            if (this.onMouseOut) {
+                this.onMouseOut();
+            }
+        })
+        .on('click', (event, d) => {
+            if (this.onClick) {
+                this.onClick(d.data, d);
+            }
+        })
+        .on('contextmenu', (event, d) => {
+            if (this.onContextMenu) {
+                event.preventDefault();
+                this.onContextMenu(d.data, event);
+            }
+        });
+
+        this.makeAccessible(marks);
+        this.applyMarkState();
+    }
+
+    /**
+     * Give marks tree-item semantics and keyboard navigation
+     * Only one mark is in the tab order at a time (roving tabindex)
+     * @param {Object} marks - D3 selection of marks
+     */
+    makeAccessible(marks) {
+        marks
+            .attr('role', 'treeitem')
+            .attr('tabindex', d => d.depth === 0 ? 0 : -1)
+            .attr('aria-level', d => d.depth + 1)
+            .attr('aria-expanded', d => d.children ? 'true' : null)
+            .attr('aria-setsize', d => d.parent ? d.parent.children.length : 1)
+            .attr('aria-posinset', d => d.parent ? d.parent.children.indexOf(d) + 1 : 1)
+            .attr('aria-label', d => this.describe ? this.describe(d.data) : d.data.title);
+
+        marks.on('focus', (event, d) => {
+            marks.attr('tabindex', -1);
+            d3.select(event.currentTarget).attr('tabindex', 0);
+
+            // Focus has no pointer position, so anchor the detail card on the mark
+            const rect = event.currentTarget.getBoundingClientRect();
+            if (this.onHover) {
+                this.onHover(d.data, { clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 });
+            }
+        })
+        .on('blur', () => {
+            if (this.onMouseOut) {
+                this.onMouseOut();
+            }
+        })
+        .on('keydown', (event, d) => this.handleKey(event, d));
+
+        if (this.refocusRoot) {
+            this.refocusRoot = false;
+            this.focusMark(marks.filter(d => d.depth === 0).datum());
+        }
+    }
+
+    /**
+     * Keyboard navigation between marks
+     * Up goes to the parent, Down to the first child, Left/Right to the next/previous
+     * sibling (right-to-left order), Home to the root
+     * @param {KeyboardEvent} event - Key event
+     * @param {Object} d - Focused mark datum
+     */
+    handleKey(event, d) {
+        const siblings = d.parent ? d.parent.children : [d];
+        const index = siblings.indexOf(d);
+        const root = this.marks().filter(m => m.depth === 0).datum();
+
+        const targets = {
+            ArrowUp: d.parent,
+            ArrowDown: d.children?.[0],
+            ArrowLeft: siblings[(index + 1) % siblings.length],
+            ArrowRight: siblings[(index - 1 + siblings.length) % siblings.length],
+            Home: root
+        };
+
+        if (event.key in targets) {
+            event.preventDefault();
+            this.focusMark(targets[event.key]);
+        } else if (event.key === 'Enter' || event.key === ' ' || event.key === 'Escape') {
+            event.preventDefault();
+            // Activating the root zooms out
+            const target = event.key === 'Escape' ? root : d;
+            this.refocusRoot = true;
+            if (this.onClick) {
+                this.onClick(target.data, target);
+            }
+            this.refocusRoot = false;
+        }
+    }
+
+    /**
+     * Move keyboard focus to a mark
+     * @param {Object|undefined} target - Mark datum to focus
+     */
+    focusMark(target) {
+        if (!target) return;
+        this.marks().filter(m => m === target).node()?.focus();
+    }
+
+    /**
+     * Mark batch highlights, search hits and nodes excluded by the filter
+     * The root stays untouched so the chart can always be navigated
+     */
+    applyMarkState() {
+        const { predicate, mode } = this.filter;
+        const excluded = d => d.depth > 0 && predicate !== null && !predicate(d.data);
+
+        this.marks()
+            .classed('batch-highlight', d => this.highlightedIds.has(d.data.id))
+            .classed('search-hit', d => this.searchHits.has(d.data.id))
+            .classed('filtered-out', d => excluded(d) && mode === 'dim')
+            .classed('filtered-hidden', d => excluded(d) && mode === 'hide');
+    }
+
+    /**
+     * Switch how nodes are coloured
+     * @param {string} mode - 'intensity', 'acceptability' or 'speaker'
+     */
+    setColorMode(mode) {
+        this.colorMode = mode;
+        this.marks().style('fill', d => this.markFill(d));
+    }
+
+    /**
+     * Swap the attributes shown by fill colour and texture
+     * @param {string} fillBy - 'relation' to fill by support/attack and texture by node type, 'type' the reverse
+     */
+    setFillBy(fillBy) {
+        this.fillBy = fillBy === 'type' ? 'type' : 'relation';
+        if (this.svg) {
+            this.marks().style('fill', d => this.markFill(d));
+        }
+    }
+
+    /**
+     * Set the colours used in speaker mode
+     * @param {Map<string, string>} colors - Colour by speaker name
+     */
+    setSpeakerColors(colors) {
+        this.speakerColors = colors;
+    }
+
+    /**
+     * Switch how siblings share their parent's span
+     * Views that size their marks override this to animate the change
+     * @param {string} mode - Sizing mode from SunburstLayout.sizingModes
+     */
+    setSizing(mode) {
+        this.sizing = SunburstLayout.sizingModes().includes(mode) ? mode : 'equal';
+        if (this.currentRoot) {
+            this.render(this.currentRoot);
+        }
+    }
+
+    /**
+     * Split a span between the descendants of a hierarchy node by the current sizing mode
+     * @param {Object} root - D3 hierarchy node
+     * @param {number} x0 - Start of the span
+     * @param {number} x1 - End of the span
+     * @param {number} minSpan - Smallest span given to a node, so that small claims stay clickable
+     */
+    assignSpans(root, x0, x1, minSpan) {
+        SunburstLayout.assignSpans(root, x0, x1, this.sizing, minSpan);
+    }
+
+    /**
+     * Sizing modes a view can offer
+     * @returns {Array<string>} Sizing modes
+     */
+    static sizingModes() {
+        return SunburstLayout.sizingModes();
+    }
+
+    /**
+     * Add a texture pattern over a colour to a defs element
+     * Also used for the legend swatches, so chart and legend look alike
+     * @param {Element} defs - SVG defs element
+     * @param {string} id - Pattern id
+     * @param {string} color - Fill colour under the texture
+     * @param {string} texture - Key of TEXTURES
+     */
+    static appendTexture(defs, id, color, texture) {
+        const size = Config.encoding.patternSize;
+        const pattern = document.createElementNS(SVG_NS, 'pattern');
+        pattern.setAttribute('id', id);
+        pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+        pattern.setAttribute('width', size);
+        pattern.setAttribute('height', size);
+
+        const background = document.createElementNS(SVG_NS, 'rect');
+        background.setAttribute('width', size);
+        background.setAttribute('height', size);
+        background.setAttribute('fill', color);
+        pattern.appendChild(background);
+
+        const ink = TEXTURES[texture]?.(size);
+        if (ink) {
+            const element = document.createElementNS(SVG_NS, ink.tag);
+            Object.entries(ink.attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            if (ink.transform) {
+                pattern.setAttribute('patternTransform', ink.transform);
+            }
+            pattern.appendChild(element);
+        }
+        defs.appendChild(pattern);
+    }
+
+    /**
+     * Markup of a texture pattern over a colour, for SVG written without a DOM
+     * @param {string} id - Pattern id
+     * @param {string} color - Fill colour under the texture
+     * @param {string} texture - Key of TEXTURES
+     * @returns {string} SVG pattern element
+     */
+    static textureMarkup(id, color, texture) {
+        const size = Config.encoding.patternSize;
+        const ink = TEXTURES[texture]?.(size);
+        const transform = ink?.transform ? ` patternTransform="${ink.transform}"` : '';
+        const element = ink
+            ? `<${ink.tag} ${Object.entries(ink.attributes).map(([name, value]) => `${name}="${value}"`).join(' ')}/>`
+            : '';
+        return `<pattern id="${id}" patternUnits="userSpaceOnUse" width="${size}" height="${size}"${transform}>`
+            + `<rect width="${size}" height="${size}" fill="${color}"/>${element}</pattern>`;
+    }
+
+    /**
+     * Outline nodes that were just added or changed
+     * @param {Array<string>} ids - Node ids to highlight, empty to clear
+     */
+    setHighlightedIds(ids) {
+        this.highlightedIds = new Set(ids);
+        this.applyMarkState();
+    }
+
+    /**
+     * Outline nodes matching the search query
+     * @param {Array<string>} ids - Matching node ids, empty to clear
+     */
+    setSearchHits(ids) {
+        this.searchHits = new Set(ids);
+        this.applyMarkState();
+    }
+
+    /**
+     * Dim or hide nodes that do not pass a filter
+     * @param {Function|null} predicate - Predicate on tree nodes, null to clear
+     * @param {string} mode - 'dim' or 'hide'
+     */
+    setFilter(predicate, mode) {
+        this.filter = { predicate, mode };
+        this.applyMarkState();
+    }
+
+    /**
+     * Marks drawn for one occurrence
+     * @param {string} path - Occurrence path of the tree node
+     * @returns {Object} D3 selection
+     */
+    occurrenceMarks(path) {
+        return this.marks().filter(d => d.data.path === path);
+    }
+
+    /**
+     * Briefly emphasise one occurrence
+     * @param {string} path - Occurrence path of the tree node
+     */
+    highlightOccurrence(path) {
+        this.occurrenceMarks(path)
+            .classed('occurrence-focus', false)
+            .each(function () {
+                // Restart the CSS animation
+                void this.getBoundingClientRect();
+            })
+            .classed('occurrence-focus', true);
+    }
+
+    /**
+     * Jump running transitions to their end, e.g. before the drawing is copied
+     * Views without transitions have nothing to do
+     */
+    settle() {
+    }
+
+    /**
+     * Zoom to a specific node
+     * @param {Object} node - Node to zoom to
+     */
+    zoomTo(node) {
+        this.currentRoot = node;
+        this.render(node);
+    }
+
+    /**
+     * Reset to original root
+     */
+    reset() {
+        if (this.root) {
+            this.currentRoot = this.root.data;
+            this.render(this.root.data);
+        }
+    }
+
+    /**
+     * Leave marks out of the drawing, with everything below them
+     * Used for marks too small to see or too deep to get any room; the tree itself is
+     * untouched, so zooming in brings them back
+     * @param {Object} root - D3 hierarchy root
+     * @param {Function} keep - Whether a hierarchy node is drawn
+     * @returns {number} Number of marks left out
+     */
+    cull(root, keep) {
+        return SunburstLayout.cull(root, keep);
+    }
+
+    /**
+     * Shorten a label to a number of characters
+     * Missing titles get past the validator as warnings, so they come out empty
+     * @param {string} text - Label text
+     * @param {number} length - Maximum length
+     * @returns {string} Label
+     */
+    static truncate(text, length) {
+        const label = String(text ?? '');
+        return label.length > length ? `${label.slice(0, length - 1).trimEnd()}…` : label;
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * Compare View
+ * Second sunburst next to the main chart, following its zoom, with a structural diff
+ */
+
+import { D3Sunburst } from './D3Sunburst.js';
+import { DebateDiff } from './DebateDiff.js';
+import { Markup } from './Markup.js';
+import { TreeBuilder } from './TreeBuilder.js';
+
+export class CompareView {
+    constructor(paneId) {
+        this.pane = document.getElementById(paneId);
+        this.chart = new D3Sunburst('compareChart');
+        this.name = '';
+        this.baseNodes = [];
+        this.tree = null;
+        this.occurrences = null;
+        this.diff = null;
+        // Base node id by current node id
+        this.reverseMatches = new Map();
+
+        this.onHover = null;
+        this.onMouseOut = null;
+        this.onSelectNode = null;
+        this.onClose = null;
+
+        this.init();
+    }
+
+    init() {
+        this.chart.onHover = (nodeData, event) => {
+            if (this.onHover) this.onHover(nodeData, event);
+        };
+        this.chart.onMouseOut = () => {
+            if (this.onMouseOut) this.onMouseOut();
+        };
+        this.chart.onClick = (nodeData, d3Node) => this.handleClick(nodeData, d3Node);
+        this.chart.describe = (node) => node.title;
+
+        document.getElementById('compareClose').addEventListener('click', () => {
+            this.close();
+            if (this.onClose) {
+                this.onClose();
+            }
+        });
+    }
+
+    isOpen() {
+        return this.tree !== null;
+    }
+
+    /**
+     * Compare a debate with the open one
+     * @param {string} name - Name of the base debate
+     * @param {Array} baseNodes - Nodes of the base debate
+     * @param {Array} currentNodes - Nodes of the open debate
+     * @returns {boolean} True if the base debate could be drawn
+     */
+    open(name, baseNodes, currentNodes) {
+        const tree = TreeBuilder.buildTree(baseNodes);
+        if (!tree) return false;
+
+        this.name = name;
+        this.baseNodes = baseNodes;
+        this.tree = tree;
+        this.occurrences = TreeBuilder.collectOccurrences(tree);
+        this.pane.classList.add('visible');
+        document.getElementById('compareName').textContent = name;
+
+        this.chart.resize();
+        this.chart.render(tree);
+        this.update(currentNodes);
+        return true;
+    }
+
+    close() {
+        this.tree = null;
+        this.occurrences = null;
+        this.diff = null;
+        this.pane.classList.remove('visible');
+        document.getElementById('compareDiff').innerHTML = '';
+    }
+
+    /**
+     * Recompute the diff after the open debate changed
+     * @param {Array} currentNodes - Nodes of the open debate
+     */
+    update(currentNodes) {
+        this.diff = DebateDiff.diff(this.baseNodes, currentNodes);
+        this.reverseMatches = new Map([...this.diff.matches].map(([baseId, currentId]) => [currentId, baseId]));
+        this.chart.setHighlightedIds(this.diff.removed.map(n => n.id));
+        this.renderDiff();
+    }
+
+    /**
+     * Zoom to the node matching the one shown in the main chart
+     * @param {Object} node - Tree node shown by the main chart
+     */
+    syncTo(node) {
+        const baseId = this.reverseMatches.get(node.id);
+        const occurrence = baseId && this.occurrences.get(baseId)?.[0];
+        const status = document.getElementById('compareStatus');
+        if (!occurrence) {
+            status.textContent = 'گزاره متناظری در این مباحثه نیست';
+            return;
+        }
+        status.textContent = '';
+        this.zoomToPath(occurrence.path);
+    }
+
+    /**
+     * Zoom to an occurrence, showing leaves inside their parent
+     * @param {string} path - Occurrence path in the base tree
+     */
+    zoomToPath(path) {
+        const chain = TreeBuilder.resolvePath(this.tree, path);
+        if (!chain) return;
+
+        const target = chain[chain.length - 1];
+        const root = target.children.length > 0 || chain.length === 1 ? target : chain[chain.length - 2];
+        this.chart.zoomTo(root);
+        this.chart.highlightOccurrence(path);
+    }
+
+    /**
+     * Clicks zoom this chart and, for matched nodes, the main chart with it
+     * @param {Object} nodeData - Tree node
+     * @param {Object} d3Node - D3 node
+     */
+    handleClick(nodeData, d3Node) {
+        if (d3Node.depth === 0) {
+            const ids = nodeData.path.split('/');
+            if (ids.length > 1) {
+                this.zoomToPath(ids.slice(0, -1).join('/'));
+            }
+            return;
+        }
+
+        const currentId = this.diff.matches.get(nodeData.id);
+        if (currentId && this.onSelectNode) {
+            this.onSelectNode(currentId);
+        } else if (nodeData.children.length > 0) {
+            this.chart.zoomTo(nodeData);
+        }
+    }
+
+    /**
+     * List the differences grouped by kind
+     */
+    renderDiff() {
+        const diff = this.diff;
+        const relation = (type) => type === 'attack' ? 'انتقاد' : 'حمایت';
+        const item = (id, side, text) => `<li class="compare-item" data-id="${Markup.escape(id)}" data-side="${side}">${Markup.escape(text)}</li>`;
+        const group = (className, title, items) => items.length === 0 ? '' : `
+            <details class="compare-group ${className}"${items.length <= 5 ? ' open' : ''}>
+                <summary>${title} (${items.length})</summary>
+                <ul>${items.join('')}</ul>
+            </details>
+        `;
+
+        const container = document.getElementById('compareDiff');
+        const total = diff.added.length + diff.removed.length + diff.retitled.length
+            + diff.reparented.length + diff.rescored.length + diff.flipped.length;
+
+        container.innerHTML = `
+            <p class="compare-summary">${diff.matches.size} گزاره متناظر، ${total} تفاوت</p>
+            ${group('added', 'افزوده', diff.added.map(n => item(n.id, 'current', n.title)))}
+            ${group('removed', 'حذف‌شده', diff.removed.map(n => item(n.id, 'base', n.title)))}
+            ${group('retitled', 'تغییر عنوان', diff.retitled.map(e => item(e.node.id, 'current', `${e.before} ← ${e.node.title}`)))}
+            ${group('reparented', 'جابه‌جا شده', diff.reparented.map(e => item(e.node.id, 'current',
+                `${e.node.title}: زیر «${e.before.join('، ') || '—'}» ← زیر «${e.after.join('، ') || '—'}»`)))}
+            ${group('rescored', 'تغییر امتیاز', diff.rescored.map(e => item(e.node.id, 'current',
+                `${e.node.title}: شدت ${e.before.intensity ?? '—'} ← ${e.after.intensity ?? '—'}، اطمینان ${e.before.confidence ?? '—'} ← ${e.after.confidence ?? '—'}`)))}
+            ${group('flipped', 'تغییر نوع رابطه', diff.flipped.map(e => item(e.node.id, 'current',
+                `${e.node.title} ← ${e.target?.title}: ${relation(e.before)} ← ${relation(e.after)}`)))}
+        `;
+
+        container.querySelectorAll('.compare-item').forEach(entry => {
+            entry.addEventListener('click', () => {
+                if (entry.dataset.side === 'base') {
+                    const occurrence = this.occurrences.get(entry.dataset.id)?.[0];
+                    if (occurrence) this.zoomToPath(occurrence.path);
+                } else if (this.onSelectNode) {
+                    this.onSelectNode(entry.dataset.id);
+                }
+            });
+        });
+    }
+}
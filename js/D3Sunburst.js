@@ -3,68 +3,54 @@
  * Handles D3.js sunburst chart visualization and interactions
  */
 
+import { ChartRenderer } from './ChartRenderer.js';
 import { Config } from './config.js';
-import { TreeBuilder } from './TreeBuilder.js';
+import { Debug } from './Debug.js';
+import { SunburstLayout } from './SunburstLayout.js';
 
-export class D3Sunburst {
+export class D3Sunburst extends ChartRenderer {
     constructor(containerId) {
-        console.log('[D3Sunburst] Constructor called with containerId:', containerId);
-        this.container = document.getElementById(containerId);
-        console.log('[D3Sunburst] Container element:', this.container);
-        this.width = 0;
-        this.height = 0;
+        super(containerId);
+        Debug.log('[D3Sunburst] Constructor called with containerId:', containerId);
+        Debug.log('[D3Sunburst] Container element:', this.container);
         this.radius = 0;
-        this.svg = null;
-        this.partition = null;
         this.arc = null;
-        this.root = null;
-        this.currentRoot = null;
         this.zoomStack = [];
-        this.centerScale = Config.chart.defaultCenterScale;
-
-        this.onHover = null;
-        this.onMouseOut = null;
-        this.onClick = null;
+        this.arcGroup = null;
+        this.labelGroup = null;
+        // Occurrence path of the root drawn last, to tell zooming in from zooming out
+        this.renderedPath = null;
+        this.duration = Config.animation.zoomDuration;
 
         this.init();
     }
 
     init() {
-        console.log('[D3Sunburst] init() called');
-        console.log('[D3Sunburst] d3 object:', d3);
-        console.log('[D3Sunburst] d3.version:', d3.version);
-
-        // Create SVG
-        this.svg = d3.select(this.container)
-            .append('svg')
-            .attr('width', '100%')
-            .attr('height', '100%')
-            .attr('viewBox', `0 0 ${Config.chart.viewBoxWidth} ${Config.chart.viewBoxHeight}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet');
+        Debug.log('[D3Sunburst] init() called');
+        Debug.log('[D3Sunburst] d3 object:', d3);
+        Debug.log('[D3Sunburst] d3.version:', d3.version);
 
-        console.log('[D3Sunburst] SVG created:', this.svg);
+        // Create SVG and group for chart
+        super.init();
+        this.svg.attr('viewBox', `0 0 ${Config.chart.viewBoxWidth} ${Config.chart.viewBoxHeight}`);
 
-        // Create group for chart
-        this.g = this.svg.append('g')
-            .attr('transform', `translate(${Config.chart.viewBoxWidth / 2}, ${Config.chart.viewBoxHeight / 2})`);
+        Debug.log('[D3Sunburst] SVG created:', this.svg);
 
-        console.log('[D3Sunburst] Group created:', this.g);
+        this.g.attr('transform', `translate(${Config.chart.viewBoxWidth / 2}, ${Config.chart.viewBoxHeight / 2})`);
+        this.arcGroup = this.g.append('g').attr('class', 'sunburst-arcs');
+        this.labelGroup = this.g.append('g').attr('class', 'sunburst-labels');
 
-        // Create partition layout
-        this.partition = d3.partition()
-            .size([2 * Math.PI, this.radius]);
+        Debug.log('[D3Sunburst] Group created:', this.g);
 
         // Create arc generator
-        // Scale factor adjusted dynamically based on tree depth
+        // Arcs are drawn from shapes (angles, radii and padding) so that they can be tweened
         this.arc = d3.arc()
-            .startAngle(d => d.x0)
-            .endAngle(d => d.x1)
-            .padAngle(0.03)
-            .innerRadius(d => d.y0 * this.centerScale)
-            .outerRadius(d => d.depth === 0 ? Math.min(d.y1 * this.centerScale, this.radius * Config.chart.maxCenterRadius) : d.y1 * this.centerScale);
-
-        // Handle resize
-        window.addEventListener('resize', () => this.resize());
+            .startAngle(s => s.x0)
+            .endAngle(s => s.x1)
+            .innerRadius(s => s.r0)
+            .outerRadius(s => s.r1)
+            .padAngle(s => s.pad);
+
         // Don't call resize during init - container may be hidden
         // Resize will be called when chart becomes visible
     }
@@ -75,19 +61,13 @@ export class D3Sunburst {
         this.height = containerRect.height;
         this.radius = Math.min(this.width, this.height) / 2 - Config.chart.radiusPadding;
 
-        console.log('[D3Sunburst] resize() - width:', this.width, 'height:', this.height, 'radius:', this.radius);
+        Debug.log('[D3Sunburst] resize() - width:', this.width, 'height:', this.height, 'radius:', this.radius);
 
         if (this.radius < Config.chart.minRadius) {
-            console.log('[D3Sunburst] Radius too small, skipping render');
+            Debug.log('[D3Sunburst] Radius too small, skipping render');
             return;
         }
 
-        // Update partition and arc
-        this.partition.size([2 * Math.PI, this.radius]);
-        this.arc.innerRadius(d => d.y0 * this.centerScale)
-            .outerRadius(d => d.depth === 0 ? Math.min(d.y1 * this.centerScale, this.radius * Config.chart.maxCenterRadius) : d.y1 * this.centerScale)
-            .padAngle(Config.spacing.padAngle.inner);
-
         // Update SVG viewBox
         this.svg.attr('viewBox', `0 0 ${this.width} ${this.height}`);
         this.g.attr('transform', `translate(${this.width / 2}, ${this.height / 2})`);
@@ -100,127 +80,268 @@ export class D3Sunburst {
 
     /**
      * Render the sunburst chart
+     * Arcs are joined by occurrence path, so arcs shown before and after move to their
+     * new place; zooming in pushes the arcs outside the new root off the circle and
+     * zooming out brings them back in
      * @param {Object} rootNode - Root node to render
      */
     render(rootNode) {
-        console.log('[D3Sunburst] render() called with rootNode:', rootNode);
+        Debug.log('[D3Sunburst] render() called with rootNode:', rootNode);
         this.currentRoot = rootNode;
 
         // Create hierarchy
         // Don't use .sum() - it accumulates descendant values
-        // We'll manually assign equal angular space
+        // Spans are assigned by the sizing mode below
         this.root = d3.hierarchy(rootNode);
 
-        console.log('[D3Sunburst] Hierarchy created:', this.root);
-        console.log('[D3Sunburst] Descendants:', this.root.descendants());
+        Debug.log('[D3Sunburst] Hierarchy created:', this.root);
 
-        // Calculate max depth to adjust scaling
-        let maxDepth = 0;
-        this.root.each(d => { maxDepth = Math.max(maxDepth, d.depth); });
-        console.log('[D3Sunburst] Max depth:', maxDepth);
+        // Cull, share the circle by the sizing mode and shape the arcs
+        const culled = SunburstLayout.layout(this.root, this.radius, this.sizing);
+        const descendants = this.root.descendants();
+        Debug.log('[D3Sunburst] Arcs drawn:', descendants.length, 'culled:', culled);
 
-        // Apply partition with dummy values
-        this.partition(this.root);
+        // Shapes currently on screen, which may be halfway through a transition
+        const before = new Map();
+        this.arcGroup.selectAll('path').each(function (d) {
+            before.set(d.data.path, this.__shape);
+        });
 
-        // Manually assign equal angular space to siblings at each level
-        const setEqualAngles = (node, x0, x1) => {
-            node.x0 = x0;
-            node.x1 = x1;
+        const newPath = rootNode.path;
+        const oldPath = this.renderedPath;
+        this.renderedPath = newPath;
+        const animate = before.size > 0 && this.duration > 0
+            && Math.max(before.size, descendants.length) <= Config.performance.maxAnimatedMarks;
 
-            if (node.children && node.children.length > 0) {
-                const span = x1 - x0;
-                const childSpan = span / node.children.length;
-                node.children.forEach((child, i) => {
-                    setEqualAngles(child, x0 + i * childSpan, x0 + (i + 1) * childSpan);
-                });
-            }
+        // Stretch a span of the circle to the whole circle, squeezing everything else to its edges
+        const project = (shape, span) => {
+            const scale = x => Math.max(0, Math.min(1, (x - span.x0) / (span.x1 - span.x0))) * 2 * Math.PI;
+            return { ...shape, x0: scale(shape.x0), x1: scale(shape.x1) };
         };
-        setEqualAngles(this.root, 0, 2 * Math.PI);
+        const zoomedIn = oldPath && newPath.startsWith(`${oldPath}/`) && before.get(newPath);
+        const oldRoot = oldPath && oldPath.startsWith(`${newPath}/`)
+            && descendants.find(d => d.data.path === oldPath);
+
+        const arcs = this.arcGroup.selectAll('path')
+            .data(descendants, d => d.data.path);
+
+        // Arcs no longer shown leave the circle in the direction of the zoom, or fade out
+        const leaving = arcs.exit()
+            .classed('chart-mark', false)
+            .style('pointer-events', 'none');
+        if (animate) {
+            this.tweenArcs(leaving, (d, shape) => zoomedIn ? project(shape, zoomedIn) : shape)
+                .style('opacity', 0)
+                .remove();
+        } else {
+            leaving.remove();
+        }
 
-        console.log('[D3Sunburst] After manual angle assignment');
+        // New arcs come in from the edges when zooming out, and fade in otherwise
+        const entering = arcs.enter()
+            .append('path')
+            .property('__shape', d => animate && oldRoot ? project(d.shape, oldRoot.shape) : d.shape);
 
-        console.log('[D3Sunburst] After manual angle assignment');
+        // Arcs caught leaving by a quick zoom back are taken up again
+        const paths = entering.merge(arcs).order()
+            .style('pointer-events', null);
 
-        const getRadius = (y) => {
-            const normalized = y / this.radius;
-            const exponent = Config.spacing.radiusExponent.base + (maxDepth - Config.spacing.exponentDepthThreshold) * Config.spacing.radiusExponent.perLevel;
-            return Math.pow(normalized, exponent) * this.radius;
-        };
+        Debug.log('[D3Sunburst] Paths created:', paths.size());
 
-        console.log('[D3Sunburst] Radius exponent:', Config.spacing.radiusExponent.base + (maxDepth - Config.spacing.exponentDepthThreshold) * Config.spacing.radiusExponent.perLevel);
+        // Add colours, hover and click events
+        this.decorateMarks(paths);
 
-        const verticalGap = this.radius * Config.spacing.verticalGap;
+        if (animate) {
+            entering.style('opacity', 0);
+            this.tweenArcs(paths, d => d.shape)
+                .style('opacity', 1);
+        } else {
+            paths.interrupt()
+                .property('__shape', d => d.shape)
+                .attr('d', d => this.arc(d.shape));
+        }
 
-        const getPadAngle = (d) => {
-            const depthFraction = d.depth / maxDepth;
-            return Config.spacing.padAngle.inner - (depthFraction * (Config.spacing.padAngle.inner - Config.spacing.padAngle.outer));
-        };
+        this.renderLabels(animate);
+    }
 
-        this.arc.innerRadius(d => getRadius(d.y0) + verticalGap)
-            .outerRadius(d => d.depth === 0 ? Math.min(getRadius(d.y1) - verticalGap, this.radius * Config.chart.maxCenterRadius) : getRadius(d.y1) - verticalGap)
-            .padAngle(getPadAngle);
+    /**
+     * Move arcs from the shape they show to a target shape
+     * @param {Object} selection - D3 selection of arcs
+     * @param {Function} target - Target shape from the datum and the current shape
+     * @returns {Object} D3 transition
+     */
+    tweenArcs(selection, target) {
+        const arc = this.arc;
+        return selection
+            .attr('d', function () { return arc(this.__shape); })
+            .transition()
+            .duration(this.duration)
+            .attrTween('d', function (d) {
+                const interpolate = d3.interpolate(this.__shape, target(d, this.__shape));
+                return t => {
+                    this.__shape = { ...interpolate(t) };
+                    return arc(this.__shape);
+                };
+            });
+    }
+
+    /**
+     * Write titles along the arcs and the root title in the centre
+     * Titles are shortened to the length of their arc and left out of arcs too small to read
+     * @param {boolean} animate - Fade the labels in once the arcs have moved
+     */
+    renderLabels(animate) {
+        const idPrefix = `${this.container.id}-label-`;
 
-        // Clear previous content
-        this.g.selectAll('*').remove();
+        this.labelGroup.selectAll('*').remove();
 
-        // Create paths
-        const paths = this.g.selectAll('path')
-            .data(this.root.descendants())
+        const labels = SunburstLayout.labels(this.root);
+
+        this.labelGroup.append('defs')
+            .selectAll('path')
+            .data(labels)
             .enter()
             .append('path')
-            .attr('d', this.arc)
-            .style('fill', d => TreeBuilder.getNodeColor(d.data, rootNode))
-            .style('cursor', 'pointer')
-            .style('opacity', 1);
+            .attr('id', (label, i) => `${idPrefix}${i}`)
+            .attr('d', label => D3Sunburst.labelPath(label.d.shape, label.radius));
+
+        this.labelGroup.selectAll('text.arc-label')
+            .data(labels)
+            .enter()
+            .append('text')
+            .attr('class', 'chart-label arc-label')
+            .attr('direction', 'rtl')
+            .attr('dominant-baseline', 'middle')
+            .append('textPath')
+            .attr('href', (label, i) => `#${idPrefix}${i}`)
+            .attr('startOffset', '50%')
+            .attr('text-anchor', 'middle')
+            .text(label => ChartRenderer.truncate(label.d.data.title, label.chars));
+
+        this.renderCenterLabel();
+        this.syncLabelState();
+
+        this.labelGroup.interrupt();
+        if (animate) {
+            this.labelGroup.style('opacity', 0)
+                .transition()
+                .delay(this.duration)
+                .duration(Config.animation.labelFade)
+                .style('opacity', 1);
+        } else {
+            this.labelGroup.style('opacity', 1);
+        }
+    }
 
-        console.log('[D3Sunburst] Paths created:', paths.size());
+    /**
+     * Write the title of the shown root in the centre circle, wrapped over a few lines
+     */
+    renderCenterLabel() {
+        const { centerLineHeight, centerMaxLines } = Config.chart;
+        const chars = SunburstLayout.centerChars(this.root);
+        if (chars === 0) return;
+
+        const lines = D3Sunburst.wrapLines(this.root.data.title, chars, centerMaxLines);
+        this.labelGroup.append('text')
+            .attr('class', 'chart-label center-label')
+            .attr('direction', 'rtl')
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'middle')
+            .selectAll('tspan')
+            .data(lines)
+            .enter()
+            .append('tspan')
+            .attr('x', 0)
+            .attr('y', (line, i) => (i - (lines.length - 1) / 2) * centerLineHeight)
+            .text(line => line);
+    }
+
+    /**
+     * Dim and hide labels together with their arcs
+     */
+    applyMarkState() {
+        super.applyMarkState();
+        this.syncLabelState();
+    }
 
-        // Add hover events
-        paths.on('mouseover', (event, d) => {
-            // Dim all paths
-            paths.style('opacity', 0.3);
-            // Highlight hovered path
-            const brightness = d.depth === 0 ? 1.05 : 1.2;
-            d3.select(event.currentTarget)
-                .style('opacity', 1)
-                .style('filter', `brightness(${brightness})`);
+    syncLabelState() {
+        if (!this.labelGroup) return;
 
-            if (this.onHover) {
-                this.onHover(d.data, event);
-            }
-        })
-        .on('mouseout', (event, d) => {
-            // Reset all paths
-            paths.style('opacity', 1)
-                .style('filter', 'none');
-
-            if (this.onMouseOut) {
-                this.onMouseOut();
-            }
-        })
-        .on('click', (event, d) => {
-            if (this.onClick) {
-                this.onClick(d.data, d);
-            }
+        const marks = new Map();
+        this.marks().each(function (d) {
+            marks.set(d.data.path, this);
         });
+        this.labelGroup.selectAll('text.arc-label')
+            .classed('filtered-out', label => marks.get(label.d.data.path)?.classList.contains('filtered-out'))
+            .classed('filtered-hidden', label => marks.get(label.d.data.path)?.classList.contains('filtered-hidden'));
     }
 
     /**
-     * Zoom to a specific node
-     * @param {Object} node - Node to zoom to
+     * Switch the sizing mode, moving the arcs to their new angles
+     * @param {string} mode - Sizing mode
      */
-    zoomTo(node) {
-        this.currentRoot = node;
-        this.render(node);
+    setSizing(mode) {
+        this.duration = Config.animation.sizingDuration;
+        super.setSizing(mode);
+        this.duration = Config.animation.zoomDuration;
     }
 
     /**
-     * Reset to original root
+     * Jump running transitions to their end
      */
-    reset() {
-        if (this.root) {
-            this.currentRoot = this.root.data;
-            this.render(this.root.data);
+    settle() {
+        this.arcGroup.selectAll('path').interrupt();
+        this.arcGroup.selectAll('path:not(.chart-mark)').remove();
+        this.marks()
+            .property('__shape', d => d.shape)
+            .attr('d', d => this.arc(d.shape))
+            .style('opacity', 1);
+        this.labelGroup.interrupt().style('opacity', 1);
+    }
+
+    /**
+     * Path along the middle of an arc for its label
+     * Arcs in the lower half run the other way round, so that no label is upside down
+     * @param {Object} shape - Arc shape
+     * @param {number} radius - Radius of the path
+     * @returns {string} SVG path
+     */
+    static labelPath({ x0, x1, pad }, radius) {
+        const mid = (x0 + x1) / 2;
+        // Slightly less than a half circle on each side, so that start and end never meet
+        const half = Math.min(Math.max(0, (x1 - x0 - pad) / 2), Math.PI - 0.01);
+        const point = (angle) => `${radius * Math.sin(angle)},${-radius * Math.cos(angle)}`;
+        const large = 2 * half > Math.PI ? 1 : 0;
+
+        return Math.cos(mid) < 0
+            ? `M${point(mid + half)}A${radius},${radius} 0 ${large} 0 ${point(mid - half)}`
+            : `M${point(mid - half)}A${radius},${radius} 0 ${large} 1 ${point(mid + half)}`;
+    }
+
+    /**
+     * Break a title into lines at spaces
+     * @param {string} text - Title
+     * @param {number} chars - Most characters on a line
+     * @param {number} maxLines - Most lines; the last one is shortened if needed
+     * @returns {Array<string>} Lines
+     */
+    static wrapLines(text, chars, maxLines) {
+        const lines = [];
+        let line = '';
+        String(text ?? '').split(/\s+/).filter(Boolean).forEach(word => {
+            if (line && `${line} ${word}`.length > chars) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        if (line) lines.push(line);
+
+        if (lines.length > maxLines) {
+            const rest = lines.slice(maxLines - 1).join(' ');
+            return [...lines.slice(0, maxLines - 1), ChartRenderer.truncate(rest, chars)];
         }
+        return lines.map(l => ChartRenderer.truncate(l, chars));
     }
-}
\ No newline at end of file
+}
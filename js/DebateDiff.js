@@ -0,0 +1,135 @@
+/**
+ * Debate Diff
+ * Matches the nodes of two debates and lists the structural differences between them
+ */
+
+import { Config } from './config.js';
+import { PersianText } from './PersianText.js';
+
+export class DebateDiff {
+    /**
+     * Pair nodes of two debates
+     * Nodes with the same normalised title match, preferring the same id; nodes left
+     * over that share an id are taken to be the same node with an edited title
+     * @param {Array} baseNodes - Nodes of the base debate
+     * @param {Array} currentNodes - Nodes of the current debate
+     * @returns {Map<string, string>} Current node id by base node id
+     */
+    static match(baseNodes, currentNodes) {
+        const matches = new Map();
+        const taken = new Set();
+        const key = (node) => PersianText.normalize(node.title);
+
+        const currentByTitle = new Map();
+        currentNodes.forEach(node => {
+            if (!currentByTitle.has(key(node))) currentByTitle.set(key(node), []);
+            currentByTitle.get(key(node)).push(node);
+        });
+
+        baseNodes.forEach(node => {
+            const candidates = (currentByTitle.get(key(node)) || []).filter(c => !taken.has(c.id));
+            const match = candidates.find(c => c.id === node.id) || candidates[0];
+            if (match) {
+                matches.set(node.id, match.id);
+                taken.add(match.id);
+            }
+        });
+
+        const currentIds = new Set(currentNodes.map(n => n.id));
+        baseNodes.forEach(node => {
+            if (!matches.has(node.id) && currentIds.has(node.id) && !taken.has(node.id)) {
+                matches.set(node.id, node.id);
+                taken.add(node.id);
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Compare two debates, typically two versions of the same map
+     * @param {Array} baseNodes - Nodes of the base (older) debate
+     * @param {Array} currentNodes - Nodes of the current debate
+     * @returns {Object} Matches and lists of added, removed, retitled, reparented,
+     *                   rescored and flipped nodes
+     */
+    static diff(baseNodes, currentNodes) {
+        const matches = this.match(baseNodes, currentNodes);
+        const matchedCurrent = new Set(matches.values());
+        const baseById = new Map(baseNodes.map(n => [n.id, n]));
+        const currentById = new Map(currentNodes.map(n => [n.id, n]));
+
+        // Relations of a base node expressed with current ids; unmatched targets stay distinguishable
+        const mappedRelations = (node) => (node.relations || []).map(r => ({
+            ...r,
+            target_node_id: matches.get(r.target_node_id) ?? `base:${r.target_node_id}`
+        }));
+
+        const result = {
+            matches,
+            added: currentNodes.filter(n => !matchedCurrent.has(n.id)),
+            removed: baseNodes.filter(n => !matches.has(n.id)),
+            retitled: [],
+            reparented: [],
+            rescored: [],
+            flipped: []
+        };
+
+        matches.forEach((currentId, baseId) => {
+            const before = baseById.get(baseId);
+            const after = currentById.get(currentId);
+
+            if (PersianText.normalize(before.title) !== PersianText.normalize(after.title)) {
+                result.retitled.push({ node: after, before: before.title });
+            }
+
+            const beforeRelations = mappedRelations(before);
+            const afterRelations = after.relations || [];
+            const beforeParents = beforeRelations.map(r => r.target_node_id).sort();
+            const afterParents = afterRelations.map(r => r.target_node_id).sort();
+            if (beforeParents.join('|') !== afterParents.join('|')) {
+                result.reparented.push({
+                    node: after,
+                    before: beforeRelations.map(r => r.target_node_id.startsWith('base:')
+                        ? baseById.get(r.target_node_id.slice(5))?.title
+                        : currentById.get(r.target_node_id)?.title),
+                    after: afterRelations.map(r => currentById.get(r.target_node_id)?.title)
+                });
+            }
+
+            afterRelations.forEach(relation => {
+                const previous = beforeRelations.find(r => r.target_node_id === relation.target_node_id);
+                if (previous && previous.relation_type !== relation.relation_type) {
+                    result.flipped.push({
+                        node: after,
+                        target: currentById.get(relation.target_node_id),
+                        before: previous.relation_type,
+                        after: relation.relation_type
+                    });
+                }
+            });
+
+            const threshold = Config.compare.scoreThreshold;
+            // Rounded so that a change of exactly the threshold is not lost to float error
+            const changedBy = (field) => Number(Math.abs((before.score?.[field] ?? 0) - (after.score?.[field] ?? 0)).toFixed(6));
+            if (changedBy('intensity') >= threshold || changedBy('confidence') >= threshold) {
+                result.rescored.push({ node: after, before: before.score || {}, after: after.score || {} });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Ids of current nodes that differ from the base
+     * @param {Object} diff - Result of diff
+     * @returns {Array<string>} Node ids
+     */
+    static changedIds(diff) {
+        const ids = [
+            ...diff.added.map(n => n.id),
+            ...[...diff.retitled, ...diff.reparented, ...diff.rescored, ...diff.flipped].map(entry => entry.node.id)
+        ];
+        return [...new Set(ids)];
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Debate Library
+ * Reads the debate manifest and sorts, filters and searches its entries
+ */
+
+import { Config } from './config.js';
+import { PersianText } from './PersianText.js';
+
+export class DebateLibrary {
+    /**
+     * Fetch and parse the manifest
+     * @returns {Promise<Array<Object>>} Library entries
+     */
+    static async load() {
+        // Bypass the cache so that refreshing picks up an edited manifest
+        const response = await fetch(`${Config.library.manifest}?t=${Date.now()}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${Config.library.manifest}`);
+        }
+        return this.parse(await response.json());
+    }
+
+    /**
+     * Read entries from a manifest
+     * Supports the described { debates: [...] } format and the older { files: [...] } list
+     * @param {Object} manifest - Parsed manifest
+     * @returns {Array<Object>} Library entries
+     */
+    static parse(manifest) {
+        const entries = Array.isArray(manifest?.debates) ? manifest.debates : manifest?.files;
+        if (!Array.isArray(entries)) {
+            throw new Error('Manifest has no "debates" array');
+        }
+        return entries.map(entry => this.normalizeEntry(entry)).filter(entry => entry.file);
+    }
+
+    /**
+     * Fill in missing manifest fields
+     * @param {Object|string} entry - Manifest entry, or a bare filename in the older format
+     * @returns {Object} Entry with every field present
+     */
+    static normalizeEntry(entry) {
+        const fields = typeof entry === 'string' ? { file: entry } : (entry || {});
+        const file = fields.file || '';
+        return {
+            file,
+            title: fields.title || file.replace(/\.json$/i, ''),
+            description: fields.description || '',
+            date: fields.date || '',
+            language: fields.language || '',
+            tags: Array.isArray(fields.tags) ? fields.tags : [],
+            speakers: Array.isArray(fields.speakers) ? fields.speakers : [],
+            nodeCount: Number.isInteger(fields.nodeCount) ? fields.nodeCount : null
+        };
+    }
+
+    /**
+     * Entries matching a search query and a tag
+     * @param {Array<Object>} entries - Library entries
+     * @param {string} query - Text searched in title, description, tags, speakers and filename
+     * @param {string} tag - Tag the entry must have, or '' for any
+     * @returns {Array<Object>} Matching entries
+     */
+    static filter(entries, query, tag) {
+        const needle = PersianText.normalize(query).toLowerCase();
+        return entries.filter(entry => {
+            if (tag && !entry.tags.includes(tag)) return false;
+            if (!needle) return true;
+            const haystack = [entry.title, entry.description, entry.file, ...entry.tags, ...entry.speakers].join(' ');
+            return PersianText.normalize(haystack).toLowerCase().includes(needle);
+        });
+    }
+
+    /**
+     * Sort entries
+     * @param {Array<Object>} entries - Library entries
+     * @param {string} order - 'manifest', 'title', 'date' (newest first) or 'size' (largest first)
+     * @returns {Array<Object>} Sorted copy
+     */
+    static sort(entries, order) {
+        const sorted = [...entries];
+        switch (order) {
+            case 'title':
+                return sorted.sort((a, b) => a.title.localeCompare(b.title, 'fa'));
+            case 'date':
+                // Entries without a date go last
+                return sorted.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+            case 'size':
+                return sorted.sort((a, b) => (b.nodeCount ?? -1) - (a.nodeCount ?? -1));
+            default:
+                return sorted;
+        }
+    }
+
+    /**
+     * All tags used in the library
+     * @param {Array<Object>} entries - Library entries
+     * @returns {Array<string>} Tags in alphabetical order
+     */
+    static tags(entries) {
+        return [...new Set(entries.flatMap(entry => entry.tags))].sort((a, b) => a.localeCompare(b, 'fa'));
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Debate Search
+ * Full-text search and attribute filters over the nodes of a debate
+ */
+
+import { PersianText } from './PersianText.js';
+import { UNKNOWN_SPEAKER } from './SpeakerAnalytics.js';
+
+// Node fields searched, with their Persian labels
+const SEARCH_FIELDS = {
+    title: 'عنوان',
+    description: 'توضیح',
+    quote: 'نقل قول',
+    speaker: 'گوینده',
+    reasoning: 'دلیل ارتباط'
+};
+
+export class DebateSearch {
+    /**
+     * Search nodes for a query
+     * @param {Array} nodes - Flat node list
+     * @param {Map<string, Array<Object>>} occurrences - Occurrences from TreeBuilder.collectOccurrences
+     * @param {string} query - Raw query text
+     * @returns {Array<Object>} Hits with node, matched field labels, occurrence paths and breadcrumb
+     */
+    static search(nodes, occurrences, query) {
+        const normalizedQuery = PersianText.normalize(query);
+        if (!normalizedQuery) return [];
+
+        const titles = new Map(nodes.map(n => [n.id, n.title]));
+        const hits = [];
+
+        nodes.forEach(node => {
+            const values = {
+                title: node.title,
+                description: node.description,
+                quote: node.quote,
+                speaker: node.speaker,
+                reasoning: (node.relations || []).map(r => r.reasoning).join(' ')
+            };
+            const fields = Object.keys(SEARCH_FIELDS).filter(key => PersianText.includes(values[key], normalizedQuery));
+            if (fields.length === 0) return;
+
+            const paths = (occurrences.get(node.id) || []).map(o => o.path);
+            hits.push({
+                node,
+                fields: fields.map(key => SEARCH_FIELDS[key]),
+                paths,
+                breadcrumb: paths.length > 0
+                    ? paths[0].split('/').slice(0, -1).map(id => titles.get(id))
+                    : []
+            });
+        });
+
+        // Title matches are the most specific, show them first
+        return hits.sort((a, b) => (b.fields[0] === SEARCH_FIELDS.title) - (a.fields[0] === SEARCH_FIELDS.title));
+    }
+
+    /**
+     * Build a predicate from attribute filters
+     * Empty filter values match everything; UNKNOWN_SPEAKER matches nodes without a speaker
+     * @param {Object} filters - speaker, type, relationType, minIntensity, maxIntensity
+     * @returns {Function|null} Predicate on tree nodes, or null when no filter is active
+     */
+    static buildFilter(filters) {
+        const { speaker, type, relationType, minIntensity, maxIntensity } = filters;
+        const active = speaker || type || relationType || minIntensity > 0 || maxIntensity < 1;
+        if (!active) return null;
+
+        return (node) => {
+            const intensity = node.score?.intensity ?? 0;
+            return (!speaker || (node.speaker || UNKNOWN_SPEAKER) === speaker)
+                && (!type || node.type === type)
+                && (!relationType || node.relationType === relationType)
+                && intensity >= minIntensity
+                && intensity <= maxIntensity;
+        };
+    }
+}
@@ -3,160 +3,328 @@
  * Main application logic for loading, visualizing, and interacting with debate data
  */
 
+import { AccessibleTree } from './AccessibleTree.js';
+import { ArgumentEvaluator } from './ArgumentEvaluator.js';
+import { CompareView } from './CompareView.js';
 import { Config } from './config.js';
 import { D3Sunburst } from './D3Sunburst.js';
+import { DebateDiff } from './DebateDiff.js';
+import { Debug } from './Debug.js';
+import { DiagnosticsPanel } from './DiagnosticsPanel.js';
+import { ExportDialog } from './ExportDialog.js';
+import { Extractor } from './Extractor.js';
+import { Exporter } from './Exporter.js';
+import { ForceGraph } from './ForceGraph.js';
+import { GraphEditor } from './GraphEditor.js';
+import { GraphValidator } from './GraphValidator.js';
+import { IcicleChart } from './IcicleChart.js';
+import { Importer } from './Importer.js';
+import { Legend } from './Legend.js';
+import { LibraryPanel } from './LibraryPanel.js';
+import { LocalStore } from './LocalStore.js';
+import { Markup } from './Markup.js';
+import { MergeDialog } from './MergeDialog.js';
+import { NodeEditor } from './NodeEditor.js';
+import { NodeLinkTree } from './NodeLinkTree.js';
+import { PromptDialog } from './PromptDialog.js';
+import { QuoteAnchor } from './QuoteAnchor.js';
+import { SearchPanel } from './SearchPanel.js';
+import { SpeakerAnalytics, UNKNOWN_SPEAKER } from './SpeakerAnalytics.js';
+import { SpeakerDashboard } from './SpeakerDashboard.js';
+import { TranscriptPane } from './TranscriptPane.js';
 import { TreeBuilder } from './TreeBuilder.js';
+import { UrlState } from './UrlState.js';
+import { VersionDialog } from './VersionDialog.js';
+
+// Chart views by name, each built into the chart container
+const VIEWS = {
+    'sunburst': (containerId) => new D3Sunburst(containerId),
+    'icicle': (containerId) => new IcicleChart(containerId),
+    'tree-rtl': (containerId) => new NodeLinkTree(containerId, 'rtl'),
+    'tree-ltr': (containerId) => new NodeLinkTree(containerId, 'ltr'),
+    'force': (containerId) => new ForceGraph(containerId)
+};
+
+// Views that share their parent's span between siblings and so follow the sizing mode
+const SIZED_VIEWS = ['sunburst', 'icicle'];
 
 export class DebateVisualizer {
     constructor() {
         this.chart = null;
+        this.view = Config.layouts.defaultView;
+        this.diagnostics = null;
+        this.mergeDialog = null;
+        this.exportDialog = null;
+        this.promptDialog = null;
+        // Abort controller of a running extraction
+        this.extraction = null;
+        this.searchPanel = null;
+        this.compareView = null;
+        this.accessibleTree = null;
+        this.speakerDashboard = null;
+        this.speakerStats = [];
+        this.transcriptPane = null;
+        // Source transcript of the open debate: { name, text, anchors }
+        this.transcript = null;
+        this.editor = null;
+        this.nodeEditor = null;
         this.currentData = null;
         this.currentTree = null;
+        this.occurrences = null;
+        this.evaluation = null;
+        this.semantics = Config.evaluation.defaultSemantics;
         this.zoomStack = [];
+        // Tree node shown in the pinned detail panel
+        this.pinnedNode = null;
         this.activeFile = null;
+        // Id of the open debate in LocalStore, null until it has been saved there
+        this.localId = null;
+        // Counts opened debates, so that a save finishing late does not touch the next one
+        this.session = 0;
+        // Save waiting for more edits: { session, localId, source, nodes, note, timer }
+        this.pendingSave = null;
+        this.saving = Promise.resolve();
+        // Set while the URL is being applied, and on startup until it has been,
+        // so that applying it does not rewrite it
+        this.restoringUrl = true;
 
         this.init();
     }
 
     init() {
-        console.log('[DebateVisualizer] init() called');
-        console.log('[DebateVisualizer] d3 available:', typeof d3 !== 'undefined');
+        Debug.log('[DebateVisualizer] init() called');
+        Debug.log('[DebateVisualizer] d3 available:', typeof d3 !== 'undefined');
+
+        // Initialize chart in the default view
+        this.setView(this.view);
+
+        // Initialize editing, every edit rebuilds the tree and re-renders the chart
+        this.editor = new GraphEditor();
+        this.editor.onChange = (nodes) => this.handleGraphChange(nodes);
+        this.nodeEditor = new NodeEditor(this.editor);
+        this.nodeEditor.onError = (message) => alert(`خطا: ${message}`);
+
+        // Initialize the legend of fill colours and textures
+        this.legend = new Legend('legend');
+
+        // Initialize validation diagnostics panel
+        this.diagnostics = new DiagnosticsPanel('diagnosticsPanel');
+        this.diagnostics.onSelectNode = (nodeId) => this.focusNode(nodeId);
+
+        // Initialize search and filters
+        this.searchPanel = new SearchPanel('exploreBar');
+        this.searchPanel.onHighlight = (ids) => {
+            this.chart.setSearchHits(ids);
+            this.syncUrl();
+        };
+        this.searchPanel.onFilter = (predicate, mode) => {
+            this.chart.setFilter(predicate, mode);
+            this.syncUrl();
+        };
+        this.searchPanel.onSelect = (path) => this.jumpToOccurrence(path);
 
-        // Initialize D3 Sunburst chart
-        this.chart = new D3Sunburst('sunburstChart');
+        // Set up pinned detail panel
+        this.setupDetailPanel();
 
-        // Set up event handlers
-        this.chart.onHover = (nodeData, event) => this.handleHover(nodeData, event);
-        this.chart.onMouseOut = () => this.handleMouseOut();
-        this.chart.onClick = (nodeData, d3Node) => this.handleClick(nodeData, d3Node);
+        // Set up transcript pane
+        this.setupTranscript();
+
+        // Set up side-by-side comparison
+        this.setupCompare();
+
+        // Initialize text version of the chart for screen readers
+        this.accessibleTree = new AccessibleTree('accessibleTree');
+        this.accessibleTree.describe = (node) => this.describeNode(node);
+        this.accessibleTree.onSelect = (path) => this.jumpToOccurrence(path);
 
-        // Load file list
-        this.loadFileList();
+        // Load the debate library, then open what the URL points to
+        this.setupLibrary();
+        this.library.load().then(() => this.restoreFromUrl());
+        window.addEventListener('popstate', () => this.restoreFromUrl());
 
         // Set up upload functionality
         this.setupUpload();
 
-        // Set up copy prompt functionality
+        // Set up argument evaluation controls
+        this.setupEvaluation();
+
+        // Set up incremental batch merging
+        this.setupAppendBatch();
+
+        // Set up export menu
+        this.setupExport();
+
+        // Set up speaker dashboard
+        this.setupSpeakers();
+
+        // Set up prompt builder
         this.setupCopyPrompt();
     }
 
     /**
-     * Load list of JSON files from json directory
-     * Dynamically discovers JSON files by attempting to fetch them
+     * Set up the debate library in the sidebar
      */
-    async loadFileList() {
-        const fileList = document.getElementById('fileList');
-        fileList.innerHTML = '<div class="loading">در حال بارگذاری...</div>';
+    setupLibrary() {
+        this.library = new LibraryPanel('fileList');
+        this.library.onSelect = (filename) => this.loadFile(filename);
+        this.library.onSelectLocal = (id) => this.openLocal(id);
+        this.library.onHistory = (id) => this.showVersions(id);
+        this.library.onDeleteLocal = (id) => this.forgetLocal(id);
+        this.library.onError = (message) => alert(`خطا: ${message}`);
+
+        this.versionDialog = new VersionDialog('versionDialog');
+        this.versionDialog.onRestore = (id, version) => this.restoreVersion(id, version);
+    }
 
+    /**
+     * Open a debate stored in the browser at its latest version
+     * @param {number} id - Debate id in LocalStore
+     */
+    async openLocal(id) {
         try {
-            // Try to fetch a manifest file first
-            const files = await this.discoverJsonFiles();
+            const record = await LocalStore.get(id);
+            if (!record) {
+                alert('خطا: این مباحثه در مرورگر پیدا نشد.');
+                return;
+            }
 
-            fileList.innerHTML = '';
+            const data = { new_nodes: record.versions[record.versions.length - 1].nodes };
+            const report = GraphValidator.validate(data);
+            this.diagnostics.show(report);
+            this.activeFile = record.source;
 
-            for (const filename of files) {
-                const fileItem = await this.createFileItem(filename);
-                fileList.appendChild(fileItem);
+            if (!GraphValidator.isRenderable(report) || !this.showDebate(data)) {
+                console.error('Failed to build tree from stored debate');
+                this.hideChart();
+            } else if (record.source && this.library.has(record.source)) {
+                this.loadTranscriptFor(record.source);
             }
+            this.localId = id;
+            this.library.setActive(`local:${id}`);
+            this.syncUrl();
         } catch (error) {
-            console.error('Error loading file list:', error);
-            fileList.innerHTML = '<div class="loading">خطا در بارگذاری فایل‌ها</div>';
+            console.error('Error opening stored debate:', error);
+            alert('خطا در خواندن مباحثه از حافظه مرورگر');
         }
     }
 
     /**
-     * Discover JSON files in the json directory
-     * Tries multiple methods to find available JSON files
-     * @returns {Promise<Array<string>>} Array of JSON filenames
+     * Save the open debate as a new version once editing pauses
+     * A debate that is not stored yet, such as a bundled file being edited, is stored as a new debate
+     * @param {string} note - What changed, shown in the version list
      */
-    async discoverJsonFiles() {
-        let files = [];
+    scheduleSave(note = 'ویرایش') {
+        if (!LocalStore.isAvailable() || !this.currentData) return;
+
+        clearTimeout(this.pendingSave?.timer);
+        this.pendingSave = {
+            session: this.session,
+            localId: this.localId,
+            source: this.activeFile,
+            nodes: this.currentData.new_nodes,
+            note,
+            timer: setTimeout(() => this.flushSave(), Config.storage.saveDelay)
+        };
+    }
 
-        try {
-            // Method 1: Try to fetch a manifest file
-            const manifestResponse = await fetch('json/files.json');
-            if (manifestResponse.ok) {
-                const manifest = await manifestResponse.json();
-                if (Array.isArray(manifest.files)) {
-                    files = manifest.files;
-                    console.log('[DebateVisualizer] Loaded file list from manifest:', files);
-                    return files;
-                }
-            }
-        } catch (e) {
-            console.log('[DebateVisualizer] No manifest file found, trying fallback methods');
+    /**
+     * Save the pending version now
+     * @returns {Promise} Resolves when every save so far has finished
+     */
+    flushSave() {
+        const save = this.pendingSave;
+        if (save) {
+            clearTimeout(save.timer);
+            this.pendingSave = null;
+            // One at a time, so that a debate is never created twice
+            this.saving = this.saving.then(() => this.saveLocal(save));
         }
+        return this.saving;
+    }
 
-        try {
-            // Method 2: Try to fetch an index file (common in static hosting)
-            const indexResponse = await fetch('json/?t=' + Date.now(), { method: 'HEAD' });
-            if (indexResponse.ok) {
-                console.log('[DebateVisualizer] Index listing available, but parsing not supported in pure JS');
-            }
-        } catch (e) {
-            console.log('[DebateVisualizer] Cannot list directory directly');
-        }
+    /**
+     * Write a version to LocalStore
+     * @param {Object} save - Pending save
+     */
+    async saveLocal({ session, localId, source, nodes, note }) {
+        const current = session === this.session;
+        // An earlier save of the same debate may have created it meanwhile
+        let id = current ? this.localId : localId;
 
         try {
-            // Method 3: Try to discover files by attempting common filenames
-            const potentialFiles = ['hijab.json', 'debate.json', 'argument.json', 'logic.json'];
-
-            for (const filename of potentialFiles) {
-                try {
-                    const response = await fetch(`json/${filename}`, { method: 'HEAD' });
-                    if (response.ok) {
-                        if (!files.includes(filename)) {
-                            files.push(filename);
-                            console.log('[DebateVisualizer] Discovered file:', filename);
-                        }
-                    }
-                } catch (e) {
-                    // File doesn't exist, skip
-                }
+            if (id === null) {
+                id = await LocalStore.create({ title: this.titleFor(nodes, source), source, nodes, note });
+            } else {
+                await LocalStore.addVersion(id, nodes, note);
             }
-        } catch (e) {
-            console.log('[DebateVisualizer] File discovery failed:', e);
-        }
 
-        // Fallback: Return hijab.json if no files found
-        if (files.length === 0) {
-            console.log('[DebateVisualizer] No files discovered, using fallback');
-            files = ['hijab.json'];
+            if (current && session === this.session) {
+                this.localId = id;
+                this.library.setActive(`local:${id}`);
+                this.syncUrl();
+            }
+            await this.library.loadLocal();
+        } catch (error) {
+            console.error('[DebateVisualizer] Saving to the browser failed:', error);
+            this.showToast('ذخیره در حافظه مرورگر ممکن نشد');
         }
+    }
 
-        return files;
+    /**
+     * Title for a debate stored for the first time
+     * @param {Array} nodes - Nodes of the debate
+     * @param {string|null} source - File it came from
+     * @returns {string} Library title of the file, else the thesis title, else the filename
+     */
+    titleFor(nodes, source) {
+        const entry = source && this.library.entryFor(source);
+        const thesis = nodes.find(n => n.type === 'thesis');
+        return entry?.title || thesis?.title || source || 'مباحثه بدون عنوان';
     }
 
     /**
-     * Create a file list item
-     * @param {string} filename - Name of the JSON file
-     * @returns {Promise<HTMLElement>} File item element
+     * Show the saved versions of a stored debate
+     * @param {number} id - Debate id in LocalStore
      */
-    async createFileItem(filename) {
-        const item = document.createElement('div');
-        item.className = 'file-item';
-        item.dataset.filename = filename;
+    async showVersions(id) {
+        await this.flushSave();
+        const record = await LocalStore.get(id);
+        if (record) {
+            this.versionDialog.open(record);
+        }
+    }
 
-        try {
-            const data = await this.loadJsonFile(filename);
-            const thesisNode = data.new_nodes?.find(n => n.type === 'thesis');
-            const title = thesisNode?.title || filename.replace('.json', '');
-            const nodeCount = data.new_nodes?.length || 0;
+    /**
+     * Bring back an earlier version as a new version, so that the restore can itself be undone
+     * @param {number} id - Debate id in LocalStore
+     * @param {Object} version - Version to restore
+     */
+    async restoreVersion(id, version) {
+        if (this.localId !== id) {
+            await this.openLocal(id);
+            if (this.localId !== id) return;
+        }
 
-            item.innerHTML = `
-                <div class="file-item-title">${title}</div>
-                <div class="file-item-meta">${nodeCount} گزاره</div>
-            `;
+        this.editor.replaceAll(version.nodes);
+        this.scheduleSave(`بازگردانی نسخه ${new Date(version.date).toLocaleString('fa-IR')}`);
+        this.flushSave();
+        this.showToast('نسخه بازگردانی شد');
+    }
 
-            item.addEventListener('click', () => this.loadFile(filename, item));
-        } catch (error) {
-            item.innerHTML = `
-                <div class="file-item-title">${filename}</div>
-                <div class="file-item-meta">خطا در بارگذاری</div>
-            `;
+    /**
+     * Detach the open debate from a stored debate that was deleted
+     * @param {number} id - Deleted debate id
+     */
+    forgetLocal(id) {
+        if (this.pendingSave?.localId === id) {
+            clearTimeout(this.pendingSave.timer);
+            this.pendingSave = null;
+        }
+        if (this.localId === id) {
+            this.localId = null;
+            this.library.setActive(null);
+            this.syncUrl();
         }
-
-        return item;
     }
 
     /**
@@ -175,53 +343,105 @@ export class DebateVisualizer {
     /**
      * Load and visualize a debate file
      * @param {string} filename - Name of the file
-     * @param {HTMLElement} fileItem - The clicked file item element
      */
-    async loadFile(filename, fileItem) {
-        console.log('[DebateVisualizer] loadFile() called with filename:', filename);
-
-        // Update active state
-        document.querySelectorAll('.file-item').forEach(item => {
-            item.classList.remove('active');
-        });
-        fileItem.classList.add('active');
+    async loadFile(filename) {
+        Debug.log('[DebateVisualizer] loadFile() called with filename:', filename);
 
+        this.library.setActive(filename);
         this.activeFile = filename;
 
         try {
             const data = await this.loadJsonFile(filename);
-            console.log('[DebateVisualizer] Data loaded:', data);
+            Debug.log('[DebateVisualizer] Data loaded:', data);
             this.currentData = data;
 
-            // Build tree from flat nodes
-            this.currentTree = TreeBuilder.buildTree(data.new_nodes);
-            console.log('[DebateVisualizer] Tree built:', this.currentTree);
+            const report = GraphValidator.validate(data);
+            this.diagnostics.show(report);
 
-            if (!this.currentTree) {
+            if (!GraphValidator.isRenderable(report) || !this.showDebate(data)) {
                 console.error('Failed to build tree from data');
-                return;
+                this.hideChart();
+            } else {
+                this.loadTranscriptFor(filename);
             }
-
-            // Reset zoom stack
-            this.zoomStack = [this.currentTree];
-
-            // Show chart, hide empty state
-            document.getElementById('chartWrapper').classList.add('active');
-            document.getElementById('emptyState').style.display = 'none';
-
-            // Update UI - after chart is visible
-            this.updateChartHeader(this.currentTree);
-            console.log('[DebateVisualizer] About to call chart.render()');
-            this.chart.render(this.currentTree);
-
-            setTimeout(() => this.chart.resize(), Config.animation.resizeDelay);
-
+            this.syncUrl();
         } catch (error) {
             console.error('Error loading file:', error);
             alert('خطا در بارگذاری فایل');
         }
     }
 
+    /**
+     * Build the tree of a debate and show it from the thesis
+     * @param {Object} data - Debate data with new_nodes
+     * @returns {boolean} True if a tree could be built
+     */
+    showDebate(data) {
+        // Finish saving the debate being closed
+        this.flushSave();
+        this.session++;
+        this.localId = null;
+        this.currentData = data;
+
+        // Build tree from flat nodes
+        this.currentTree = TreeBuilder.buildTree(data.new_nodes);
+        Debug.log('[DebateVisualizer] Tree built:', this.currentTree);
+
+        if (!this.currentTree) {
+            return false;
+        }
+
+        this.occurrences = TreeBuilder.collectOccurrences(this.currentTree);
+        this.evaluateTree();
+        this.updateSpeakers();
+
+        // Reset zoom stack and edit history
+        this.zoomStack = [this.currentTree];
+        this.unpinNode();
+        this.clearTranscript();
+        this.searchPanel.setDebate(data.new_nodes, this.occurrences);
+        this.accessibleTree.render(this.currentTree);
+        this.chart.setHighlightedIds([]);
+        this.updateCompare();
+        this.editor.load(data.new_nodes);
+        this.nodeEditor.updateHistoryButtons();
+
+        // Show chart, hide empty state
+        document.getElementById('chartWrapper').classList.add('active');
+        document.getElementById('emptyState').style.display = 'none';
+
+        // Update UI - after chart is visible
+        this.updateChartHeader(this.currentTree);
+        Debug.log('[DebateVisualizer] About to call chart.render()');
+        this.chart.render(this.currentTree);
+
+        setTimeout(() => this.chart.resize(), Config.animation.resizeDelay);
+        return true;
+    }
+
+    /**
+     * Hide the chart and show the empty state
+     */
+    hideChart() {
+        this.currentTree = null;
+        this.occurrences = null;
+        this.evaluation = null;
+        this.updateVerdict();
+        this.searchPanel.hide();
+        this.accessibleTree.clear();
+        this.unpinNode();
+        this.clearTranscript();
+        if (this.compareView.isOpen()) {
+            this.compareView.close();
+            this.endCompare();
+        }
+        document.getElementById('chartWrapper').classList.remove('active');
+        document.getElementById('emptyState').style.display = '';
+        document.getElementById('chartTitle').textContent = 'نمایش این مباحثه ممکن نیست';
+        document.getElementById('breadcrumb').innerHTML = '';
+        this.updateOccurrenceNav(null);
+    }
+
     /**
      * Update chart header with current node info
      * @param {Object} node - Current root node
@@ -235,7 +455,7 @@ export class DebateVisualizer {
         // Build breadcrumb
         if (this.zoomStack.length > 1) {
             const breadcrumbItems = this.zoomStack.map((n, index) => {
-                return `<span class="breadcrumb-item" data-index="${index}">${n.title}</span>`;
+                return `<span class="breadcrumb-item" data-index="${index}">${Markup.escape(n.title)}</span>`;
             });
             breadcrumbEl.innerHTML = breadcrumbItems.join('<span class="breadcrumb-separator"> / </span>');
 
@@ -249,6 +469,77 @@ export class DebateVisualizer {
         } else {
             breadcrumbEl.innerHTML = '';
         }
+
+        this.updateOccurrenceNav(node);
+
+        // The comparison chart follows the zoom
+        if (this.compareView?.isOpen()) {
+            this.compareView.syncTo(node);
+        }
+    }
+
+    /**
+     * Show links to every occurrence of a shared node
+     * @param {Object} node - Tree node whose occurrences are listed
+     */
+    updateOccurrenceNav(node) {
+        const navEl = document.getElementById('occurrenceNav');
+        const occurrences = node?.isShared ? (this.occurrences?.get(node.id) || []) : [];
+
+        if (occurrences.length < 2) {
+            navEl.innerHTML = '';
+            navEl.classList.remove('visible');
+            return;
+        }
+
+        const items = occurrences.map(occurrence => {
+            const parentId = occurrence.path.split('/').slice(-2)[0];
+            const parentTitle = this.occurrences.get(parentId)?.[0]?.title || parentId;
+            const current = occurrence.path === node.path ? ' current' : '';
+            return `<span class="occurrence-item${current}" data-path="${Markup.escape(occurrence.path)}">${Markup.escape(parentTitle)}</span>`;
+        });
+        navEl.innerHTML = `<span class="occurrence-label">تکرار زیر ${occurrences.length} گزاره:</span>${items.join('')}`;
+        navEl.classList.add('visible');
+
+        navEl.querySelectorAll('.occurrence-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                this.jumpToOccurrence(e.target.dataset.path);
+            });
+        });
+    }
+
+    /**
+     * Bring a node into view by its id
+     * @param {string} nodeId - ID of the node
+     */
+    focusNode(nodeId) {
+        const occurrences = this.occurrences?.get(nodeId);
+        if (!occurrences || occurrences.length === 0) {
+            this.showToast('این گزاره در نمودار نمایش داده نمی‌شود');
+            return;
+        }
+        this.jumpToOccurrence(occurrences[0].path);
+    }
+
+    /**
+     * Zoom the chart so that a specific occurrence of a node is visible
+     * @param {string} path - Occurrence path of the tree node
+     */
+    jumpToOccurrence(path) {
+        const chain = TreeBuilder.resolvePath(this.currentTree, path);
+        if (!chain) return;
+
+        const target = chain[chain.length - 1];
+
+        // Leaves cannot be zoomed into, so show them inside their parent
+        this.zoomStack = target.children.length > 0 ? chain : chain.slice(0, -1);
+        const node = this.zoomStack[this.zoomStack.length - 1];
+        this.updateChartHeader(node);
+        this.chart.zoomTo(node);
+
+        this.updateOccurrenceNav(target);
+        this.chart.highlightOccurrence(path);
+        this.syncUrl();
     }
 
     /**
@@ -282,10 +573,317 @@ export class DebateVisualizer {
             // If at top level, do nothing
         } else if (nodeData.children && nodeData.children.length > 0) {
             // Zoom in to clicked node
-            this.zoomIn(nodeData.id);
+            this.pinNode(nodeData);
+            this.zoomIn(nodeData);
+        } else {
+            this.pinNode(nodeData);
+            if (nodeData.isShared) {
+                // Leaves cannot be zoomed, but shared ones still list their occurrences
+                this.updateOccurrenceNav(nodeData);
+            }
+        }
+    }
+
+    /**
+     * Set up pinned detail panel
+     */
+    setupDetailPanel() {
+        document.getElementById('detailPanelClose').addEventListener('click', () => this.unpinNode());
+        document.getElementById('copyCitationBtn').addEventListener('click', () => {
+            if (this.pinnedNode) {
+                this.copyText(this.citationFor(this.pinnedNode), 'ارجاع کپی شد');
+            }
+        });
+    }
+
+    /**
+     * Show a node in the pinned detail panel
+     * @param {Object} node - Tree node to pin
+     */
+    pinNode(node) {
+        this.pinnedNode = node;
+        this.hideDetailCard();
+
+        const chain = TreeBuilder.resolvePath(this.currentTree, node.path) || [node];
+        const parent = chain.length > 1 ? chain[chain.length - 2] : null;
+        const supporters = node.children.filter(c => c.relationType !== 'attack');
+        const attackers = node.children.filter(c => c.relationType === 'attack');
+        const quoteMissing = this.transcript?.anchors.get(node.id)?.status === 'missing';
+
+        const link = (target) => `<span class="panel-link" data-path="${Markup.escape(target.path)}">${Markup.escape(target.title)}</span>`;
+        const group = (className, title, children) => children.length === 0 ? '' : `
+            <div class="panel-children ${className}">
+                <h4>${title} (${children.length})</h4>
+                <ul>${children.map(child => `<li>${link(child)}</li>`).join('')}</ul>
+            </div>
+        `;
+        // Scores are only range-checked by the validator, so a string score must not reach toFixed
+        const score = (label, value) => typeof value !== 'number' ? '' : `
+            <div class="panel-score">
+                <span class="score-label">${label}:</span>
+                <div class="score-bar"><div class="score-fill" style="width: ${value * 100}%"></div></div>
+                <span class="score-value">${value.toFixed(2)}</span>
+            </div>
+        `;
+
+        document.getElementById('detailPanelBody').innerHTML = `
+            <div class="detail-card-header">
+                <span class="detail-type ${Markup.escape(node.type)}">${this.translateType(node.type)}</span>
+                ${node.isShared ? `<span class="detail-shared">مشترک میان ${node.parentIds.length} گزاره</span>` : ''}
+                <span class="detail-speaker">${Markup.escape(node.speaker || 'ناشناس')}</span>
+            </div>
+            <h3 class="detail-title">${Markup.escape(node.title)}</h3>
+            <p class="detail-description">${Markup.escape(node.description)}</p>
+            ${parent ? `
+                <div class="panel-parent">
+                    <span class="relation-type ${Markup.escape(node.relationType)}">${this.translateRelation(node.relationType)}</span>
+                    از ${link(parent)}
+                </div>
+                ${node.relationReasoning ? `<p class="panel-reasoning">${Markup.escape(node.relationReasoning)}</p>` : ''}
+            ` : ''}
+            ${node.quote ? `<blockquote class="detail-quote">"${Markup.escape(node.quote)}"</blockquote>` : ''}
+            ${node.isCollapsed ? `<p class="panel-warning">زیرشاخه این گزاره برای سبک ماندن نمودار فقط در <span class="panel-link" data-path="${Markup.escape(this.occurrences.get(node.id)[0].path)}">نخستین جایگاه آن</span> نمایش داده می‌شود.</p>` : ''}
+            ${quoteMissing ? '<p class="panel-warning">این نقل‌قول در متن جلسه یافت نشد و ممکن است ساختگی باشد.</p>' : ''}
+            ${score('شدت', node.score?.intensity ?? 0)}
+            ${score('اطمینان', node.score?.confidence ?? 0)}
+            ${node.acceptability !== undefined ? `<p class="detail-acceptability">پذیرش محاسبه‌شده: ${node.acceptability.toFixed(2)}</p>` : ''}
+            ${group('supporters', 'حامیان', supporters)}
+            ${group('attackers', 'منتقدان', attackers)}
+        `;
+
+        document.querySelectorAll('#detailPanelBody .panel-link').forEach(item => {
+            item.addEventListener('click', () => {
+                const target = TreeBuilder.resolvePath(this.currentTree, item.dataset.path);
+                if (!target) return;
+                this.jumpToOccurrence(item.dataset.path);
+                this.pinNode(target.pop());
+            });
+        });
+
+        const panel = document.getElementById('detailPanel');
+        panel.className = `detail-panel visible${node.relationType ? ` border-${node.relationType}` : ''}`;
+
+        if (this.transcript) {
+            this.transcriptPane.reveal(node.id);
+        }
+    }
+
+    unpinNode() {
+        this.pinnedNode = null;
+        document.getElementById('detailPanel').classList.remove('visible');
+    }
+
+    /**
+     * Set up transcript pane and transcript upload
+     */
+    setupTranscript() {
+        const input = document.getElementById('transcriptInput');
+
+        this.transcriptPane = new TranscriptPane('transcriptPane');
+        this.transcriptPane.onReplace = () => input.click();
+        this.transcriptPane.onSelectNode = (nodeId) => {
+            this.focusNode(nodeId);
+            const occurrence = this.occurrences?.get(nodeId)?.[0];
+            if (occurrence) {
+                this.pinNode(occurrence);
+            }
+        };
+
+        document.getElementById('transcriptBtn').addEventListener('click', () => {
+            if (!this.currentTree) {
+                this.showToast('ابتدا یک مباحثه را باز کنید');
+                return;
+            }
+            if (this.transcript && !this.transcriptPane.isOpen()) {
+                this.transcriptPane.open();
+            } else {
+                input.click();
+            }
+        });
+
+        input.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            // Reset input so same file can be selected again
+            input.value = '';
+            if (!file) return;
+
+            try {
+                this.attachTranscript(file.name, await file.text());
+                this.transcriptPane.open();
+            } catch (error) {
+                console.error('Error reading transcript:', error);
+                alert('خطا: خواندن فایل متن جلسه ممکن نیست.');
+            }
+        });
+    }
+
+    /**
+     * Look for the transcript of a listed debate next to the JSON files
+     * A debate without a transcript is normal, so failures stay silent
+     * @param {string} filename - Name of the debate JSON file
+     */
+    async loadTranscriptFor(filename) {
+        const { folder, extensions } = Config.transcript;
+        const baseName = filename.replace(/\.json$/i, '');
+
+        for (const extension of extensions) {
+            const name = `${baseName}.${extension}`;
+            try {
+                const response = await fetch(`${folder}${name}`);
+                if (!response.ok) continue;
+                const text = await response.text();
+                // Another debate may have been opened meanwhile
+                if (this.activeFile !== filename) return;
+                this.attachTranscript(name, text);
+                this.showToast('متن جلسه بارگذاری شد');
+                return;
+            } catch (e) {
+                // Transcript not available, try the next extension
+            }
         }
     }
 
+    /**
+     * Attach a transcript to the open debate
+     * @param {string} name - File name of the transcript
+     * @param {string} text - Transcript text
+     */
+    attachTranscript(name, text) {
+        this.transcript = { name, text, anchors: new Map() };
+        this.anchorTranscript();
+        this.transcriptPane.show(name, text, this.transcript.anchors, this.currentData.new_nodes);
+        Debug.log('[DebateVisualizer] Transcript attached:', name);
+
+        if (this.pinnedNode) {
+            this.pinNode(this.pinnedNode);
+        }
+    }
+
+    /**
+     * Find the quotes of all nodes in the attached transcript
+     */
+    anchorTranscript() {
+        this.transcript.anchors = QuoteAnchor.anchorAll(this.transcript.text, this.currentData.new_nodes);
+        this.transcriptPane.update(this.transcript.anchors, this.currentData.new_nodes);
+    }
+
+    clearTranscript() {
+        this.transcript = null;
+        this.transcriptPane.clear();
+    }
+
+    /**
+     * Set up side-by-side comparison and its dialog
+     */
+    setupCompare() {
+        const dialog = document.getElementById('compareDialog');
+        const input = document.getElementById('compareInput');
+
+        this.compareView = new CompareView('comparePane');
+        this.compareView.onHover = (nodeData, event) => this.handleHover(nodeData, event);
+        this.compareView.onMouseOut = () => this.handleMouseOut();
+        this.compareView.onSelectNode = (nodeId) => this.focusNode(nodeId);
+        this.compareView.onClose = () => this.endCompare();
+
+        document.getElementById('compareBtn').addEventListener('click', () => {
+            if (!this.currentTree) {
+                this.showToast('ابتدا یک مباحثه را باز کنید');
+                return;
+            }
+            // Library debates, including the open one to compare it with its edited version
+            document.getElementById('compareFile').innerHTML = this.library.entries
+                .map(entry => `<option value="${Markup.escape(entry.file)}">${Markup.escape(entry.title)}</option>`)
+                .join('');
+            dialog.classList.add('visible');
+        });
+
+        document.getElementById('compareConfirm').addEventListener('click', async () => {
+            const filename = document.getElementById('compareFile').value;
+            if (!filename) return;
+            dialog.classList.remove('visible');
+            try {
+                this.startCompare(filename, await this.loadJsonFile(filename));
+            } catch (error) {
+                console.error('Error loading comparison file:', error);
+                alert('خطا در بارگذاری فایل');
+            }
+        });
+
+        document.getElementById('compareUpload').addEventListener('click', () => input.click());
+        input.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            // Reset input so same file can be selected again
+            input.value = '';
+            if (!file) return;
+            dialog.classList.remove('visible');
+            try {
+                this.startCompare(file.name, JSON.parse(await file.text()));
+            } catch (error) {
+                console.error('Error reading comparison file:', error);
+                alert('خطا: فایل نامعتبر است یا خواندن آن ممکن نیست.');
+            }
+        });
+
+        document.getElementById('compareCancel').addEventListener('click', () => dialog.classList.remove('visible'));
+    }
+
+    /**
+     * Show a debate next to the open one
+     * @param {string} name - Name of the base debate
+     * @param {Object} data - Debate data with new_nodes
+     */
+    startCompare(name, data) {
+        const container = document.getElementById('chartWrapper').parentElement;
+        container.classList.add('comparing');
+
+        if (!Array.isArray(data?.new_nodes) || !this.compareView.open(name, data.new_nodes, this.currentData.new_nodes)) {
+            container.classList.remove('comparing');
+            alert('خطا: نتوانستیم ساختار درختی را از فایل مقایسه بسازیم.');
+            return;
+        }
+
+        this.chart.setHighlightedIds(DebateDiff.changedIds(this.compareView.diff));
+        this.chart.resize();
+        this.compareView.syncTo(this.zoomStack[this.zoomStack.length - 1]);
+    }
+
+    /**
+     * Recompute the comparison after the open debate changed
+     */
+    updateCompare() {
+        if (!this.compareView.isOpen()) return;
+        this.compareView.update(this.currentData.new_nodes);
+        this.chart.setHighlightedIds(DebateDiff.changedIds(this.compareView.diff));
+    }
+
+    /**
+     * Give the whole chart area back to the open debate
+     */
+    endCompare() {
+        document.getElementById('chartWrapper').parentElement.classList.remove('comparing');
+        this.chart.setHighlightedIds([]);
+        if (this.currentTree) {
+            this.chart.resize();
+        }
+    }
+
+    /**
+     * Citation text of a node: claim, quote with speaker and source
+     * @param {Object} node - Tree node
+     * @returns {string} Citation
+     */
+    citationFor(node) {
+        const lines = [node.title];
+        if (node.quote) {
+            lines.push(`«${node.quote}» — ${node.speaker || 'ناشناس'}`);
+        } else if (node.speaker) {
+            lines.push(`— ${node.speaker}`);
+        }
+        const source = this.activeFile ? ` (${this.activeFile})` : '';
+        lines.push(`مباحثه: ${this.currentTree.title}${source}، گزاره ${node.id}`);
+        return lines.join('\n');
+    }
+
     /**
      * Show detail card with node information
      * @param {Object} nodeData - Node data object
@@ -298,24 +896,38 @@ export class DebateVisualizer {
         document.getElementById('detailType').textContent = this.translateType(nodeData.type);
         document.getElementById('detailType').className = `detail-type ${nodeData.type}`;
         document.getElementById('detailSpeaker').textContent = nodeData.speaker || 'ناشناس';
+        const sharedEl = document.getElementById('detailShared');
+        sharedEl.textContent = nodeData.isShared ? `مشترک میان ${nodeData.parentIds.length} گزاره` : '';
+        sharedEl.style.display = nodeData.isShared ? '' : 'none';
         document.getElementById('detailTitle').textContent = nodeData.title;
         document.getElementById('detailDescription').textContent = nodeData.description;
         document.getElementById('detailQuote').textContent = `"${nodeData.quote || ''}"`;
 
-        // Update relation info via border color
+        // Update relation info and border color
+        const relationEl = document.querySelector('#detailCard .detail-relation');
         const relationReasoning = document.getElementById('detailReasoning');
+        card.classList.remove('border-support', 'border-attack');
 
         if (nodeData.relationType) {
-            card.classList.remove('border-support', 'border-attack');
             card.classList.add(`border-${nodeData.relationType}`);
-            relationReasoning.style.display = 'none';
+            const relationType = document.getElementById('relationType');
+            relationType.textContent = this.translateRelation(nodeData.relationType);
+            relationType.className = `relation-type ${nodeData.relationType}`;
+            relationEl.style.display = '';
+            relationReasoning.textContent = nodeData.relationReasoning || '';
+            relationReasoning.style.display = nodeData.relationReasoning ? '' : 'none';
         } else {
-            card.classList.remove('border-support', 'border-attack');
+            relationEl.style.display = 'none';
             relationReasoning.style.display = 'none';
         }
 
+        // Show computed acceptability
+        document.getElementById('detailAcceptability').textContent = nodeData.acceptability !== undefined
+            ? `پذیرش محاسبه‌شده: ${nodeData.acceptability.toFixed(2)}`
+            : '';
+
         // Update score
-        const intensity = nodeData.score?.intensity || 0;
+        const intensity = typeof nodeData.score?.intensity === 'number' ? nodeData.score.intensity : 0;
         document.getElementById('scoreFill').style.width = `${intensity * 100}%`;
         document.getElementById('scoreValue').textContent = intensity.toFixed(2);
 
@@ -350,15 +962,15 @@ export class DebateVisualizer {
 
     /**
      * Zoom in to a specific node
-     * @param {string} nodeId - ID of node to zoom to
+     * Takes the tree node itself because shared nodes occur more than once
+     * @param {Object} node - Tree node to zoom to
      */
-    zoomIn(nodeId) {
-        // Find the node in the current tree
-        const node = this.findNodeById(this.currentTree, nodeId);
+    zoomIn(node) {
         if (node) {
             this.zoomStack.push(node);
             this.updateChartHeader(node);
             this.chart.zoomTo(node);
+            this.syncUrl();
         }
     }
 
@@ -371,6 +983,7 @@ export class DebateVisualizer {
             const node = this.zoomStack[this.zoomStack.length - 1];
             this.updateChartHeader(node);
             this.chart.zoomTo(node);
+            this.syncUrl();
         }
     }
 
@@ -384,28 +997,81 @@ export class DebateVisualizer {
             const node = this.zoomStack[this.zoomStack.length - 1];
             this.updateChartHeader(node);
             this.chart.zoomTo(node);
+            this.syncUrl();
         }
     }
 
     /**
-     * Find a node by ID in the tree
-     * @param {Object} node - Root node to search from
-     * @param {string} id - ID to find
-     * @returns {Object|null} Found node or null
+     * Write the open file, zoom path, view and filters to the URL hash
+     * File and zoom changes add a history entry so back/forward step through them,
+     * view and filter changes replace the current entry
      */
-    findNodeById(node, id) {
-        if (node.id === id) {
-            return node;
+    syncUrl() {
+        if (this.restoringUrl) return;
+
+        // Only listed files and stored debates can be reopened from a link
+        const listed = this.activeFile && this.library.has(this.activeFile);
+        const top = this.zoomStack[this.zoomStack.length - 1];
+        const state = {
+            // A stored copy of a bundled file opens the copy, not the file
+            file: listed && this.localId === null ? this.activeFile : null,
+            local: this.localId !== null ? String(this.localId) : null,
+            zoom: this.currentTree && this.zoomStack.length > 1 ? top.path : null,
+            view: this.view !== Config.layouts.defaultView ? this.view : null,
+            size: this.chart.sizing !== Config.sizing.defaultMode ? this.chart.sizing : null,
+            filters: this.searchPanel.getState()
+        };
+
+        const hash = UrlState.build(state);
+        if (hash === window.location.hash) return;
+
+        const current = UrlState.parse(window.location.hash);
+        const url = hash || `${window.location.pathname}${window.location.search}`;
+        if (current.file !== state.file || current.local !== state.local || current.zoom !== state.zoom) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
         }
+    }
+
+    /**
+     * Open the file, zoom path, view and filters given in the URL hash
+     */
+    async restoreFromUrl() {
+        const state = UrlState.parse(window.location.hash);
+        this.restoringUrl = true;
 
-        if (node.children) {
-            for (const child of node.children) {
-                const found = this.findNodeById(child, id);
-                if (found) return found;
+        try {
+            const view = VIEWS[state.view] ? state.view : Config.layouts.defaultView;
+            if (view !== this.view) {
+                this.setView(view);
             }
-        }
+            const sizing = state.size || Config.sizing.defaultMode;
+            if (sizing !== this.chart.sizing) {
+                this.setSizing(sizing);
+            }
+
+            const localId = state.local !== null ? Number(state.local) : null;
+            if (localId !== null && localId !== this.localId) {
+                await this.openLocal(localId);
+            } else if (state.file && this.library.has(state.file)
+                && (state.file !== this.activeFile || this.localId !== null)) {
+                await this.loadFile(state.file);
+            }
+
+            if (!this.currentTree) return;
 
-        return null;
+            this.searchPanel.setState(state.filters);
+
+            // Every node on the zoom path becomes a breadcrumb level
+            const chain = state.zoom ? TreeBuilder.resolvePath(this.currentTree, state.zoom) : null;
+            this.zoomStack = chain ? chain.filter(n => n.children.length > 0) : [this.currentTree];
+            const node = this.zoomStack[this.zoomStack.length - 1];
+            this.updateChartHeader(node);
+            this.chart.zoomTo(node);
+        } finally {
+            this.restoringUrl = false;
+        }
     }
 
     /**
@@ -422,6 +1088,26 @@ export class DebateVisualizer {
         return translations[type] || type;
     }
 
+    /**
+     * Accessible label of a node: title, speaker, type and relation
+     * @param {Object} node - Tree node
+     * @returns {string} Label
+     */
+    describeNode(node) {
+        const parts = [
+            node.title,
+            `گوینده: ${node.speaker || 'ناشناس'}`,
+            `نوع: ${this.translateType(node.type)}`
+        ];
+        if (node.relationType) {
+            parts.push(`رابطه: ${this.translateRelation(node.relationType)}`);
+        }
+        if (node.children.length > 0) {
+            parts.push(`${node.children.length} زیرگزاره`);
+        }
+        return parts.join('، ');
+    }
+
     /**
      * Translate relation type to Persian
      * @param {string} relation - Relation type
@@ -458,118 +1144,550 @@ export class DebateVisualizer {
 
     /**
      * Handle uploaded file
+     * Files in other formats (AIF, Argdown, Kialo, outline) are converted first, and
+     * what could not be converted is listed with the validation issues
      * @param {File} file - Uploaded file object
      */
     async handleFileUpload(file) {
         try {
             const text = await file.text();
-            const data = JSON.parse(text);
+            const { data, unmapped } = Importer.read(text, { filename: file.name });
 
             // Validate data structure
-            if (!this.validateUploadedData(data)) {
+            const validation = GraphValidator.validate(data);
+            const report = GraphValidator.summarize([...Importer.toIssues(unmapped), ...validation.issues]);
+            this.diagnostics.show(report);
+
+            if (!GraphValidator.isRenderable(report)) {
                 alert('خطا: ساختار فایل نامعتبر است. فایل باید دارای آرایه "new_nodes" با حداقل یک گزاره اصلی (thesis) باشد.');
                 return;
             }
 
-            // Clear active state from file list
-            document.querySelectorAll('.file-item').forEach(item => {
-                item.classList.remove('active');
-            });
-
+            // Uploaded files appear in the library as local debates once saved
+            this.library.setActive(null);
             this.activeFile = file.name;
 
-            console.log('[DebateVisualizer] Uploaded data:', data);
-            this.currentData = data;
+            Debug.log('[DebateVisualizer] Uploaded data:', data);
 
-            // Build tree from flat nodes
-            this.currentTree = TreeBuilder.buildTree(data.new_nodes);
-            console.log('[DebateVisualizer] Tree built:', this.currentTree);
-
-            if (!this.currentTree) {
+            if (!this.showDebate(data)) {
                 console.error('Failed to build tree from data');
                 alert('خطا: نتوانستیم ساختار درختی را از داده‌ها بسازیم.');
-                return;
+            } else {
+                this.scheduleSave(`بارگذاری ${file.name}`);
+                this.flushSave();
             }
+            this.syncUrl();
+        } catch (error) {
+            console.error('Error uploading file:', error);
+            alert(`خطا: فایل نامعتبر است یا خواندن آن ممکن نیست.\n${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the chart with another view, keeping zoom, highlights and filters
+     * @param {string} view - Key of VIEWS
+     */
+    setView(view) {
+        const previous = this.chart;
+        if (previous) {
+            // Clear the container before the new view adds its SVG
+            previous.destroy();
+        }
 
-            // Reset zoom stack
-            this.zoomStack = [this.currentTree];
+        this.view = view;
+        this.chart = VIEWS[view]('sunburstChart');
 
-            // Show chart, hide empty state
-            document.getElementById('chartWrapper').classList.add('active');
-            document.getElementById('emptyState').style.display = 'none';
+        // Set up event handlers
+        this.chart.onHover = (nodeData, event) => this.handleHover(nodeData, event);
+        this.chart.onMouseOut = () => this.handleMouseOut();
+        this.chart.onClick = (nodeData, d3Node) => this.handleClick(nodeData, d3Node);
+        this.chart.onContextMenu = (nodeData, event) => this.nodeEditor.showMenu(nodeData, event);
+        this.chart.describe = (node) => this.describeNode(node);
 
-            // Update UI
-            this.updateChartHeader(this.currentTree);
-            console.log('[DebateVisualizer] About to call chart.render()');
-            this.chart.render(this.currentTree);
+        if (previous) {
+            this.chart.copyStateFrom(previous);
+        }
 
-            setTimeout(() => this.chart.resize(), Config.animation.resizeDelay);
+        document.getElementById('viewSelect').value = view;
+        document.getElementById('sizingSelect').disabled = !SIZED_VIEWS.includes(view);
+        if (this.currentTree) {
+            this.hideDetailCard();
+            this.chart.resize();
+            this.chart.render(this.zoomStack[this.zoomStack.length - 1]);
+        }
+        this.syncUrl();
+    }
 
+    /**
+     * Switch how siblings share their parent's span, in the main and the compared chart
+     * @param {string} mode - Sizing mode
+     */
+    setSizing(mode) {
+        this.chart.setSizing(mode);
+        if (this.compareView.isOpen()) {
+            this.compareView.chart.setSizing(mode);
+        } else {
+            this.compareView.chart.sizing = this.chart.sizing;
+        }
+        document.getElementById('sizingSelect').value = this.chart.sizing;
+        this.syncUrl();
+    }
+
+    /**
+     * Set up argument evaluation controls
+     */
+    setupEvaluation() {
+        const semanticsSelect = document.getElementById('semanticsSelect');
+        const colorModeSelect = document.getElementById('colorModeSelect');
+        const viewSelect = document.getElementById('viewSelect');
+
+        viewSelect.addEventListener('change', () => this.setView(viewSelect.value));
+
+        const sizingSelect = document.getElementById('sizingSelect');
+        sizingSelect.value = this.chart.sizing;
+        sizingSelect.addEventListener('change', () => this.setSizing(sizingSelect.value));
+
+        semanticsSelect.value = this.semantics;
+        semanticsSelect.addEventListener('change', () => {
+            this.semantics = semanticsSelect.value;
+            if (this.currentTree) {
+                this.evaluateTree();
+                this.chart.render(this.zoomStack[this.zoomStack.length - 1]);
+            }
+        });
+
+        colorModeSelect.addEventListener('change', () => {
+            this.chart.setColorMode(colorModeSelect.value);
+            this.legend.update({ colorMode: colorModeSelect.value });
+        });
+
+        document.getElementById('fillByBtn').addEventListener('click', () => {
+            this.setFillBy(this.chart.fillBy === 'type' ? 'relation' : 'type');
+        });
+        this.setFillBy(this.chart.fillBy);
+    }
+
+    /**
+     * Swap which attribute drives the fill colour and which the texture, in the main
+     * and the compared chart and in the legend
+     * @param {string} fillBy - 'relation' or 'type'
+     */
+    setFillBy(fillBy) {
+        this.chart.setFillBy(fillBy);
+        this.compareView.chart.setFillBy(fillBy);
+        this.legend.update({ fillBy: this.chart.fillBy });
+
+        const button = document.getElementById('fillByBtn');
+        const byType = this.chart.fillBy === 'type';
+        button.textContent = byType ? 'رنگ: نوع · بافت: رابطه' : 'رنگ: رابطه · بافت: نوع';
+        button.setAttribute('aria-pressed', String(byType));
+    }
+
+    /**
+     * Compute acceptability scores for the current tree and show the thesis verdict
+     */
+    evaluateTree() {
+        this.evaluation = ArgumentEvaluator.evaluate(this.currentData.new_nodes, this.semantics);
+        ArgumentEvaluator.annotate(this.currentTree, this.evaluation);
+        this.updateVerdict();
+    }
+
+    /**
+     * Show the verdict of the thesis under the chart title
+     */
+    updateVerdict() {
+        const verdictEl = document.getElementById('verdict');
+        const verdict = this.evaluation?.verdict;
+
+        if (!verdict) {
+            verdictEl.classList.remove('visible');
+            verdictEl.innerHTML = '';
+            return;
+        }
+
+        const semanticsLabel = document.querySelector(`#semanticsSelect option[value="${this.evaluation.semantics}"]`).textContent;
+        verdictEl.innerHTML = `
+            حکم نهایی:
+            <span class="verdict-status ${verdict.status}">${verdict.label}</span>
+            امتیاز ${verdict.acceptability.toFixed(2)} بر اساس ${semanticsLabel}
+        `;
+        verdictEl.classList.add('visible');
+    }
+
+    /**
+     * Set up incremental batch merging
+     */
+    setupAppendBatch() {
+        const appendBtn = document.getElementById('appendBatchBtn');
+        const batchInput = document.getElementById('batchInput');
+
+        this.mergeDialog = new MergeDialog('mergeDialog');
+        this.mergeDialog.onApply = (result) => this.applyMerge(result);
+
+        appendBtn.addEventListener('click', () => {
+            if (!this.currentData) {
+                this.showToast('ابتدا یک مباحثه را باز کنید');
+                return;
+            }
+            batchInput.click();
+        });
+
+        batchInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.handleBatchUpload(file);
+            }
+            // Reset input so same file can be selected again
+            batchInput.value = '';
+        });
+    }
+
+    /**
+     * Read a new_nodes batch and preview merging it into the open debate
+     * @param {File} file - Uploaded batch file
+     */
+    async handleBatchUpload(file) {
+        try {
+            const text = await file.text();
+            const data = JSON.parse(text);
+
+            if (!Array.isArray(data?.new_nodes) || data.new_nodes.length === 0) {
+                alert('خطا: فایل باید دارای آرایه "new_nodes" باشد.');
+                return;
+            }
+
+            this.mergeDialog.open(this.currentData.new_nodes, data.new_nodes, file.name);
         } catch (error) {
-            console.error('Error uploading file:', error);
+            console.error('Error reading batch file:', error);
             alert('خطا: فایل نامعتبر است یا خواندن آن ممکن نیست.');
         }
     }
 
     /**
-     * Validate uploaded data structure
-     * @param {Object} data - Parsed JSON data
-     * @returns {boolean} True if valid
+     * Apply a merge result to the open debate
+     * @param {Object} result - Result returned by BatchMerger.merge
      */
-    validateUploadedData(data) {
-        if (!data || typeof data !== 'object') return false;
-        if (!Array.isArray(data.new_nodes)) return false;
-        if (data.new_nodes.length === 0) return false;
+    applyMerge(result) {
+        // Merging goes through the editor so it can be undone
+        this.editor.replaceAll(result.nodes);
 
-        // Check for at least one thesis node
-        const hasThesis = data.new_nodes.some(node => node.type === 'thesis');
-        return hasThesis;
+        const touched = [...result.added, ...result.changed].map(entry => entry.node.id);
+        this.chart.setHighlightedIds(touched);
+        this.scheduleSave(`ادغام ${result.added.length} گزاره`);
+
+        this.showToast(`${result.added.length} گزاره افزوده و ${result.changed.length} گزاره به‌روز شد`);
+    }
+
+    /**
+     * Handle an edit of the node list
+     * @param {Array} nodes - Edited node list
+     */
+    handleGraphChange(nodes) {
+        this.currentData = { ...this.currentData, new_nodes: nodes };
+        this.diagnostics.show(GraphValidator.validate(this.currentData));
+        this.chart.setHighlightedIds([]);
+        this.hideDetailCard();
+        this.refreshTree();
+        this.nodeEditor.updateHistoryButtons();
+        this.scheduleSave();
+    }
+
+    /**
+     * Rebuild the tree from currentData and re-render, keeping the zoom path where possible
+     */
+    refreshTree() {
+        const tree = TreeBuilder.buildTree(this.currentData.new_nodes);
+        if (!tree) {
+            this.hideChart();
+            return;
+        }
+
+        const zoomPaths = this.zoomStack.map(n => n.path);
+        this.currentTree = tree;
+        this.occurrences = TreeBuilder.collectOccurrences(tree);
+        this.evaluateTree();
+        this.updateSpeakers();
+
+        // Keep the deepest zoom level that still exists
+        let depth = zoomPaths.length;
+        while (depth > 0 && !TreeBuilder.resolvePath(tree, zoomPaths[depth - 1])) {
+            depth--;
+        }
+        this.zoomStack = zoomPaths.slice(0, depth).map(path => TreeBuilder.resolvePath(tree, path).pop());
+        if (this.zoomStack.length === 0) {
+            this.zoomStack = [tree];
+        }
+        this.searchPanel.setDebate(this.currentData.new_nodes, this.occurrences);
+        this.accessibleTree.render(tree);
+        if (this.transcript) {
+            this.anchorTranscript();
+        }
+        this.updateCompare();
+
+        // Keep the pinned node if it still exists
+        const pinned = this.pinnedNode && TreeBuilder.resolvePath(tree, this.pinnedNode.path);
+        if (pinned) {
+            this.pinNode(pinned.pop());
+        } else {
+            this.unpinNode();
+        }
+
+        const node = this.zoomStack[this.zoomStack.length - 1];
+        this.updateChartHeader(node);
+        this.chart.render(node);
+        this.syncUrl();
+    }
+
+    /**
+     * Set up export menu
+     */
+    setupExport() {
+        this.exportDialog = new ExportDialog('exportDialog');
+        this.exportDialog.onExport = (format, zoomOnly) => this.exportAs(format, zoomOnly);
+
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            if (!this.currentTree) {
+                this.showToast('ابتدا یک مباحثه را باز کنید');
+                return;
+            }
+            this.exportDialog.open(this.zoomStack.length > 1);
+        });
+    }
+
+    /**
+     * Set up speaker dashboard
+     */
+    setupSpeakers() {
+        this.speakerDashboard = new SpeakerDashboard('speakerDialog');
+        this.speakerDashboard.onSelectSpeaker = (speaker) => this.searchPanel.setSpeaker(speaker);
+
+        document.getElementById('speakersBtn').addEventListener('click', () => {
+            if (!this.currentTree) {
+                this.showToast('ابتدا یک مباحثه را باز کنید');
+                return;
+            }
+            this.speakerDashboard.open(this.speakerStats, this.chart.speakerColors);
+        });
+    }
+
+    /**
+     * Recompute speaker statistics, speaker colours and the speaker legend
+     */
+    updateSpeakers() {
+        this.speakerStats = SpeakerAnalytics.analyze(this.currentData.new_nodes);
+        const colors = SpeakerAnalytics.speakerColors(this.speakerStats);
+        this.chart.setSpeakerColors(colors);
+        this.legend.update({ speakerColors: colors });
+    }
+
+    /**
+     * Export the open debate
+     * @param {string} format - 'json', 'svg', 'png', 'outline', 'argdown', 'aif', 'graphml' or 'dot'
+     * @param {boolean} zoomOnly - Limit the export to the current zoom root
+     */
+    async exportAs(format, zoomOnly) {
+        const root = zoomOnly ? this.zoomStack[this.zoomStack.length - 1] : this.currentTree;
+        const suffix = root === this.currentTree ? '' : `-${root.id}`;
+        const baseName = `${(this.activeFile || 'debate').replace(/\.json$/i, '')}${suffix}`;
+        const nodes = Exporter.subset(this.currentData.new_nodes, root === this.currentTree ? null : root);
+
+        try {
+            switch (format) {
+                case 'json':
+                    Exporter.download(Exporter.toJson(nodes), `${baseName}.json`, 'application/json');
+                    break;
+                case 'outline':
+                    Exporter.download(Exporter.toOutline(root), `${baseName}.md`, 'text/markdown');
+                    break;
+                case 'argdown':
+                    Exporter.download(Exporter.toArgdown(nodes), `${baseName}.argdown`, 'text/plain');
+                    break;
+                case 'aif':
+                    Exporter.download(Exporter.toAif(nodes), `${baseName}.aif.json`, 'application/json');
+                    break;
+                case 'graphml':
+                    Exporter.download(Exporter.toGraphml(nodes), `${baseName}.graphml`, 'application/graphml+xml');
+                    break;
+                case 'dot':
+                    Exporter.download(Exporter.toDot(nodes), `${baseName}.dot`, 'text/vnd.graphviz');
+                    break;
+                case 'svg':
+                case 'png': {
+                    const image = await Exporter.toSvg(this.snapshotChart(root), root.title, this.legend.items());
+                    if (format === 'svg') {
+                        Exporter.download(image.svg, `${baseName}.svg`, 'image/svg+xml');
+                    } else {
+                        Exporter.download(await Exporter.toPng(image.svg, image.width, image.height), `${baseName}.png`);
+                    }
+                    break;
+                }
+            }
+            this.showToast('خروجی آماده شد');
+        } catch (error) {
+            console.error('Error exporting:', error);
+            alert('خطا در ساخت خروجی');
+        }
+    }
+
+    /**
+     * Copy the chart SVG as drawn for a given root
+     * The chart draws one root at a time, so another root is drawn briefly and restored
+     * @param {Object} root - Tree node to draw
+     * @returns {SVGSVGElement} Detached copy of the chart SVG
+     */
+    snapshotChart(root) {
+        const shown = this.zoomStack[this.zoomStack.length - 1];
+        if (root !== shown) {
+            this.chart.render(root);
+        }
+        // Copy the finished drawing, not a frame of a transition
+        this.chart.settle();
+        const snapshot = this.chart.svg.node().cloneNode(true);
+        if (root !== shown) {
+            this.chart.render(shown);
+            this.chart.settle();
+        }
+        return snapshot;
     }
 
     /**
      * Set up copy system prompt functionality
      */
     setupCopyPrompt() {
-        const copyBtn = document.getElementById('copyPromptBtn');
+        this.promptDialog = new PromptDialog('promptDialog');
+        this.promptDialog.onCopy = (prompt, chunkNumber) => {
+            const message = chunkNumber ? `پرامپت بخش ${chunkNumber} کپی شد` : 'کپی شد!';
+            this.copyText(prompt, message, 'خطا در کپی کردن سیستم پرامپت');
+        };
+        this.promptDialog.onExtract = (request) => this.runExtraction(request);
+        this.promptDialog.onStop = () => this.extraction?.abort();
+
+        document.getElementById('copyPromptBtn').addEventListener('click', async () => {
+            const speakers = this.currentTree
+                ? this.speakerStats.map(entry => entry.speaker).filter(speaker => speaker !== UNKNOWN_SPEAKER)
+                : [];
+            const existingGraph = this.currentTree ? Exporter.toJson(this.currentData.new_nodes) : '';
+            this.promptDialog.open(await this.loadSystemPrompt(), speakers, existingGraph, this.transcript?.text);
+        });
+    }
+
+    /**
+     * Extract transcript chunks with a language model and merge each result into the map
+     * Without the current graph the first chunk starts a new debate
+     * @param {Object} request - Extraction request built by PromptDialog
+     */
+    async runExtraction(request) {
+        const dialog = this.promptDialog;
+        const total = request.firstChunk + request.chunks.length;
+        const startNodes = request.includeGraph && this.currentData ? this.currentData.new_nodes : [];
 
-        copyBtn.addEventListener('click', async () => {
-            let promptText = '';
+        let extractor;
+        try {
+            extractor = new Extractor(Extractor.settingsFor(request.backend, request.overrides));
+        } catch (error) {
+            dialog.setStatus(error.message, false, true);
+            return;
+        }
 
-            try {
-                // Fetch the system prompt file
-                const response = await fetch('system_prompt.md');
-                if (!response.ok) {
-                    throw new Error('Failed to fetch system prompt');
-                }
-                promptText = await response.text();
+        this.extraction = new AbortController();
+        dialog.setStatus(`در حال استخراج بخش ${request.firstChunk + 1} از ${total}...`, true);
 
-            } catch (error) {
-                console.error('Error fetching system prompt:', error);
-                // Use fallback hardcoded text
-                promptText = await this.getSystemPromptFallback();
-            }
-
-            // Try modern clipboard API first
-            if (navigator.clipboard && navigator.clipboard.writeText) {
-                try {
-                    await navigator.clipboard.writeText(promptText);
-                    this.showToast('کپی شد!');
-                    return;
-                } catch (clipboardError) {
-                    console.error('Clipboard API failed:', clipboardError);
-                    // Fall through to fallback method
+        try {
+            await extractor.run({
+                template: request.template,
+                speakers: request.speakers,
+                chunks: request.chunks,
+                nodes: startNodes,
+                signal: this.extraction.signal,
+                onChunk: (index, result, report) => {
+                    if (index === 0 && startNodes.length === 0) {
+                        this.showExtractedDebate(result.nodes, report);
+                    } else {
+                        this.applyMerge(result);
+                    }
+
+                    const number = request.firstChunk + index + 1;
+                    dialog.setExistingGraph(Exporter.toJson(this.currentData.new_nodes));
+                    dialog.selectChunk(number);
+                    if (number < total) {
+                        dialog.setStatus(`بخش ${number} ادغام شد؛ در حال استخراج بخش ${number + 1} از ${total}...`, true);
+                    }
                 }
+            });
+            dialog.setStatus(`استخراج ${request.chunks.length} بخش کامل شد.`, false);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                dialog.setStatus('استخراج متوقف شد.', false);
+            } else {
+                console.error('[DebateVisualizer] Extraction failed:', error);
+                dialog.setStatus(`خطا: ${error.message}`, false, true);
             }
+        } finally {
+            this.extraction = null;
+        }
+    }
 
-            // Fallback: use execCommand (works on HTTP)
+    /**
+     * Open the map built from the first extracted chunk as a new debate
+     * @param {Array} nodes - Extracted nodes
+     * @param {Object} report - Validation report of the nodes
+     */
+    showExtractedDebate(nodes, report) {
+        this.library.setActive(null);
+        this.activeFile = null;
+        this.diagnostics.show(report);
+        this.showDebate({ new_nodes: nodes });
+        this.scheduleSave('استخراج از متن');
+        this.flushSave();
+        this.syncUrl();
+    }
+
+    /**
+     * Load the system prompt template
+     * @returns {Promise<string>} Text of system_prompt.md
+     */
+    async loadSystemPrompt() {
+        try {
+            // Fetch the system prompt file
+            const response = await fetch('system_prompt.md');
+            if (!response.ok) {
+                throw new Error('Failed to fetch system prompt');
+            }
+            return await response.text();
+        } catch (error) {
+            console.error('Error fetching system prompt:', error);
+            // Use fallback hardcoded text
+            return await this.getSystemPromptFallback();
+        }
+    }
+
+    /**
+     * Copy text to the clipboard and confirm with a toast
+     * @param {string} text - Text to copy
+     * @param {string} successMessage - Toast shown on success
+     * @param {string} errorMessage - Alert shown on failure
+     */
+    async copyText(text, successMessage, errorMessage = 'خطا در کپی کردن') {
+        // Try modern clipboard API first
+        if (navigator.clipboard && navigator.clipboard.writeText) {
             try {
-                this.copyTextFallback(promptText);
-                this.showToast('کپی شد!');
-            } catch (fallbackError) {
-                console.error('Fallback copy also failed:', fallbackError);
-                alert('خطا در کپی کردن سیستم پرامپت');
+                await navigator.clipboard.writeText(text);
+                this.showToast(successMessage);
+                return;
+            } catch (clipboardError) {
+                console.error('Clipboard API failed:', clipboardError);
+                // Fall through to fallback method
             }
-        });
+        }
+
+        // Fallback: use execCommand (works on HTTP)
+        try {
+            this.copyTextFallback(text);
+            this.showToast(successMessage);
+        } catch (fallbackError) {
+            console.error('Fallback copy also failed:', fallbackError);
+            alert(errorMessage);
+        }
     }
 
     /**
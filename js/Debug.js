@@ -0,0 +1,30 @@
+/**
+ * Debug
+ * Trace logging that stays silent unless Config.debug.logging or '?debug' turns it on
+ */
+
+import { Config } from './config.js';
+
+export class Debug {
+    /**
+     * Whether trace logging is on
+     * @returns {boolean} True if traces are written to the console
+     */
+    static get enabled() {
+        if (this.fromUrl === undefined) {
+            this.fromUrl = typeof location !== 'undefined' && new URLSearchParams(location.search).has('debug');
+        }
+        return Config.debug.logging || this.fromUrl;
+    }
+
+    /**
+     * Write a trace to the console
+     * Arguments are passed on as they are, so objects are only formatted when logging is on
+     * @param {...*} args - Values to log
+     */
+    static log(...args) {
+        if (this.enabled) {
+            console.log(...args);
+        }
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * Diagnostics Panel
+ * Lists validation issues of the loaded debate and links them to their nodes
+ */
+
+import { Markup } from './Markup.js';
+
+export class DiagnosticsPanel {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.report = null;
+        this.expanded = false;
+
+        this.onSelectNode = null;
+    }
+
+    /**
+     * Show a validation report
+     * @param {Object} report - Report returned by GraphValidator.validate
+     */
+    show(report) {
+        this.report = report;
+        // Errors need attention, warnings stay folded until asked for
+        this.expanded = report.errorCount > 0;
+        this.render();
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        this.report = null;
+        this.render();
+    }
+
+    render() {
+        const report = this.report;
+
+        if (!report || report.issues.length === 0) {
+            this.container.className = 'diagnostics-panel';
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const level = report.errorCount > 0 ? 'has-errors' : 'has-warnings';
+        this.container.className = `diagnostics-panel visible ${level}${this.expanded ? ' expanded' : ''}`;
+
+        const items = report.issues.map((issue, index) => {
+            const link = issue.nodeId
+                ? `<span class="diagnostics-node" data-index="${index}">گزاره ${Markup.escape(issue.nodeId)}</span>`
+                : '';
+            return `
+                <li class="diagnostics-item ${issue.severity}">
+                    <span class="diagnostics-severity">${issue.severity === 'error' ? 'خطا' : 'هشدار'}</span>
+                    <span class="diagnostics-message">${Markup.escape(issue.message)}</span>
+                    ${link}
+                </li>
+            `;
+        });
+
+        this.container.innerHTML = `
+            <button class="diagnostics-summary" type="button">
+                ${report.errorCount} خطا، ${report.warningCount} هشدار
+            </button>
+            <ul class="diagnostics-list">${items.join('')}</ul>
+        `;
+
+        this.container.querySelector('.diagnostics-summary').addEventListener('click', () => {
+            this.expanded = !this.expanded;
+            this.render();
+        });
+
+        this.container.querySelectorAll('.diagnostics-node').forEach(link => {
+            link.addEventListener('click', (e) => {
+                const issue = report.issues[parseInt(e.target.dataset.index)];
+                if (this.onSelectNode) {
+                    this.onSelectNode(issue.nodeId);
+                }
+            });
+        });
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Export Dialog
+ * Lets the user pick an export format and whether to limit it to the current zoom root
+ */
+
+export class ExportDialog {
+    constructor(dialogId) {
+        this.dialog = document.getElementById(dialogId);
+
+        this.onExport = null;
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('exportConfirm').addEventListener('click', () => {
+            const format = this.dialog.querySelector('input[name="exportFormat"]:checked').value;
+            const zoomOnly = document.getElementById('exportZoomOnly').checked;
+            this.close();
+            if (this.onExport) {
+                this.onExport(format, zoomOnly);
+            }
+        });
+
+        document.getElementById('exportCancel').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Open the dialog
+     * @param {boolean} isZoomed - Whether the chart is zoomed below the thesis
+     */
+    open(isZoomed) {
+        const zoomOnly = document.getElementById('exportZoomOnly');
+        zoomOnly.disabled = !isZoomed;
+        if (!isZoomed) {
+            zoomOnly.checked = false;
+        }
+        this.dialog.classList.add('visible');
+    }
+
+    close() {
+        this.dialog.classList.remove('visible');
+    }
+}
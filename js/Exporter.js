@@ -0,0 +1,554 @@
+/**
+ * Exporter
+ * Serialises the current debate to JSON, SVG, PNG and a Markdown outline, and to the
+ * Argdown, AIF, GraphML and Graphviz DOT formats of other argument analysis tools
+ */
+
+import { Config } from './config.js';
+import { Legend } from './Legend.js';
+import { TreeBuilder } from './TreeBuilder.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Node and edge attributes written to GraphML, with their attribute types
+const GRAPHML_KEYS = [
+    { id: 'title', for: 'node', type: 'string' },
+    { id: 'type', for: 'node', type: 'string' },
+    { id: 'description', for: 'node', type: 'string' },
+    { id: 'quote', for: 'node', type: 'string' },
+    { id: 'speaker', for: 'node', type: 'string' },
+    { id: 'intensity', for: 'node', type: 'double' },
+    { id: 'confidence', for: 'node', type: 'double' },
+    { id: 'relation', for: 'edge', type: 'string' },
+    { id: 'reasoning', for: 'edge', type: 'string' }
+];
+
+export class Exporter {
+    /**
+     * Export nodes as new_nodes JSON
+     * With a subtree root the result is a standalone debate whose thesis is that root
+     * @param {Array} nodes - Flat node list
+     * @param {Object|null} subtreeRoot - Tree node to limit the export to
+     * @returns {string} JSON text
+     */
+    static toJson(nodes, subtreeRoot = null) {
+        return JSON.stringify({ new_nodes: this.subset(nodes, subtreeRoot) }, null, 2);
+    }
+
+    /**
+     * Limit a node list to the subtree below a tree node
+     * The subtree root becomes the thesis and relations leaving the subtree are dropped
+     * @param {Array} nodes - Flat node list
+     * @param {Object|null} subtreeRoot - Tree node to limit the list to
+     * @returns {Array} Node list, the same list without a subtree root
+     */
+    static subset(nodes, subtreeRoot = null) {
+        if (!subtreeRoot || subtreeRoot.type === 'thesis') {
+            return nodes;
+        }
+
+        const ids = new Set();
+        const walk = (node) => {
+            ids.add(node.id);
+            node.children.forEach(walk);
+        };
+        walk(subtreeRoot);
+
+        return nodes
+            .filter(n => ids.has(n.id))
+            .map(n => n.id === subtreeRoot.id
+                ? { ...n, type: 'thesis', relations: [] }
+                : { ...n, relations: (n.relations || []).filter(r => ids.has(r.target_node_id)) });
+    }
+
+    /**
+     * Export a tree as an indented Markdown outline
+     * @param {Object} tree - Tree node to start from
+     * @returns {string} Markdown text
+     */
+    static toOutline(tree) {
+        const lines = [`# ${tree.title}`, ''];
+        if (tree.speaker) {
+            lines.push(`*${tree.speaker}*`, '');
+        }
+
+        const walk = (node, depth) => {
+            const marker = node.relationType === 'attack' ? '[−]' : '[+]';
+            const speaker = node.speaker ? ` — ${node.speaker}` : '';
+            const shared = node.isShared ? ' ⟲' : '';
+            lines.push(`${'  '.repeat(depth)}- ${marker} ${node.title}${speaker}${shared}`);
+            node.children.forEach(child => walk(child, depth + 1));
+        };
+        tree.children.forEach(child => walk(child, 0));
+
+        lines.push('', '[+] حمایت  [−] انتقاد  ⟲ گزاره مشترک');
+        return lines.join('\n');
+    }
+
+    /**
+     * Export nodes as Argdown
+     * The thesis comes first with its supports (<+) and attacks (<-) indented below it.
+     * A claim is defined with its description and data where it first appears and only
+     * named further on; claims the walk from the thesis does not reach follow as
+     * separate blocks. Titles Argdown cannot hold as a label are kept in the data, and
+     * the reasoning of a relation in the data of the line that draws it.
+     * @param {Array} nodes - Flat node list
+     * @returns {string} Argdown text
+     */
+    static toArgdown(nodes) {
+        const graph = TreeBuilder.buildGraph(nodes);
+
+        // Labels name claims, so they must be unique and free of Argdown syntax
+        const titleCounts = new Map();
+        nodes.forEach(n => titleCounts.set(n.title, (titleCounts.get(n.title) || 0) + 1));
+        const used = new Set();
+        const labels = new Map();
+        nodes.forEach(n => {
+            const clean = String(n.title ?? '').replace(/[[\]<>{}#]|\/\*/g, ' ').replace(/\s+/g, ' ').trim();
+            let label = clean && titleCounts.get(n.title) === 1 ? clean : `${clean} (${n.id})`.trim();
+            while (used.has(label)) {
+                label = `${label} (${n.id})`;
+            }
+            used.add(label);
+            labels.set(n.id, label);
+        });
+
+        const value = (text) => typeof text === 'number'
+            ? text
+            : JSON.stringify(String(text)).replace(/[{}]|\/(?=\*)|<(?=!--)/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+        const dataText = (data) => `{${Object.entries(data).map(([key, text]) => `${key}: ${value(text)}`).join(', ')}}`;
+        const define = (node, reasoning) => {
+            const label = labels.get(node.id);
+            const description = node.description || '';
+            const plain = !/[\n{}#]|\/\*|<!--/.test(description) && description === description.trim();
+
+            const data = { id: node.id, type: node.type };
+            if (label !== node.title) data.title = node.title;
+            if (description && !plain) data.description = description;
+            if (node.speaker) data.speaker = node.speaker;
+            if (node.quote) data.quote = node.quote;
+            ['intensity', 'confidence'].forEach(key => {
+                if (typeof node.score?.[key] === 'number') data[key] = node.score[key];
+            });
+            if (reasoning) data.reasoning = reasoning;
+
+            return `[${label}]${description && plain ? `: ${description}` : ''} ${dataText(data)}`;
+        };
+
+        const lines = [];
+        const defined = new Set();
+        const write = (id, depth, relation) => {
+            const marker = relation ? `${relation.relation_type === 'attack' ? '<-' : '<+'} ` : '';
+            const prefix = `${'  '.repeat(depth)}${marker}`;
+            const reasoning = relation?.reasoning;
+            if (defined.has(id)) {
+                lines.push(`${prefix}[${labels.get(id)}]${reasoning ? ` ${dataText({ reasoning })}` : ''}`);
+                return;
+            }
+            defined.add(id);
+            lines.push(`${prefix}${define(graph.nodeMap.get(id), reasoning)}`);
+            graph.childIndex.get(id).forEach(child => write(child.id, depth + 1, child.relation));
+        };
+
+        const starts = [
+            graph.thesis?.id,
+            ...nodes.filter(n => graph.parentIndex.get(n.id).length === 0).map(n => n.id),
+            ...nodes.map(n => n.id)
+        ];
+        starts.forEach(id => {
+            if (id === undefined || defined.has(id)) return;
+            if (lines.length > 0) lines.push('');
+            write(id, 0, null);
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Export nodes as AIF JSON
+     * Claims become I-nodes under their own ids, and every relation an RA (support) or
+     * CA (attack) node between the premise and its conclusion. Speakers become
+     * participants asserting an L-node for each of their claims. Claim types, descriptions,
+     * quotes and scores are kept as extra fields on the I-nodes, reasoning on the S-nodes.
+     * @param {Array} nodes - Flat node list
+     * @returns {string} JSON text
+     */
+    static toAif(nodes) {
+        const ids = new Set(nodes.map(n => String(n.id)));
+        let counter = 0;
+        const freshId = (prefix) => {
+            let id;
+            do {
+                id = `${prefix}${++counter}`;
+            } while (ids.has(id));
+            ids.add(id);
+            return id;
+        };
+
+        const aifNodes = [];
+        const edges = [];
+        const locutions = [];
+        const participants = new Map();
+        const connect = (fromID, toID) => edges.push({ edgeID: edges.length + 1, fromID, toID });
+
+        nodes.forEach(node => {
+            const claim = {
+                nodeID: node.id,
+                text: node.title,
+                type: 'I',
+                claimType: node.type,
+                description: node.description || '',
+                quote: node.quote || ''
+            };
+            ['intensity', 'confidence'].forEach(key => {
+                if (typeof node.score?.[key] === 'number') claim[key] = node.score[key];
+            });
+            aifNodes.push(claim);
+
+            if (node.speaker) {
+                if (!participants.has(node.speaker)) {
+                    participants.set(node.speaker, participants.size + 1);
+                }
+                const locution = freshId('L');
+                const assertion = freshId('YA');
+                aifNodes.push({ nodeID: locution, text: `${node.speaker}: ${node.quote || node.title}`, type: 'L' });
+                aifNodes.push({ nodeID: assertion, text: 'Asserting', type: 'YA' });
+                connect(locution, assertion);
+                connect(assertion, node.id);
+                locutions.push({ nodeID: locution, personID: participants.get(node.speaker) });
+            }
+        });
+
+        this.edges(nodes).forEach(({ node, relation }) => {
+            const attack = relation.relation_type === 'attack';
+            const scheme = freshId(attack ? 'CA' : 'RA');
+            aifNodes.push({
+                nodeID: scheme,
+                text: attack ? 'Default Conflict' : 'Default Inference',
+                type: attack ? 'CA' : 'RA',
+                reasoning: relation.reasoning || ''
+            });
+            connect(node.id, scheme);
+            connect(scheme, relation.target_node_id);
+        });
+
+        return JSON.stringify({
+            nodes: aifNodes,
+            edges,
+            locutions,
+            participants: [...participants].map(([name, id]) => ({ participantID: id, firstname: name, surname: '' }))
+        }, null, 2);
+    }
+
+    /**
+     * Export nodes as GraphML
+     * Edges run from a claim to the claim it supports or attacks
+     * @param {Array} nodes - Flat node list
+     * @returns {string} XML text
+     */
+    static toGraphml(nodes) {
+        const data = (key, text) => text === undefined || text === null || text === ''
+            ? ''
+            : `<data key="${key}">${this.escapeXml(text)}</data>`;
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+            ...GRAPHML_KEYS.map(key => `  <key id="${key.id}" for="${key.for}" attr.name="${key.id}" attr.type="${key.type}"/>`),
+            '  <graph id="debate" edgedefault="directed">'
+        ];
+
+        nodes.forEach(node => {
+            const fields = [
+                data('title', node.title),
+                data('type', node.type),
+                data('description', node.description),
+                data('quote', node.quote),
+                data('speaker', node.speaker),
+                data('intensity', node.score?.intensity),
+                data('confidence', node.score?.confidence)
+            ];
+            lines.push(`    <node id="${this.escapeXml(node.id)}">${fields.join('')}</node>`);
+        });
+
+        this.edges(nodes).forEach(({ node, relation }, i) => {
+            const fields = data('relation', relation.relation_type) + data('reasoning', relation.reasoning);
+            lines.push(`    <edge id="e${i + 1}" source="${this.escapeXml(node.id)}" target="${this.escapeXml(relation.target_node_id)}">${fields}</edge>`);
+        });
+
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Export nodes as a Graphviz DOT digraph
+     * Claims are filled in the colour of their type and relations drawn in the colour
+     * of support or attack; the fields are kept as custom attributes
+     * @param {Array} nodes - Flat node list
+     * @returns {string} DOT text
+     */
+    static toDot(nodes) {
+        const quote = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+        const attributes = (fields) => Object.entries(fields)
+            .filter(([, text]) => text !== undefined && text !== null && text !== '')
+            .map(([key, text]) => `${key}=${typeof text === 'number' ? text : quote(text)}`)
+            .join(', ');
+
+        const lines = [
+            'digraph debate {',
+            '    rankdir=BT;',
+            '    node [shape=box, style="rounded,filled", fontname="Vazirmatn"];'
+        ];
+
+        nodes.forEach(node => {
+            lines.push(`    ${quote(node.id)} [${attributes({
+                label: node.title,
+                fillcolor: Config.colors[node.type] || Config.encoding.neutral,
+                type: node.type,
+                description: node.description,
+                speaker: node.speaker,
+                quote: node.quote,
+                intensity: node.score?.intensity,
+                confidence: node.score?.confidence
+            })}];`);
+        });
+
+        this.edges(nodes).forEach(({ node, relation }) => {
+            const attack = relation.relation_type === 'attack';
+            lines.push(`    ${quote(node.id)} -> ${quote(relation.target_node_id)} [${attributes({
+                relation: relation.relation_type,
+                reasoning: relation.reasoning,
+                color: attack ? Config.colors.attack : Config.colors.support,
+                style: attack ? 'dashed' : 'solid'
+            })}];`);
+        });
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    /**
+     * Relations between the nodes of a list, with the node they start from
+     * Relations to nodes outside the list have nowhere to point and are left out, as
+     * are malformed entries without a target
+     * @param {Array} nodes - Flat node list
+     * @returns {Array<Object>} Node and relation pairs
+     */
+    static edges(nodes) {
+        const ids = new Set(nodes.map(n => n.id));
+        return nodes.flatMap(node => (Array.isArray(node.relations) ? node.relations : [])
+            .filter(relation => ids.has(relation?.target_node_id))
+            .map(relation => ({ node, relation })));
+    }
+
+    /**
+     * Escape text for use in XML markup
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Build a standalone SVG document from the chart SVG
+     * Adds a title, a legend, a background and the embedded Vazirmatn font
+     * @param {SVGSVGElement} chartSvg - Rendered chart element
+     * @param {string} title - Title drawn above the chart
+     * @param {Array<Object>} legendItems - Entries from Legend.items
+     * @returns {Promise<Object>} SVG text with its width and height
+     */
+    static async toSvg(chartSvg, title, legendItems) {
+        const [chartX, chartY, chartWidth, chartHeight] = chartSvg.getAttribute('viewBox').split(' ').map(Number);
+        const { headerHeight, legendHeight } = Config.export;
+        const width = chartWidth;
+        const legendRows = Math.ceil(legendItems.length / this.legendColumns(width, legendItems.length));
+        const height = chartHeight + headerHeight + legendRows * legendHeight;
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('xmlns', SVG_NS);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('direction', 'rtl');
+
+        const style = document.createElementNS(SVG_NS, 'style');
+        style.textContent = `${await this.embeddedFontCss()}
+            text { font-family: 'Vazirmatn', sans-serif; fill: #1a1a2e; stroke: none; }
+            .chart-link { fill: none; stroke-width: 1.5; }`;
+        svg.appendChild(style);
+
+        const background = document.createElementNS(SVG_NS, 'rect');
+        background.setAttribute('width', width);
+        background.setAttribute('height', height);
+        background.setAttribute('fill', '#ffffff');
+        svg.appendChild(background);
+
+        const titleEl = document.createElementNS(SVG_NS, 'text');
+        titleEl.setAttribute('x', width / 2);
+        titleEl.setAttribute('y', headerHeight / 2);
+        titleEl.setAttribute('text-anchor', 'middle');
+        titleEl.setAttribute('dominant-baseline', 'middle');
+        titleEl.setAttribute('font-size', '22');
+        titleEl.setAttribute('font-weight', '600');
+        titleEl.textContent = title;
+        svg.appendChild(titleEl);
+
+        const chart = document.createElementNS(SVG_NS, 'g');
+        chart.setAttribute('transform', `translate(${-chartX}, ${headerHeight - chartY})`);
+        Array.from(chartSvg.childNodes).forEach(child => chart.appendChild(child.cloneNode(true)));
+        // Inline styles set by hover effects must not leak into the export
+        chart.querySelectorAll('.chart-mark').forEach(mark => {
+            mark.style.opacity = '';
+            mark.style.filter = '';
+            mark.style.cursor = '';
+        });
+        svg.appendChild(chart);
+
+        svg.appendChild(this.buildLegend(width, chartHeight + headerHeight, legendItems));
+
+        return { svg: new XMLSerializer().serializeToString(svg), width, height };
+    }
+
+    /**
+     * Build the legend group for exported images
+     * Entries run right to left and wrap onto further rows
+     * @param {number} width - Image width
+     * @param {number} top - Y position of the legend band
+     * @param {Array<Object>} items - Entries from Legend.items
+     * @returns {SVGGElement} Legend group
+     */
+    static buildLegend(width, top, items) {
+        const { legendHeight, legendItemWidth } = Config.export;
+        const perRow = this.legendColumns(width, items.length);
+
+        const legend = document.createElementNS(SVG_NS, 'g');
+        items.forEach((item, i) => {
+            const row = Math.floor(i / perRow);
+            const column = i % perRow;
+            const inRow = Math.min(perRow, items.length - row * perRow);
+            const startX = (width + inRow * legendItemWidth) / 2;
+            const x = startX - (column + 1) * legendItemWidth;
+            const y = top + row * legendHeight + legendHeight / 2;
+
+            const swatch = document.createElementNS(SVG_NS, 'g');
+            swatch.setAttribute('transform', `translate(${x + legendItemWidth - 24}, ${y - 8})`);
+            Legend.swatch(item, `export-legend-texture-${i}`, 16).forEach(el => swatch.appendChild(el));
+            legend.appendChild(swatch);
+
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.setAttribute('x', x + legendItemWidth - 32);
+            label.setAttribute('y', y);
+            label.setAttribute('text-anchor', 'start');
+            label.setAttribute('dominant-baseline', 'middle');
+            label.setAttribute('font-size', '14');
+            label.textContent = item.label;
+            legend.appendChild(label);
+        });
+
+        return legend;
+    }
+
+    /**
+     * Number of legend entries per row of an exported image
+     * @param {number} width - Image width
+     * @param {number} count - Number of entries
+     * @returns {number} Entries per row, at least one
+     */
+    static legendColumns(width, count) {
+        return Math.max(1, Math.min(count, Math.floor(width / Config.export.legendItemWidth)));
+    }
+
+    /**
+     * Fetch the Vazirmatn stylesheet and inline its font files as data URLs
+     * Falls back to a plain font-family declaration when offline
+     * @returns {Promise<string>} CSS text
+     */
+    static async embeddedFontCss() {
+        try {
+            const response = await fetch(Config.export.fontCssUrl);
+            if (!response.ok) {
+                throw new Error('Failed to fetch font stylesheet');
+            }
+            let css = await response.text();
+
+            const urls = [...new Set(Array.from(css.matchAll(/url\((https:[^)]+)\)/g), m => m[1]))];
+            for (const url of urls) {
+                const fontResponse = await fetch(url);
+                const dataUrl = await this.blobToDataUrl(await fontResponse.blob());
+                css = css.split(url).join(dataUrl);
+            }
+            return css;
+        } catch (error) {
+            console.error('[Exporter] Could not embed font:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Read a blob as a data URL
+     * @param {Blob} blob - Blob to read
+     * @returns {Promise<string>} Data URL
+     */
+    static blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Rasterise an SVG document to PNG
+     * @param {string} svgText - Serialised SVG
+     * @param {number} width - SVG width
+     * @param {number} height - SVG height
+     * @returns {Promise<Blob>} PNG blob
+     */
+    static toPng(svgText, width, height) {
+        const scale = Config.export.pngScale;
+        const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }));
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width * scale;
+                canvas.height = height * scale;
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0, width, height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to load SVG for rasterisation'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Offer content as a file download
+     * @param {string|Blob} content - File content
+     * @param {string} filename - Suggested filename
+     * @param {string} mimeType - MIME type for string content
+     */
+    static download(content, filename, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
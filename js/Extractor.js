@@ -0,0 +1,181 @@
+/**
+ * Extractor
+ * Sends transcript chunks to a language model and merges the returned new_nodes into a map
+ */
+
+import { BatchMerger } from './BatchMerger.js';
+import { Config } from './config.js';
+import { Debug } from './Debug.js';
+import { Exporter } from './Exporter.js';
+import { GraphValidator } from './GraphValidator.js';
+import { MockBackend } from './MockBackend.js';
+import { OpenAiBackend } from './OpenAiBackend.js';
+import { PromptBuilder } from './PromptBuilder.js';
+
+// Backends by type; each has complete(prompt, signal) returning the reply text
+const BACKENDS = {
+    'openai-compatible': (settings) => new OpenAiBackend(settings),
+    'mock': (settings) => new MockBackend(settings)
+};
+
+export class Extractor {
+    /**
+     * @param {Object} settings - Backend entry of Config.extraction.backends, with user overrides
+     */
+    constructor(settings) {
+        const create = BACKENDS[settings.type];
+        if (!create) {
+            throw new Error(`نوع سرور مدل "${settings.type}" پشتیبانی نمی‌شود.`);
+        }
+        this.backend = create(settings);
+    }
+
+    /**
+     * Extract the chunks one after another
+     * Every chunk sees the map grown by the chunks before it, and every merged
+     * result is validated before the next chunk is sent
+     * @param {Object} options - template, speakers, chunks (Array<string>), nodes to start from,
+     *                           signal and onChunk(index, mergeResult, report)
+     * @returns {Promise<Array>} Node list after the last chunk
+     */
+    async run({ template, speakers, chunks, nodes = [], signal = null, onChunk = null }) {
+        let current = nodes;
+
+        for (let index = 0; index < chunks.length; index++) {
+            const prompt = PromptBuilder.render(template, {
+                speakers,
+                existingGraph: current.length > 0 ? Exporter.toJson(current) : '',
+                transcript: chunks[index]
+            });
+
+            Debug.log(`[Extractor] Sending chunk ${index + 1} of ${chunks.length}`);
+            const reply = await this.backend.complete(prompt, signal);
+            const batch = Extractor.parseResponse(reply);
+
+            const result = BatchMerger.merge(current, batch, 'renumber');
+            const report = GraphValidator.validate({ new_nodes: result.nodes });
+            if (!GraphValidator.isRenderable(report)) {
+                const messages = report.issues.filter(i => i.severity === 'error').map(i => i.message);
+                throw new Error(`نتیجه بخش ${index + 1} قابل نمایش نیست: ${messages.join(' ')}`);
+            }
+
+            current = result.nodes;
+            if (onChunk) {
+                onChunk(index, result, report);
+            }
+        }
+
+        return current;
+    }
+
+    /**
+     * Read the new_nodes array out of a model reply
+     * Strips code fences and surrounding prose, and repairs trailing commas and
+     * raw line breaks inside strings when the reply is not valid JSON as is; entries
+     * that are not node objects are reported rather than passed on
+     * @param {string} reply - Reply text
+     * @returns {Array} new_nodes with string ids
+     */
+    static parseResponse(reply) {
+        let text = reply.replace(/^\uFEFF/, '').trim();
+
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+        if (fenced) {
+            text = fenced[1].trim();
+        }
+
+        const start = text.search(/[{[]/);
+        const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+        if (start === -1 || end < start) {
+            throw new Error('پاسخ مدل JSON ندارد.');
+        }
+        text = text.slice(start, end + 1);
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            try {
+                data = JSON.parse(this.repairJson(text));
+            } catch (repairError) {
+                throw new Error(`پاسخ مدل JSON معتبر نیست: ${repairError.message}`);
+            }
+        }
+
+        const nodes = Array.isArray(data) ? data : data?.new_nodes;
+        if (!Array.isArray(nodes)) {
+            throw new Error('پاسخ مدل آرایه "new_nodes" ندارد.');
+        }
+
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        nodes.forEach((node, index) => {
+            if (!isObject(node)) {
+                throw new Error(`عنصر شماره ${index + 1} پاسخ مدل یک گزاره نیست.`);
+            }
+            if (node.relations !== undefined && (!Array.isArray(node.relations) || !node.relations.every(isObject))) {
+                throw new Error(`روابط گزاره ${node.id} در پاسخ مدل معتبر نیست.`);
+            }
+        });
+
+        // Models often write ids as numbers; anything else is kept so validation reports it
+        const toId = (value) => typeof value === 'number' ? String(value) : value;
+        return nodes.map(node => ({
+            ...node,
+            id: toId(node.id),
+            relations: (node.relations || []).map(r => ({ ...r, target_node_id: toId(r.target_node_id) }))
+        }));
+    }
+
+    /**
+     * Fix the JSON mistakes language models commonly make
+     * @param {string} text - Broken JSON text
+     * @returns {string} Repaired JSON text
+     */
+    static repairJson(text) {
+        let repaired = '';
+        let inString = false;
+        let escaped = false;
+        // Position of a comma outside strings that only whitespace has followed so far
+        let comma = -1;
+
+        for (const ch of text) {
+            // Escape raw line breaks and tabs inside strings
+            if (inString && !escaped && (ch === '\n' || ch === '\r' || ch === '\t')) {
+                repaired += ch === '\t' ? '\\t' : (ch === '\n' ? '\\n' : '');
+                continue;
+            }
+            if (!inString) {
+                // Drop commas before a closing bracket
+                if ((ch === '}' || ch === ']') && comma !== -1) {
+                    repaired = repaired.slice(0, comma) + repaired.slice(comma + 1);
+                }
+                if (ch === ',') {
+                    comma = repaired.length;
+                } else if (!/\s/.test(ch)) {
+                    comma = -1;
+                }
+            }
+            if (ch === '"' && !escaped) {
+                inString = !inString;
+            }
+            escaped = inString && ch === '\\' && !escaped;
+            repaired += ch;
+        }
+
+        return repaired;
+    }
+
+    /**
+     * Backend settings merged with what the user entered
+     * @param {string} name - Key of Config.extraction.backends
+     * @param {Object} overrides - baseUrl, model and apiKey entered by the user
+     * @returns {Object} Settings for the constructor
+     */
+    static settingsFor(name, overrides = {}) {
+        const settings = { ...Config.extraction.backends[name] };
+        Object.entries(overrides).forEach(([key, value]) => {
+            if (value) settings[key] = value;
+        });
+        return settings;
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Force Graph
+ * Force-directed view with one circle per proposition; extra parents of shared nodes are drawn as cross-links
+ */
+
+import { ChartRenderer } from './ChartRenderer.js';
+import { Config } from './config.js';
+
+export class ForceGraph extends ChartRenderer {
+    constructor(containerId) {
+        super(containerId);
+
+        this.init();
+        this.enablePanZoom();
+    }
+
+    /**
+     * Render the graph of the subtree below a node
+     * @param {Object} rootNode - Root node to render
+     */
+    render(rootNode) {
+        this.currentRoot = rootNode;
+        this.root = d3.hierarchy(rootNode);
+
+        const { linkDistance, charge, ticks, nodeRadius, labelDepth, labelLength } = Config.layouts.force;
+
+        // One graph node per proposition, represented by its first occurrence;
+        // parent and children follow first occurrences for keyboard navigation
+        const nodeById = new Map();
+        this.root.each(d => {
+            if (nodeById.has(d.data.id)) return;
+            const node = { data: d.data, depth: d.depth, parent: null, children: null };
+            if (d.parent) {
+                node.parent = nodeById.get(d.parent.data.id);
+                node.parent.children = [...(node.parent.children || []), node];
+            }
+            nodeById.set(d.data.id, node);
+        });
+
+        // One link per relation; links other than a node's first occurrence are cross-links
+        const links = [];
+        const seen = new Set();
+        this.root.each(d => {
+            if (!d.parent) return;
+            const key = `${d.data.id}>${d.parent.data.id}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            const source = nodeById.get(d.data.id);
+            links.push({
+                source,
+                target: nodeById.get(d.parent.data.id),
+                relationType: d.data.relationType,
+                cross: source.data !== d.data
+            });
+        });
+
+        const nodes = [...nodeById.values()];
+        nodes[0].fx = 0;
+        nodes[0].fy = 0;
+
+        // Run the simulation to rest up front so re-renders are instant and stable
+        const simulation = d3.forceSimulation(nodes)
+            .force('link', d3.forceLink(links).distance(linkDistance))
+            .force('charge', d3.forceManyBody().strength(charge))
+            .force('collide', d3.forceCollide(nodeRadius.max + 2))
+            .stop();
+        for (let i = 0; i < ticks; i++) {
+            simulation.tick();
+        }
+
+        this.g.selectAll('*').remove();
+        this.resetPanZoom();
+
+        this.g.append('g')
+            .selectAll('line')
+            .data(links)
+            .enter()
+            .append('line')
+            .attr('class', link => link.cross ? 'chart-link cross-link' : 'chart-link')
+            .attr('x1', link => link.source.x)
+            .attr('y1', link => link.source.y)
+            .attr('x2', link => link.target.x)
+            .attr('y2', link => link.target.y)
+            .attr('stroke', link => link.cross
+                ? Config.colors.shared
+                : (link.relationType === 'attack' ? Config.colors.attack : Config.colors.support))
+            .attr('stroke-dasharray', link => link.cross ? Config.shared.dashArray : null);
+
+        const marks = this.g.append('g')
+            .selectAll('g')
+            .data(nodes)
+            .enter()
+            .append('g')
+            .attr('transform', d => `translate(${d.x}, ${d.y})`);
+
+        const radius = d => d.depth === 0
+            ? nodeRadius.max * 1.5
+            : nodeRadius.min + (nodeRadius.max - nodeRadius.min) * (d.data.score?.intensity ?? 0.5);
+        marks.append('circle')
+            .attr('r', radius);
+
+        marks.filter(d => d.depth <= labelDepth)
+            .append('text')
+            .attr('class', 'chart-label')
+            .attr('y', d => -radius(d) - 4)
+            .attr('text-anchor', 'middle')
+            .text(d => ChartRenderer.truncate(d.data.title, labelLength));
+
+        this.decorateMarks(marks);
+
+        const xs = nodes.map(d => d.x);
+        const ys = nodes.map(d => d.y);
+        const labelSpace = labelLength * Config.layouts.charWidth / 2;
+        this.fitViewBox(
+            Math.min(...xs) - labelSpace,
+            Math.min(...ys) - nodeRadius.max * 2,
+            Math.max(...xs) + labelSpace,
+            Math.max(...ys) + nodeRadius.max
+        );
+    }
+
+    /**
+     * A proposition is drawn once, so every occurrence maps to the same circle
+     * @param {string} path - Occurrence path of the tree node
+     * @returns {Object} D3 selection
+     */
+    occurrenceMarks(path) {
+        const id = path.split('/').pop();
+        return this.marks().filter(d => d.data.id === id);
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * Graph Editor
+ * Editing operations on the flat node list with undo/redo history
+ */
+
+import { BatchMerger } from './BatchMerger.js';
+import { Config } from './config.js';
+import { TreeBuilder } from './TreeBuilder.js';
+
+export class GraphEditor {
+    constructor() {
+        this.nodes = [];
+        this.undoStack = [];
+        this.redoStack = [];
+
+        this.onChange = null;
+    }
+
+    /**
+     * Start editing a new node list, clearing the history
+     * @param {Array} nodes - Node objects
+     */
+    load(nodes) {
+        this.nodes = structuredClone(nodes);
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo()) return;
+        this.redoStack.push(this.nodes);
+        this.nodes = this.undoStack.pop();
+        this.notify();
+    }
+
+    redo() {
+        if (!this.canRedo()) return;
+        this.undoStack.push(this.nodes);
+        this.nodes = this.redoStack.pop();
+        this.notify();
+    }
+
+    /**
+     * Replace the whole node list as one undoable step
+     * @param {Array} nodes - New node list
+     */
+    replaceAll(nodes) {
+        this.apply(draft => {
+            draft.splice(0, draft.length, ...structuredClone(nodes));
+        });
+    }
+
+    /**
+     * Add a new node related to existing nodes
+     * A new node has no children yet, so its relations cannot close a loop
+     * @param {Object} fields - Node fields (title, description, quote, speaker, type, score)
+     * @param {Array} relations - Relations to existing nodes, at least one
+     * @returns {string} ID of the new node
+     */
+    addNode(fields, relations) {
+        if (relations.length === 0) {
+            throw new Error('گزاره جدید باید حداقل یک رابطه داشته باشد.');
+        }
+
+        const id = String(BatchMerger.nextNumericId(this.nodes));
+        this.apply(draft => {
+            relations.forEach(r => this.requireNode(draft, r.target_node_id));
+            draft.push({
+                id,
+                title: '',
+                description: '',
+                quote: '',
+                speaker: '',
+                type: 'practical',
+                score: { intensity: 0.5, confidence: 0.5 },
+                ...structuredClone(fields),
+                relations: structuredClone(relations)
+            });
+        });
+        return id;
+    }
+
+    /**
+     * Update fields of a node, including its relations
+     * @param {string} id - ID of the node
+     * @param {Object} fields - Fields to overwrite
+     */
+    updateNode(id, fields) {
+        this.apply(draft => {
+            const node = this.requireNode(draft, id);
+            if (fields.relations) {
+                fields.relations.forEach(r => this.assertNoCycle(draft, id, r.target_node_id));
+            }
+            Object.assign(node, structuredClone(fields));
+        });
+    }
+
+    /**
+     * Move a node from one parent to another, keeping its relation type and reasoning
+     * @param {string} id - ID of the node
+     * @param {string} oldParentId - ID of the current parent
+     * @param {string} newParentId - ID of the new parent
+     */
+    reparent(id, oldParentId, newParentId) {
+        this.apply(draft => {
+            const node = this.requireNode(draft, id);
+            this.requireNode(draft, newParentId);
+            this.assertNoCycle(draft, id, newParentId);
+
+            const relation = node.relations.find(r => r.target_node_id === oldParentId);
+            if (!relation) {
+                throw new Error(`گزاره ${id} به گزاره ${oldParentId} مرتبط نیست.`);
+            }
+            if (node.relations.some(r => r.target_node_id === newParentId)) {
+                throw new Error(`گزاره ${id} از قبل به گزاره ${newParentId} مرتبط است.`);
+            }
+            relation.target_node_id = newParentId;
+        });
+    }
+
+    /**
+     * Delete a single node; its children move up to the node's first parent
+     * @param {string} id - ID of the node
+     */
+    deleteNode(id) {
+        this.apply(draft => {
+            const node = this.requireNode(draft, id);
+            if (node.type === 'thesis') {
+                throw new Error('گزاره اصلی قابل حذف نیست.');
+            }
+
+            const newParentId = node.relations?.[0]?.target_node_id;
+            draft.forEach(other => {
+                if (!other.relations) return;
+                const hasNewParent = other.relations.some(r => r.target_node_id === newParentId);
+                other.relations = other.relations
+                    .filter(r => r.target_node_id !== id || (newParentId && !hasNewParent))
+                    .map(r => r.target_node_id === id ? { ...r, target_node_id: newParentId } : r);
+            });
+
+            draft.splice(draft.indexOf(node), 1);
+        });
+    }
+
+    /**
+     * Delete a node with every descendant that has no parent outside the subtree
+     * @param {string} id - ID of the subtree root
+     */
+    deleteSubtree(id) {
+        this.apply(draft => {
+            const node = this.requireNode(draft, id);
+            if (node.type === 'thesis') {
+                throw new Error('گزاره اصلی قابل حذف نیست.');
+            }
+
+            const graph = TreeBuilder.buildGraph(draft);
+            const deleted = new Set([id]);
+            let grew = true;
+            while (grew) {
+                grew = false;
+                graph.parentIndex.forEach((parents, nodeId) => {
+                    if (deleted.has(nodeId) || parents.length === 0) return;
+                    if (parents.every(p => deleted.has(p.id))) {
+                        deleted.add(nodeId);
+                        grew = true;
+                    }
+                });
+            }
+
+            const kept = draft.filter(n => !deleted.has(n.id));
+            kept.forEach(n => {
+                if (n.relations) {
+                    n.relations = n.relations.filter(r => !deleted.has(r.target_node_id));
+                }
+            });
+            draft.splice(0, draft.length, ...kept);
+        });
+    }
+
+    /**
+     * Run a mutation on a copy of the nodes and record it in the history
+     * The nodes stay untouched if the mutation throws
+     * @param {Function} mutator - Receives the draft node list
+     */
+    apply(mutator) {
+        const draft = structuredClone(this.nodes);
+        mutator(draft);
+
+        this.undoStack.push(this.nodes);
+        if (this.undoStack.length > Config.editor.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.nodes = draft;
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.nodes);
+        }
+    }
+
+    /**
+     * Find a node or throw
+     * @param {Array} nodes - Node list
+     * @param {string} id - ID of the node
+     * @returns {Object} Node object
+     */
+    requireNode(nodes, id) {
+        const node = nodes.find(n => n.id === id);
+        if (!node) {
+            throw new Error(`گزاره ${id} وجود ندارد.`);
+        }
+        return node;
+    }
+
+    /**
+     * Refuse a relation that would close a loop
+     * @param {Array} nodes - Node list
+     * @param {string} sourceId - Node that gets the relation
+     * @param {string} targetId - Target of the relation
+     */
+    assertNoCycle(nodes, sourceId, targetId) {
+        if (GraphEditor.wouldCreateCycle(nodes, sourceId, targetId)) {
+            throw new Error(`رابطه ${sourceId} ← ${targetId} یک چرخه ایجاد می‌کند و ساختار باید بدون چرخه (DAG) بماند.`);
+        }
+    }
+
+    /**
+     * Whether relating source to target creates a cycle
+     * That happens when the target is the source itself or one of its descendants
+     * @param {Array} nodes - Node list
+     * @param {string} sourceId - Node that gets the relation
+     * @param {string} targetId - Target of the relation
+     * @returns {boolean} True if a cycle would be created
+     */
+    static wouldCreateCycle(nodes, sourceId, targetId) {
+        if (sourceId === targetId) return true;
+
+        const graph = TreeBuilder.buildGraph(nodes);
+        const seen = new Set([sourceId]);
+        const queue = [sourceId];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            for (const child of graph.childIndex.get(id) || []) {
+                if (child.id === targetId) return true;
+                if (!seen.has(child.id)) {
+                    seen.add(child.id);
+                    queue.push(child.id);
+                }
+            }
+        }
+        return false;
+    }
+}
@@ -0,0 +1,294 @@
+/**
+ * Graph Validator
+ * Checks debate JSON against the documented new_nodes schema and DAG rules
+ */
+
+import { Config } from './config.js';
+import { TreeBuilder } from './TreeBuilder.js';
+
+// Persian copulas and auxiliaries that make a title a full proposition
+const PERSIAN_VERBS = new Set([
+    'است', 'نیست', 'هست', 'هستند', 'نیستند', 'بود', 'بودند', 'نبود',
+    'باشد', 'باشند', 'نباشد', 'شد', 'شود', 'شوند', 'نشود', 'دارد', 'دارند', 'ندارد', 'ندارند'
+]);
+
+const ENGLISH_VERBS = new Set([
+    'is', 'are', 'was', 'were', 'be', 'been', 'has', 'have', 'had', 'do', 'does', 'did',
+    'can', 'cannot', 'could', 'should', 'must', 'will', 'would', 'may', 'might'
+]);
+
+// Errors in how the nodes connect rather than in the nodes themselves
+const GRAPH_CODES = ['dangling-target', 'self-relation', 'missing-thesis', 'multiple-thesis', 'cycle'];
+
+export class GraphValidator {
+    /**
+     * Validate debate data
+     * @param {Object} data - Parsed JSON data
+     * @returns {Object} Report with issues array and error/warning counts
+     */
+    static validate(data) {
+        const issues = [];
+        const add = (severity, code, message, nodeId = null) => {
+            issues.push({ severity, code, message, nodeId });
+        };
+
+        if (!data || typeof data !== 'object' || !Array.isArray(data.new_nodes)) {
+            add('error', 'missing-nodes', 'فایل باید دارای آرایه "new_nodes" باشد.');
+            return this.summarize(issues);
+        }
+
+        const nodes = data.new_nodes;
+        if (nodes.length === 0) {
+            add('error', 'empty-nodes', 'آرایه "new_nodes" خالی است.');
+            return this.summarize(issues);
+        }
+
+        const seen = new Set();
+        nodes.forEach((node, index) => {
+            if (!node || typeof node !== 'object') {
+                add('error', 'invalid-node', `عنصر شماره ${index + 1} یک شیء نیست.`);
+                return;
+            }
+            if (typeof node.id !== 'string' || node.id === '') {
+                add('error', 'missing-id', `گزاره شماره ${index + 1} شناسه (id) رشته‌ای ندارد.`);
+                return;
+            }
+            if (seen.has(node.id)) {
+                add('error', 'duplicate-id', `شناسه "${node.id}" تکراری است.`, node.id);
+            }
+            seen.add(node.id);
+
+            this.validateNode(node, add);
+        });
+
+        const validNodes = nodes.filter(n => n && typeof n === 'object' && typeof n.id === 'string');
+        this.validateRelations(validNodes, seen, add);
+        this.validateThesis(validNodes, add);
+        this.validateCycles(validNodes, add);
+        this.validateReachability(validNodes, add);
+        this.validateTreeSize(validNodes, add);
+
+        return this.summarize(issues);
+    }
+
+    /**
+     * Check the fields of a single node
+     * @param {Object} node - Node object
+     * @param {Function} add - Issue collector
+     */
+    static validateNode(node, add) {
+        if (!Config.schema.nodeTypes.includes(node.type)) {
+            add('error', 'unknown-type', `نوع "${node.type}" برای گزاره ${node.id} معتبر نیست.`, node.id);
+        }
+
+        ['intensity', 'confidence'].forEach(key => {
+            const value = node.score?.[key];
+            if (value === undefined) return;
+            if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 1) {
+                add('error', 'score-range', `مقدار ${key} گزاره ${node.id} باید بین ۰ و ۱ باشد (${value}).`, node.id);
+            }
+        });
+
+        if (node.relations !== undefined && !Array.isArray(node.relations)) {
+            add('error', 'invalid-relations', `روابط گزاره ${node.id} باید آرایه باشد.`, node.id);
+        }
+
+        if (typeof node.title !== 'string' || node.title.trim() === '') {
+            add('error', 'missing-title', `گزاره ${node.id} عنوان ندارد.`, node.id);
+            return;
+        }
+
+        const words = node.title.trim().split(/\s+/);
+        const { min, max } = Config.validation.titleWords;
+        if (words.length < min || words.length > max) {
+            add('warning', 'title-length', `عنوان گزاره ${node.id} ${words.length} کلمه دارد (باید ${min} تا ${max} باشد).`, node.id);
+        }
+        if (!this.hasVerb(words)) {
+            add('warning', 'title-verb', `عنوان گزاره ${node.id} فعل ندارد و یک موضوع است، نه گزاره.`, node.id);
+        }
+    }
+
+    /**
+     * Heuristic check for a verb in a Persian or English title
+     * @param {Array<string>} words - Title words
+     * @returns {boolean} True if a verb-like word was found
+     */
+    static hasVerb(words) {
+        const clean = words.map(w => w.replace(/[«»"'().,،؛:!?؟]/g, '').toLowerCase()).filter(Boolean);
+        if (clean.length === 0) return false;
+
+        return clean.some((word, index) => {
+            if (PERSIAN_VERBS.has(word) || ENGLISH_VERBS.has(word)) return true;
+            if (/^ن?می‌./.test(word)) return true;
+            // Persian verbs close the sentence, so only trust endings on the last word
+            return index === clean.length - 1 && /(د|ند|یم|ید|ed)$/.test(word);
+        });
+    }
+
+    /**
+     * Check relation targets and relation types
+     * @param {Array} nodes - Nodes with ids
+     * @param {Set<string>} ids - All node ids
+     * @param {Function} add - Issue collector
+     */
+    static validateRelations(nodes, ids, add) {
+        nodes.forEach(node => {
+            if (!Array.isArray(node.relations)) return;
+
+            node.relations.forEach(relation => {
+                const targetId = relation?.target_node_id;
+                if (!ids.has(targetId)) {
+                    add('error', 'dangling-target', `گزاره ${node.id} به شناسه ناموجود "${targetId}" اشاره می‌کند.`, node.id);
+                } else if (targetId === node.id) {
+                    add('error', 'self-relation', `گزاره ${node.id} به خودش اشاره می‌کند.`, node.id);
+                }
+                if (!Config.schema.relationTypes.includes(relation?.relation_type)) {
+                    add('error', 'unknown-relation', `نوع رابطه "${relation?.relation_type}" در گزاره ${node.id} معتبر نیست.`, node.id);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check there is exactly one thesis node
+     * @param {Array} nodes - Nodes with ids
+     * @param {Function} add - Issue collector
+     */
+    static validateThesis(nodes, add) {
+        const theses = nodes.filter(n => n.type === 'thesis');
+        if (theses.length === 0) {
+            add('error', 'missing-thesis', 'هیچ گزاره اصلی (thesis) وجود ندارد.');
+        } else if (theses.length > 1) {
+            theses.slice(1).forEach(n => {
+                add('error', 'multiple-thesis', `بیش از یک گزاره اصلی وجود دارد؛ گزاره ${n.id} نادیده گرفته می‌شود.`, n.id);
+            });
+        }
+    }
+
+    /**
+     * Detect cycles along relation edges
+     * @param {Array} nodes - Nodes with ids
+     * @param {Function} add - Issue collector
+     */
+    static validateCycles(nodes, add) {
+        const graph = TreeBuilder.buildGraph(nodes);
+        const state = new Map();
+        const stack = [];
+
+        const visit = (id) => {
+            state.set(id, 'active');
+            stack.push(id);
+
+            for (const parent of graph.parentIndex.get(id)) {
+                if (state.get(parent.id) === 'active') {
+                    const cycle = [...stack.slice(stack.indexOf(parent.id)), parent.id];
+                    add('error', 'cycle', `چرخه در روابط: ${cycle.join(' → ')}`, id);
+                } else if (!state.has(parent.id)) {
+                    visit(parent.id);
+                }
+            }
+
+            stack.pop();
+            state.set(id, 'done');
+        };
+
+        graph.nodeMap.forEach((node, id) => {
+            if (!state.has(id)) visit(id);
+        });
+    }
+
+    /**
+     * Detect nodes that cannot be reached from the thesis
+     * @param {Array} nodes - Nodes with ids
+     * @param {Function} add - Issue collector
+     */
+    static validateReachability(nodes, add) {
+        const graph = TreeBuilder.buildGraph(nodes);
+        if (!graph.thesis) return;
+
+        const reached = new Set([graph.thesis.id]);
+        const queue = [graph.thesis.id];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            graph.childIndex.get(id).forEach(child => {
+                if (!reached.has(child.id)) {
+                    reached.add(child.id);
+                    queue.push(child.id);
+                }
+            });
+        }
+
+        graph.nodeMap.forEach((node, id) => {
+            if (!reached.has(id)) {
+                add('warning', 'orphan', `گزاره ${id} از گزاره اصلی قابل دسترسی نیست و نمایش داده نمی‌شود.`, id);
+            }
+        });
+    }
+
+    /**
+     * Warn when shared nodes unfold into a tree too large to draw in full
+     * Counts the tree nodes buildTree would make without a limit; relations that close
+     * a cycle are left out, as buildTree cuts them
+     * @param {Array} nodes - Nodes with ids
+     * @param {Function} add - Issue collector
+     */
+    static validateTreeSize(nodes, add) {
+        const graph = TreeBuilder.buildGraph(nodes);
+        if (!graph.thesis) return;
+
+        const sizes = new Map();
+        const active = new Set();
+        const size = (id) => {
+            if (sizes.has(id)) return sizes.get(id);
+            active.add(id);
+            let total = 1;
+            graph.childIndex.get(id).forEach(child => {
+                if (!active.has(child.id)) total += size(child.id);
+            });
+            active.delete(id);
+            sizes.set(id, total);
+            return total;
+        };
+
+        const total = size(graph.thesis.id);
+        const limit = Config.performance.maxOccurrences;
+        if (total > limit) {
+            const count = total < 1e9 ? String(total) : total.toExponential(1);
+            add('warning', 'large-tree', `گزاره‌های مشترک درخت را به ${count} جایگاه می‌رسانند؛ پس از ${limit} جایگاه، زیرشاخه گزاره‌های تکراری فقط در نخستین جایگاه نمایش داده می‌شود.`);
+        }
+    }
+
+    /**
+     * Attach counts to an issue list
+     * @param {Array} issues - Collected issues
+     * @returns {Object} Report object
+     */
+    static summarize(issues) {
+        return {
+            issues,
+            errorCount: issues.filter(i => i.severity === 'error').length,
+            warningCount: issues.filter(i => i.severity === 'warning').length
+        };
+    }
+
+    /**
+     * Whether the data can still be drawn despite its issues
+     * Entries that are not objects or lack a string id cannot be indexed, so they are fatal too
+     * @param {Object} report - Report returned by validate
+     * @returns {boolean} True if a tree can be built
+     */
+    static isRenderable(report) {
+        const fatal = ['missing-nodes', 'empty-nodes', 'invalid-node', 'missing-id', 'missing-thesis'];
+        return !report.issues.some(i => fatal.includes(i.code));
+    }
+
+    /**
+     * Whether an issue concerns the graph (relation targets, thesis count, cycles)
+     * rather than the schema of single nodes
+     * @param {Object} issue - Issue from a report
+     * @returns {boolean} True for graph issues
+     */
+    static isGraphIssue(issue) {
+        return GRAPH_CODES.includes(issue.code);
+    }
+}
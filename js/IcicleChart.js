@@ -0,0 +1,130 @@
+/**
+ * Icicle Chart
+ * Rectangular partition view: the root is the right-hand column, each level a column to its left
+ */
+
+import { ChartRenderer } from './ChartRenderer.js';
+import { Config } from './config.js';
+
+export class IcicleChart extends ChartRenderer {
+    constructor(containerId) {
+        super(containerId);
+
+        this.columnWidth = 0;
+        this.drawWidth = 0;
+
+        this.init();
+    }
+
+    /**
+     * Render the icicle chart
+     * @param {Object} rootNode - Root node to render
+     */
+    render(rootNode) {
+        this.currentRoot = rootNode;
+        this.root = d3.hierarchy(rootNode);
+
+        const width = this.width || Config.chart.viewBoxWidth;
+        const height = this.height || Config.chart.viewBoxHeight;
+        const { gap, minLabelHeight } = Config.layouts.icicle;
+
+        this.cull(this.root, d => d.depth <= Config.performance.maxDepth);
+        let maxDepth = 0;
+        this.root.each(d => { maxDepth = Math.max(maxDepth, d.depth); });
+        const columnWidth = width / (maxDepth + 1);
+        this.columnWidth = columnWidth;
+        this.drawWidth = width;
+
+        // Siblings share their parent's height by the sizing mode, like the sunburst angles
+        this.assignSpans(this.root, 0, height, Config.sizing.minHeight);
+        this.cull(this.root, d => d.x1 - d.x0 >= Config.performance.minMarkSize);
+
+        this.g.selectAll('*').remove();
+        this.svg.attr('viewBox', `0 0 ${width} ${height}`);
+
+        const cells = this.g.selectAll('g')
+            .data(this.root.descendants())
+            .enter()
+            .append('g')
+            .attr('transform', d => this.cellTransform(d, d.x0));
+
+        cells.append('rect')
+            .attr('width', columnWidth - gap)
+            .attr('height', d => Math.max(0, d.x1 - d.x0 - gap))
+            .attr('rx', 3);
+
+        const maxChars = Math.floor((columnWidth - 12) / Config.layouts.charWidth);
+        cells.append('text')
+            .attr('class', 'chart-label')
+            .attr('x', columnWidth - gap - 6)
+            .attr('y', d => (d.x1 - d.x0 - gap) / 2)
+            .attr('text-anchor', 'end')
+            .attr('dominant-baseline', 'middle')
+            .style('display', d => d.x1 - d.x0 - gap >= minLabelHeight ? null : 'none')
+            .text(d => ChartRenderer.truncate(d.data.title, maxChars));
+
+        this.decorateMarks(cells);
+    }
+
+    /**
+     * Position of a cell: its depth picks the column, counted from the right
+     * @param {Object} d - Hierarchy node
+     * @param {number} y - Top of the cell
+     * @returns {string} Transform attribute
+     */
+    cellTransform(d, y) {
+        return `translate(${this.drawWidth - (d.depth + 1) * this.columnWidth}, ${y})`;
+    }
+
+    /**
+     * Switch the sizing mode, moving the cells to their new heights
+     * @param {string} mode - Sizing mode
+     */
+    setSizing(mode) {
+        // render() rebuilds the hierarchy, so old spans are matched to the new cells by path
+        const before = new Map((this.root?.descendants() || []).map(d => [d.data.path, [d.x0, d.x1]]));
+        super.setSizing(mode);
+        if (before.size === 0) return;
+
+        const { gap, minLabelHeight } = Config.layouts.icicle;
+        const start = (d) => before.get(d.data.path) || [d.x0, d.x1];
+        const cells = this.marks();
+
+        cells.attr('transform', d => this.cellTransform(d, start(d)[0]))
+            .transition()
+            .duration(Config.animation.sizingDuration)
+            .attrTween('transform', d => {
+                const interpolate = d3.interpolateNumber(start(d)[0], d.x0);
+                return t => this.cellTransform(d, interpolate(t));
+            });
+        cells.select('rect')
+            .attr('height', d => Math.max(0, start(d)[1] - start(d)[0] - gap))
+            .transition()
+            .duration(Config.animation.sizingDuration)
+            .attr('height', d => Math.max(0, d.x1 - d.x0 - gap));
+        cells.select('text')
+            .style('display', d => Math.max(start(d)[1] - start(d)[0], d.x1 - d.x0) - gap >= minLabelHeight ? null : 'none')
+            .attr('y', d => (start(d)[1] - start(d)[0] - gap) / 2)
+            .transition()
+            .duration(Config.animation.sizingDuration)
+            .attr('y', d => (d.x1 - d.x0 - gap) / 2)
+            .on('end', function (d) {
+                d3.select(this).style('display', d.x1 - d.x0 - gap >= minLabelHeight ? null : 'none');
+            });
+    }
+
+    /**
+     * Jump running sizing transitions to their end
+     */
+    settle() {
+        const { gap, minLabelHeight } = Config.layouts.icicle;
+        const cells = this.marks();
+        cells.interrupt()
+            .attr('transform', d => this.cellTransform(d, d.x0));
+        cells.select('rect').interrupt()
+            .attr('height', d => Math.max(0, d.x1 - d.x0 - gap));
+        cells.select('text').interrupt()
+            .attr('y', d => (d.x1 - d.x0 - gap) / 2)
+            .style('display', d => d.x1 - d.x0 - gap >= minLabelHeight ? null : 'none');
+    }
+}
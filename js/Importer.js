@@ -0,0 +1,672 @@
+/**
+ * Importer
+ * Reads argument maps of other tools into the new_nodes format: AIF JSON, Argdown,
+ * Kialo's plain-text export and an indented outline with +/- markers
+ *
+ * Parts of a map that have no place in the node/relation model, such as undercutters
+ * or conflicts without a direction, are listed as unmapped instead of being dropped
+ * silently. Every importer returns the debate data together with that list.
+ */
+
+import { Config } from './config.js';
+import { TreeBuilder } from './TreeBuilder.js';
+
+// Readers by format name; each returns { data, unmapped }
+const IMPORTERS = {
+    'json': text => ({ data: JSON.parse(text), unmapped: [] }),
+    'aif': text => Importer.fromAif(JSON.parse(text)),
+    'argdown': text => Importer.fromArgdown(text),
+    'kialo': text => Importer.fromKialo(text),
+    'outline': text => Importer.fromOutline(text)
+};
+
+// Argdown relations, written under the element they relate to: the relation type and
+// whether the indented element is the source (<+ and <-) or the target (+> and ->)
+const ARGDOWN_RELATIONS = {
+    '<+': { type: 'support', fromChild: true },
+    '<-': { type: 'attack', fromChild: true },
+    '+': { type: 'support', fromChild: true },
+    '-': { type: 'attack', fromChild: true },
+    '+>': { type: 'support', fromChild: false },
+    '->': { type: 'attack', fromChild: false }
+};
+
+// Argdown relations without a counterpart in the model
+const ARGDOWN_UNMAPPED = {
+    '<_': 'حمله به استنتاج (undercut) در مدل گزاره‌ها جایی ندارد',
+    '_>': 'حمله به استنتاج (undercut) در مدل گزاره‌ها جایی ندارد',
+    '><': 'رابطه تناقض جهت ندارد و به حمایت یا انتقاد تبدیل نشد'
+};
+
+// AIF scheme nodes that connect claims by something other than support or attack
+const AIF_UNMAPPED = {
+    MA: 'بازگویی (MA) در مدل گزاره‌ها جایی ندارد',
+    PA: 'ترجیح (PA) در مدل گزاره‌ها جایی ندارد'
+};
+
+// AIF nodes of the dialogue layer; only used to find the speaker of a claim
+const AIF_DIALOGUE = ['L', 'TA', 'YA'];
+
+// Extensions whose format is told apart by the content; others are refused
+const TEXT_EXTENSIONS = ['.json', '.txt', '.md'];
+
+const SUPPORTED = 'JSON، AIF، Argdown، خروجی متنی Kialo یا فهرست تورفته با نشانه‌های + و -';
+
+export class Importer {
+    /**
+     * Read a file in any supported format
+     * @param {string} text - File content
+     * @param {Object} options - filename to guess the format from, or an explicit format
+     * @returns {Object} format, data with new_nodes, and unmapped items
+     */
+    static read(text, { filename = '', format = null } = {}) {
+        const key = format || this.detect(filename, text);
+        if (!IMPORTERS[key]) {
+            throw new Error(`قالب «${key}» پشتیبانی نمی‌شود؛ قالب‌های قابل خواندن: ${SUPPORTED}.`);
+        }
+        return { format: key, ...IMPORTERS[key](text) };
+    }
+
+    /**
+     * Formats read() understands
+     * @returns {Array<string>} Keys of IMPORTERS
+     */
+    static formats() {
+        return Object.keys(IMPORTERS);
+    }
+
+    /**
+     * Guess the format of a file from its name and content
+     * Text is only read as an outline if a line below the first carries a + or - marker
+     * @param {string} filename - File name
+     * @param {string} text - File content
+     * @returns {string} Key of IMPORTERS
+     */
+    static detect(filename, text) {
+        const extension = (filename.match(/\.[^./]+$/)?.[0] || '').toLowerCase();
+        if (extension === '.argdown' || extension === '.ad') return 'argdown';
+        if (extension && !TEXT_EXTENSIONS.includes(extension)) {
+            throw new Error(`فایل‌های ${extension} پشتیبانی نمی‌شوند؛ قالب‌های قابل خواندن: ${SUPPORTED}.`);
+        }
+
+        if (/^\s*[{[]/.test(text)) {
+            try {
+                const data = JSON.parse(text);
+                return Array.isArray((data?.AIF || data)?.edges) ? 'aif' : 'json';
+            } catch (error) {
+                return 'json';
+            }
+        }
+        if (/^Discussion Title:/m.test(text) || /^\d+(\.\d+)+\.\s+(Pro|Con):/m.test(text)) return 'kialo';
+        if (/^\s*(<\+|<-|<_|\+>|->|_>)\s/m.test(text) || /^\s*(\[[^\]]+\]|<[^>]+>):/m.test(text)) return 'argdown';
+
+        const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+        if (lines.slice(1).some(line => this.outlineItem(line).marked)) return 'outline';
+        throw new Error(`ساختار فایل با هیچ‌یک از قالب‌های قابل خواندن سازگار نیست: ${SUPPORTED}.`);
+    }
+
+    /**
+     * Read AIF JSON as produced by AIFdb and OVA
+     * I-nodes become claims, RA and CA nodes support and attack relations from each
+     * premise to each conclusion; speakers come from the locutions of the dialogue layer
+     * @param {Object} data - Parsed AIF, optionally wrapped in an "AIF" property
+     * @returns {Object} data with new_nodes, and unmapped items
+     */
+    static fromAif(data) {
+        const aif = data?.AIF || data;
+        if (!Array.isArray(aif?.nodes) || !Array.isArray(aif?.edges)) {
+            throw new Error('فایل AIF باید آرایه‌های "nodes" و "edges" داشته باشد.');
+        }
+
+        const unmapped = [];
+        const byId = new Map(aif.nodes.map(n => [String(n.nodeID), n]));
+        const incoming = new Map();
+        const outgoing = new Map();
+        const link = (index, key, value) => {
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(value);
+        };
+        aif.edges.forEach(edge => {
+            link(outgoing, String(edge.fromID), String(edge.toID));
+            link(incoming, String(edge.toID), String(edge.fromID));
+        });
+        const typeOf = (id) => byId.get(id)?.type;
+        const label = (n) => `${n.type} ${n.nodeID}${n.text ? `: ${n.text}` : ''}`;
+
+        const nodes = [];
+        const claims = new Map();
+        aif.nodes.filter(n => n.type === 'I').forEach(n => {
+            const node = this.createNode(`k${nodes.length + 1}`, String(n.text ?? '').trim());
+            this.applyFields(node, { ...n, id: String(n.nodeID), type: n.claimType });
+            node.speaker = node.speaker || this.aifSpeaker(aif, String(n.nodeID), byId, incoming);
+            nodes.push(node);
+            claims.set(String(n.nodeID), node);
+        });
+
+        aif.nodes.forEach(n => {
+            const id = String(n.nodeID);
+            if (n.type === 'I' || AIF_DIALOGUE.includes(n.type)) return;
+            if (AIF_UNMAPPED[n.type]) {
+                unmapped.push({ line: null, item: label(n), reason: AIF_UNMAPPED[n.type] });
+                return;
+            }
+            if (n.type !== 'RA' && n.type !== 'CA') {
+                unmapped.push({ line: null, item: label(n), reason: `نوع گره "${n.type}" شناخته نشد` });
+                return;
+            }
+
+            const relationType = n.type === 'RA' ? 'support' : 'attack';
+            const premises = (incoming.get(id) || []).filter(source => typeOf(source) === 'I');
+            const targets = outgoing.get(id) || [];
+            const conclusions = targets.filter(target => typeOf(target) === 'I');
+
+            targets.filter(target => byId.has(target) && typeOf(target) !== 'I').forEach(target => {
+                unmapped.push({
+                    line: null,
+                    item: label(n),
+                    reason: relationType === 'attack'
+                        ? `حمله به استنتاج ${target} (undercut) در مدل گزاره‌ها جایی ندارد`
+                        : `حمایت از استنتاج ${target} در مدل گزاره‌ها جایی ندارد`
+                });
+            });
+            if (premises.length === 0 || conclusions.length === 0) {
+                if (conclusions.length > 0 || targets.length === 0) {
+                    unmapped.push({ line: null, item: label(n), reason: 'استنتاج بدون مقدمه یا نتیجه' });
+                }
+                return;
+            }
+            if (premises.length > 1) {
+                unmapped.push({
+                    line: null,
+                    item: label(n),
+                    reason: `${premises.length} مقدمه پیوسته جداگانه به نتیجه وصل شدند`
+                });
+            }
+
+            premises.forEach(premise => {
+                conclusions.forEach(conclusion => {
+                    this.relate(claims.get(premise), claims.get(conclusion).id, relationType, n.reasoning || '');
+                });
+            });
+        });
+
+        return this.finish(nodes, unmapped);
+    }
+
+    /**
+     * Speaker of an AIF claim: the participant of the locution asserting it
+     * @param {Object} aif - AIF data
+     * @param {string} id - nodeID of the I-node
+     * @param {Map} byId - AIF nodes by id
+     * @param {Map} incoming - Source ids by target id
+     * @returns {string} Speaker name, empty if unknown
+     */
+    static aifSpeaker(aif, id, byId, incoming) {
+        const participants = new Map((aif.participants || []).map(p => [
+            String(p.participantID),
+            [p.firstname, p.surname].filter(Boolean).join(' ')
+        ]));
+        const people = new Map((aif.locutions || []).map(l => [String(l.nodeID), participants.get(String(l.personID))]));
+
+        for (const anchor of incoming.get(id) || []) {
+            if (byId.get(anchor)?.type !== 'YA') continue;
+            for (const locution of incoming.get(anchor) || []) {
+                const node = byId.get(locution);
+                if (node?.type !== 'L') continue;
+                // Without a locution entry, OVA writes the speaker before a colon in the text
+                const speaker = people.get(locution) || String(node.text || '').match(/^([^:]+):/)?.[1];
+                if (speaker) return speaker.trim();
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Read Argdown text
+     * Statements [Title] and arguments <Title> both become claims, the same title
+     * anywhere meaning the same claim; the text after the colon is their description.
+     * Inline data in braces sets id, type, speaker, quote, intensity and confidence;
+     * a reasoning entry belongs to the relation written on the same line.
+     * @param {string} text - Argdown source
+     * @returns {Object} data with new_nodes, and unmapped items
+     */
+    static fromArgdown(text) {
+        const unmapped = [];
+        const nodes = [];
+        const byKey = new Map();
+        const element = (key, title) => {
+            if (!byKey.has(key)) {
+                const node = this.createNode(`k${nodes.length + 1}`, title);
+                nodes.push(node);
+                byKey.set(key, node);
+            }
+            return byKey.get(key);
+        };
+
+        // Comments are blanked out line by line, so line numbers stay right
+        const source = text.replace(/\/\*[\s\S]*?\*\/|<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ''));
+        const stack = [];
+        let frontMatter = false;
+        let inStructure = false;
+        let last = null;
+
+        source.split('\n').forEach((raw, index) => {
+            const line = index + 1;
+            const trimmed = raw.trim();
+            if (trimmed === '===') {
+                frontMatter = !frontMatter;
+                return;
+            }
+            if (frontMatter || trimmed.startsWith('//') || /^#+\s/.test(trimmed)) return;
+            if (trimmed === '') {
+                last = null;
+                inStructure = false;
+                return;
+            }
+
+            // Premise-conclusion structures: numbered statements and inference lines
+            if (/^\(\d+\)/.test(trimmed) || /^-{2,}/.test(trimmed)) {
+                if (!inStructure) {
+                    unmapped.push({ line, item: trimmed, reason: 'ساختار مقدمه و نتیجه (premise-conclusion) خوانده نشد' });
+                }
+                inStructure = true;
+                return;
+            }
+            inStructure = false;
+
+            const [, indentText, relation, rest] = raw.match(/^(\s*)(?:(<\+|<-|<_|\+>|->|_>|><|\+|-)\s+)?(.*)$/);
+            const indent = indentText.replace(/\t/g, '    ').length;
+            const { body, fields, tags } = this.argdownData(rest.trim());
+            if (tags.length > 0) {
+                unmapped.push({ line, item: tags.join(' '), reason: 'برچسب‌ها نگاشت نشدند' });
+            }
+
+            const titled = body.match(/^(?:\[([^\]]*)\]|<([^>]*)>)(?::\s*(.*))?$/);
+            // Plain text right below an element continues its text
+            if (!titled && !relation && last) {
+                if (last.labelled) {
+                    last.node.description = `${last.node.description} ${body}`.trim();
+                } else {
+                    last.node.title = `${last.node.title} ${body}`;
+                }
+                return;
+            }
+
+            const node = titled
+                ? element(titled[1] !== undefined ? `[${titled[1].trim()}]` : `<${titled[2].trim()}>`, (titled[1] ?? titled[2]).trim())
+                : element(`text:${body}`, body);
+            if (titled?.[3] && !node.description) {
+                node.description = titled[3].trim();
+            }
+            this.applyFields(node, fields);
+            last = { node, labelled: Boolean(titled) };
+
+            while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+                stack.pop();
+            }
+            const parent = stack[stack.length - 1]?.node;
+            if (relation && !parent) {
+                unmapped.push({ line, item: trimmed, reason: 'رابطه بدون عنصر بالادست' });
+            } else if (relation && ARGDOWN_RELATIONS[relation]) {
+                const { type, fromChild } = ARGDOWN_RELATIONS[relation];
+                const reasoning = typeof fields.reasoning === 'string' ? fields.reasoning : '';
+                if (fromChild) {
+                    this.relate(node, parent.id, type, reasoning);
+                } else {
+                    this.relate(parent, node.id, type, reasoning);
+                }
+            } else if (relation) {
+                unmapped.push({ line, item: trimmed, reason: ARGDOWN_UNMAPPED[relation] });
+            }
+            stack.push({ indent, node });
+        });
+
+        return this.finish(nodes, unmapped);
+    }
+
+    /**
+     * Split the inline data and tags off an Argdown element
+     * Data is read as flat key: value pairs; quoted values may contain commas
+     * @param {string} text - Element text
+     * @returns {Object} body without data and tags, fields and tags
+     */
+    static argdownData(text) {
+        const fields = {};
+        let body = text;
+
+        const data = body.match(/\s*\{([^{}]*)\}\s*$/);
+        if (data) {
+            body = body.slice(0, data.index);
+            for (const [, key, value] of data[1].matchAll(/([\w-]+)\s*:\s*("(?:[^"\\]|\\.)*"|'[^']*'|[^,]*)/g)) {
+                const trimmed = value.trim();
+                if (trimmed.startsWith('"')) {
+                    fields[key] = JSON.parse(trimmed);
+                } else if (trimmed.startsWith('\'')) {
+                    fields[key] = trimmed.slice(1, -1);
+                } else {
+                    fields[key] = trimmed !== '' && !Number.isNaN(Number(trimmed)) ? Number(trimmed) : trimmed;
+                }
+            }
+        }
+
+        const tags = [];
+        body = body.replace(/(^|\s)#(\([^)]*\)|[\p{L}\p{N}_-]+)/gu, (match, space, tag) => {
+            tags.push(`#${tag}`);
+            return space;
+        }).trim();
+
+        return { body, fields, tags };
+    }
+
+    /**
+     * Read Kialo's plain-text discussion export
+     * Claims are numbered by their place in the tree ("1.2.3. Pro: ..."); links to a
+     * claim elsewhere ("-> See 1.4.") make that claim shared
+     * @param {string} text - Exported text
+     * @returns {Object} data with new_nodes, and unmapped items
+     */
+    static fromKialo(text) {
+        const unmapped = [];
+        const nodes = [];
+        const byNumber = new Map();
+        const claims = [];
+        let discussionTitle = '';
+        let last = null;
+
+        text.split('\n').forEach((raw, index) => {
+            const line = index + 1;
+            const trimmed = raw.trim();
+            const title = trimmed.match(/^Discussion Title:\s*(.*)$/);
+            if (title) {
+                discussionTitle = title[1].trim();
+                return;
+            }
+
+            const claim = trimmed.match(/^(\d+(?:\.\d+)*)\.\s+(?:(Pro|Con)\s*:\s*)?(.*)$/);
+            if (!claim) {
+                // Claims may run over several lines
+                if (trimmed && last) {
+                    last.node.description = [last.node.description, trimmed].filter(Boolean).join('\n');
+                }
+                return;
+            }
+
+            const [, number, stance, claimText] = claim;
+            const entry = { line, number, stance, text: claimText.trim() };
+            claims.push(entry);
+
+            const linkTo = entry.text.match(/^->\s*See\s+(\d+(?:\.\d+)*)\.?$/i);
+            if (linkTo) {
+                entry.link = linkTo[1];
+                last = null;
+                return;
+            }
+            const node = this.createNode(`k${nodes.length + 1}`, entry.text);
+            nodes.push(node);
+            byNumber.set(number, node);
+            entry.node = node;
+            last = entry;
+        });
+
+        const root = claims[0];
+        if (root?.node) {
+            root.node.type = 'thesis';
+            root.node.title = root.node.title || discussionTitle;
+        }
+
+        claims.slice(1).forEach(entry => {
+            const parent = byNumber.get(entry.number.split('.').slice(0, -1).join('.'));
+            const source = entry.link ? byNumber.get(entry.link) : entry.node;
+            const item = `${entry.number}. ${entry.stance ? `${entry.stance}: ` : ''}${entry.text}`;
+            if (!parent) {
+                unmapped.push({ line: entry.line, item, reason: 'ادعای بالادست پیدا نشد' });
+                return;
+            }
+            if (!source) {
+                unmapped.push({ line: entry.line, item, reason: `ارجاع به ادعای ناموجود ${entry.link}` });
+                return;
+            }
+            if (!entry.stance) {
+                unmapped.push({ line: entry.line, item, reason: 'ادعا موافق (Pro) یا مخالف (Con) مشخص نشده؛ حمایت در نظر گرفته شد' });
+            }
+            this.relate(source, parent.id, entry.stance === 'Con' ? 'attack' : 'support');
+        });
+
+        return this.finish(nodes, unmapped);
+    }
+
+    /**
+     * Read an indented outline with +/- markers
+     * The first line is the thesis; every further line is a claim supporting (+, [+])
+     * or attacking (-, −, [−]) the claim above it with less indentation. Reads the
+     * Markdown outline of the exporter too: speakers after " — ", and claims marked ⟲
+     * are shared, so their repeated subtrees are read once.
+     * @param {string} text - Outline text
+     * @returns {Object} data with new_nodes, and unmapped items
+     */
+    static fromOutline(text) {
+        const unmapped = [];
+        const nodes = [];
+        const shared = new Map();
+        const stack = [];
+        let thesis = null;
+        let skipBelow = null;
+
+        text.split('\n').forEach((raw, index) => {
+            const line = index + 1;
+            const trimmed = raw.trim();
+            // Blank lines and the key line of exported outlines
+            if (!trimmed || /^\[\+\].*\[[-−]\]/.test(trimmed)) return;
+
+            if (!thesis) {
+                thesis = this.createNode(`k${nodes.length + 1}`, trimmed.replace(/^(#+|[-*+])\s+/, ''));
+                thesis.type = 'thesis';
+                nodes.push(thesis);
+                return;
+            }
+            // Speaker of the thesis, in italics below it
+            const thesisSpeaker = trimmed.match(/^\*([^*]+)\*$/);
+            if (thesisSpeaker && nodes.length === 1 && !thesis.speaker) {
+                thesis.speaker = thesisSpeaker[1].trim();
+                return;
+            }
+
+            const indent = raw.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+            if (skipBelow !== null && indent > skipBelow) return;
+            skipBelow = null;
+
+            const { type, title, speaker, isShared, marked } = this.outlineItem(trimmed);
+            if (!marked) {
+                unmapped.push({ line, item: trimmed, reason: 'نشانه + یا - ندارد؛ حمایت در نظر گرفته شد' });
+            }
+
+            while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+                stack.pop();
+            }
+            const parent = stack[stack.length - 1]?.node || thesis;
+
+            let node = isShared ? shared.get(title) : null;
+            if (node) {
+                // The subtree of a shared claim is repeated under every occurrence
+                skipBelow = indent;
+            } else {
+                node = this.createNode(`k${nodes.length + 1}`, title);
+                node.speaker = speaker;
+                nodes.push(node);
+                if (isShared) {
+                    shared.set(title, node);
+                }
+            }
+            this.relate(node, parent.id, type);
+            stack.push({ indent, node });
+        });
+
+        return this.finish(nodes, unmapped);
+    }
+
+    /**
+     * Parse one claim line of an outline
+     * @param {string} text - Trimmed line
+     * @returns {Object} Relation type, title, speaker, shared flag and whether a marker was found
+     */
+    static outlineItem(text) {
+        let rest = text;
+        let type = null;
+
+        // A bullet followed by a bracketed marker is only a bullet
+        const bracketed = rest.match(/^(?:[-*]\s+)?\[([+\-−])\]\s*/);
+        if (bracketed) {
+            type = bracketed[1] === '+' ? 'support' : 'attack';
+            rest = rest.slice(bracketed[0].length);
+        } else {
+            const bare = rest.match(/^([+\-−*])\s+/);
+            if (bare) {
+                type = { '+': 'support', '-': 'attack', '−': 'attack' }[bare[1]] || null;
+                rest = rest.slice(bare[0].length);
+            }
+        }
+
+        const isShared = /\s*⟲$/.test(rest);
+        rest = rest.replace(/\s*⟲$/, '');
+        const dash = rest.lastIndexOf(' — ');
+        const speaker = dash >= 0 ? rest.slice(dash + 3).trim() : '';
+        const title = (dash >= 0 ? rest.slice(0, dash) : rest).trim();
+
+        return { type: type || 'support', title, speaker, isShared, marked: type !== null };
+    }
+
+    /**
+     * Unmapped items as warnings for the diagnostics panel
+     * @param {Array<Object>} unmapped - Items from an importer
+     * @returns {Array<Object>} Issues in the shape of GraphValidator reports
+     */
+    static toIssues(unmapped) {
+        return unmapped.map(({ line, item, reason }) => {
+            const shown = item.length > 80 ? `${item.slice(0, 79)}…` : item;
+            return {
+                severity: 'warning',
+                code: 'unmapped',
+                message: `${line ? `سطر ${line}: ` : ''}${reason} («${shown}»)`,
+                nodeId: null
+            };
+        });
+    }
+
+    /**
+     * New claim with the fields of the new_nodes schema
+     * @param {string} id - Temporary id, replaced in finish()
+     * @param {string} title - Title
+     * @returns {Object} Node
+     */
+    static createNode(id, title) {
+        return {
+            id,
+            title,
+            description: '',
+            quote: '',
+            speaker: '',
+            type: Config.import.defaultType,
+            relations: []
+        };
+    }
+
+    /**
+     * Copy known fields from source data onto a claim
+     * An id is kept as the preferred id of the claim; a title replaces the one read from
+     * the element, for titles the format cannot write as they are
+     * @param {Object} node - Node
+     * @param {Object} fields - id, type, title, speaker, description, quote, intensity and confidence
+     */
+    static applyFields(node, fields) {
+        ['title', 'speaker', 'description', 'quote'].forEach(key => {
+            if (typeof fields[key] === 'string' && fields[key] !== '') node[key] = fields[key];
+        });
+        if (Config.schema.nodeTypes.includes(fields.type)) {
+            node.type = fields.type;
+        }
+        if (fields.id !== undefined && fields.id !== '') {
+            node.preferredId = String(fields.id);
+        }
+
+        const score = {};
+        ['intensity', 'confidence'].forEach(key => {
+            const value = Number(fields[key]);
+            if (fields[key] !== undefined && fields[key] !== '' && !Number.isNaN(value)) score[key] = value;
+        });
+        if (Object.keys(score).length > 0) {
+            node.score = { ...node.score, ...score };
+        }
+    }
+
+    /**
+     * Add a relation from a claim to a target, once per target
+     * @param {Object} node - Source node
+     * @param {string} targetId - Temporary id of the target
+     * @param {string} type - 'support' or 'attack'
+     * @param {string} reasoning - Reasoning of the relation
+     */
+    static relate(node, targetId, type, reasoning = '') {
+        if (node.id === targetId || node.relations.some(r => r.target_node_id === targetId)) return;
+        node.relations.push({ target_node_id: targetId, relation_type: type, reasoning });
+    }
+
+    /**
+     * Give the claims their final ids and make sure there is a thesis
+     * Preferred ids from the source are kept where they are unique; the others are numbered
+     * @param {Array<Object>} nodes - Nodes with temporary ids
+     * @param {Array<Object>} unmapped - Unmapped items
+     * @returns {Object} data with new_nodes, and unmapped items
+     */
+    static finish(nodes, unmapped) {
+        const preferred = new Set(nodes.map(n => n.preferredId).filter(Boolean));
+        const used = new Set();
+        const ids = new Map();
+        let next = 1;
+        nodes.forEach(node => {
+            let id = node.preferredId;
+            if (!id || used.has(id)) {
+                while (preferred.has(String(next)) || used.has(String(next))) next++;
+                id = String(next++);
+            }
+            used.add(id);
+            ids.set(node.id, id);
+        });
+
+        const newNodes = nodes.map(({ preferredId, ...node }) => ({
+            ...node,
+            id: ids.get(node.id),
+            relations: node.relations.map(r => ({ ...r, target_node_id: ids.get(r.target_node_id) }))
+        }));
+        this.chooseThesis(newNodes);
+
+        return { data: { new_nodes: newNodes }, unmapped };
+    }
+
+    /**
+     * Mark the root with the largest subtree as thesis, unless the source named one
+     * @param {Array<Object>} nodes - Nodes with final ids
+     */
+    static chooseThesis(nodes) {
+        if (nodes.length === 0 || nodes.some(n => n.type === 'thesis')) return;
+
+        const graph = TreeBuilder.buildGraph(nodes);
+        const size = (root) => {
+            const reached = new Set([root.id]);
+            const queue = [root.id];
+            while (queue.length > 0) {
+                graph.childIndex.get(queue.shift()).forEach(child => {
+                    if (!reached.has(child.id)) {
+                        reached.add(child.id);
+                        queue.push(child.id);
+                    }
+                });
+            }
+            return reached.size;
+        };
+
+        const roots = nodes.filter(n => n.relations.length === 0);
+        const candidates = roots.length > 0 ? roots : nodes;
+        const sizes = new Map(candidates.map(n => [n, size(n)]));
+        candidates.reduce((best, n) => sizes.get(n) > sizes.get(best) ? n : best).type = 'thesis';
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * Legend
+ * Lists what the fill colours and textures of the chart stand for, following the
+ * colour mode and which attribute drives the fill
+ */
+
+import { ChartRenderer } from './ChartRenderer.js';
+import { Config } from './config.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const LABELS = {
+    thesis: 'گزاره اصلی',
+    support: 'حمایت',
+    attack: 'انتقاد',
+    foundational: 'بنیادین',
+    practical: 'عملی',
+    shared: 'گزاره مشترک'
+};
+
+export class Legend {
+    constructor(legendId) {
+        this.container = document.getElementById(legendId);
+        this.state = {
+            fillBy: Config.encoding.defaultFill,
+            colorMode: 'intensity',
+            speakerColors: new Map()
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.render();
+    }
+
+    /**
+     * Change part of the colouring state and redraw
+     * @param {Object} changes - fillBy, colorMode and/or speakerColors
+     */
+    update(changes) {
+        Object.assign(this.state, changes);
+        this.render();
+    }
+
+    /**
+     * Legend entries for the current state
+     * @returns {Array<Object>} Entries with label, color, texture and shared flag
+     */
+    items() {
+        return Legend.items(this.state);
+    }
+
+    /**
+     * Legend entries for a colouring state
+     * The fill attribute is listed in its colours, the other attribute as textures
+     * over a neutral swatch; in speaker mode the speakers take the place of the fill
+     * @param {Object} state - fillBy, colorMode and speakerColors
+     * @returns {Array<Object>} Entries with label, color, texture and shared flag
+     */
+    static items({ fillBy, colorMode, speakerColors }) {
+        const fillKeys = fillBy === 'type' ? ['foundational', 'practical'] : ['support', 'attack'];
+        const textureKeys = fillBy === 'type' ? ['support', 'attack'] : ['foundational', 'practical'];
+
+        const fills = colorMode === 'speaker'
+            ? [...speakerColors].map(([speaker, color]) => ({ label: speaker, color }))
+            : fillKeys.map(key => ({ label: LABELS[key], color: Config.colors[key] }));
+        const textures = textureKeys.map(key => ({
+            label: LABELS[key],
+            color: Config.encoding.neutral,
+            texture: Config.encoding.textures[key] || 'plain'
+        }));
+
+        return [
+            { label: LABELS.thesis, color: Config.colors.thesis },
+            ...fills,
+            ...textures,
+            { label: LABELS.shared, color: 'none', shared: true }
+        ];
+    }
+
+    /**
+     * Draw a swatch of a legend entry
+     * @param {Object} item - Legend entry
+     * @param {string} id - Pattern id, unique in the document
+     * @param {number} size - Swatch size
+     * @returns {Array<Element>} Defs and rect to add to an SVG
+     */
+    static swatch(item, id, size) {
+        const defs = document.createElementNS(SVG_NS, 'defs');
+        const rect = document.createElementNS(SVG_NS, 'rect');
+        rect.setAttribute('width', size);
+        rect.setAttribute('height', size);
+        rect.setAttribute('rx', 4);
+
+        if (item.texture && item.texture !== 'plain') {
+            ChartRenderer.appendTexture(defs, id, item.color, item.texture);
+            rect.setAttribute('fill', `url(#${id})`);
+        } else {
+            rect.setAttribute('fill', item.color);
+        }
+        if (item.shared) {
+            rect.setAttribute('stroke', Config.colors.shared);
+            rect.setAttribute('stroke-width', Config.shared.strokeWidth);
+            rect.setAttribute('stroke-dasharray', Config.shared.dashArray);
+        }
+        return [defs, rect];
+    }
+
+    /**
+     * Markup of a legend swatch, for SVG written without a DOM
+     * @param {Object} item - Legend entry
+     * @param {string} id - Pattern id, unique in the document
+     * @param {number} size - Swatch size
+     * @returns {string} Defs and rect elements
+     */
+    static swatchMarkup(item, id, size) {
+        const textured = item.texture && item.texture !== 'plain';
+        const defs = textured ? `<defs>${ChartRenderer.textureMarkup(id, item.color, item.texture)}</defs>` : '';
+        const outline = item.shared
+            ? ` stroke="${Config.colors.shared}" stroke-width="${Config.shared.strokeWidth}" stroke-dasharray="${Config.shared.dashArray}"`
+            : '';
+        return `${defs}<rect width="${size}" height="${size}" rx="4" fill="${textured ? `url(#${id})` : item.color}"${outline}/>`;
+    }
+
+    render() {
+        this.container.innerHTML = '';
+        this.items().forEach((item, i) => {
+            const entry = document.createElement('div');
+            entry.className = 'legend-item';
+
+            const svg = document.createElementNS(SVG_NS, 'svg');
+            svg.setAttribute('class', 'legend-color');
+            svg.setAttribute('width', 16);
+            svg.setAttribute('height', 16);
+            svg.setAttribute('aria-hidden', 'true');
+            Legend.swatch(item, `legend-texture-${i}`, 16).forEach(el => svg.appendChild(el));
+
+            const label = document.createElement('span');
+            label.textContent = item.label;
+
+            entry.append(svg, label);
+            this.container.appendChild(entry);
+        });
+    }
+}
@@ -0,0 +1,341 @@
+/**
+ * Library Panel
+ * Sidebar list of the bundled debates from the manifest and the debates stored in the
+ * browser, with search, tag filter, sorting, refresh and archive import/export
+ */
+
+import { DebateLibrary } from './DebateLibrary.js';
+import { Debug } from './Debug.js';
+import { Exporter } from './Exporter.js';
+import { LocalStore } from './LocalStore.js';
+import { Markup } from './Markup.js';
+
+export class LibraryPanel {
+    constructor(listId) {
+        this.list = document.getElementById(listId);
+        this.entries = [];
+        this.localEntries = [];
+        this.manifestFailed = false;
+        // Key of the open debate: the filename, or local:<id> for stored debates
+        this.activeKey = null;
+
+        this.onSelect = null;
+        this.onSelectLocal = null;
+        this.onHistory = null;
+        this.onDeleteLocal = null;
+        this.onError = null;
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('librarySearch').addEventListener('input', () => this.render());
+        document.getElementById('libraryTag').addEventListener('change', () => this.render());
+        document.getElementById('librarySort').addEventListener('change', () => this.render());
+        document.getElementById('refreshBtn').addEventListener('click', () => this.load());
+
+        const archiveInput = document.getElementById('libraryImportInput');
+        document.getElementById('libraryExport').addEventListener('click', () => this.exportArchive());
+        document.getElementById('libraryImport').addEventListener('click', () => archiveInput.click());
+        archiveInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importArchive(file);
+            }
+            // Reset input so same file can be selected again
+            archiveInput.value = '';
+        });
+
+        if (!LocalStore.isAvailable()) {
+            document.getElementById('libraryArchive').hidden = true;
+        }
+    }
+
+    /**
+     * Load the manifest and the stored debates and show them
+     */
+    async load() {
+        this.list.innerHTML = '<div class="loading">در حال بارگذاری...</div>';
+
+        try {
+            this.entries = await DebateLibrary.load();
+            this.manifestFailed = false;
+            Debug.log('[LibraryPanel] Loaded library:', this.entries.map(e => e.file));
+        } catch (error) {
+            console.error('Error loading file list:', error);
+            this.entries = [];
+            this.manifestFailed = true;
+        }
+        await this.loadLocal();
+    }
+
+    /**
+     * Reload the debates stored in the browser
+     */
+    async loadLocal() {
+        if (LocalStore.isAvailable()) {
+            try {
+                const records = await LocalStore.list();
+                this.localEntries = records.map(record => this.localEntry(record));
+            } catch (error) {
+                console.error('[LibraryPanel] Cannot read local debates:', error);
+                this.localEntries = [];
+            }
+        }
+
+        this.updateTags();
+        this.render();
+    }
+
+    /**
+     * Library entry of a stored debate, described by its latest version
+     * @param {Object} record - Record from LocalStore
+     * @returns {Object} Entry
+     */
+    localEntry(record) {
+        const nodes = record.versions[record.versions.length - 1].nodes || [];
+        return {
+            ...DebateLibrary.normalizeEntry({
+                file: record.source || '',
+                title: record.title,
+                date: record.updated.slice(0, 10),
+                speakers: [...new Set(nodes.map(n => n.speaker).filter(Boolean))],
+                nodeCount: nodes.length
+            }),
+            localId: record.id,
+            versionCount: record.versions.length
+        };
+    }
+
+    /**
+     * Fill the tag filter, keeping the selected tag if it is still used
+     */
+    updateTags() {
+        const tagSelect = document.getElementById('libraryTag');
+        const selectedTag = tagSelect.value;
+        const tags = DebateLibrary.tags(this.entries);
+        tagSelect.innerHTML = '<option value="">همه برچسب‌ها</option>'
+            + tags.map(tag => `<option value="${Markup.escape(tag)}">${Markup.escape(tag)}</option>`).join('');
+        tagSelect.value = tags.includes(selectedTag) ? selectedTag : '';
+    }
+
+    /**
+     * Draw the entries that match the search and tag, in the chosen order
+     * Stored debates come before the bundled ones in manifest order
+     */
+    render() {
+        const matching = DebateLibrary.filter(
+            [...this.localEntries, ...this.entries],
+            document.getElementById('librarySearch').value,
+            document.getElementById('libraryTag').value
+        );
+        const entries = DebateLibrary.sort(matching, document.getElementById('librarySort').value);
+
+        this.list.innerHTML = this.manifestFailed
+            ? '<div class="loading">خطا در بارگذاری فهرست مباحثات (json/files.json)</div>'
+            : '';
+
+        if (entries.length === 0) {
+            const empty = this.entries.length + this.localEntries.length === 0;
+            if (!empty || !this.manifestFailed) {
+                this.list.innerHTML += `<div class="loading">${empty ? 'مباحثه‌ای در فهرست نیست' : 'مباحثه‌ای یافت نشد'}</div>`;
+            }
+            return;
+        }
+
+        entries.forEach(entry => this.list.appendChild(this.createItem(entry)));
+    }
+
+    /**
+     * Key identifying an entry in the list
+     * @param {Object} entry - Library entry
+     * @returns {string} Filename, or local:<id> for stored debates
+     */
+    keyOf(entry) {
+        return entry.localId !== undefined ? `local:${entry.localId}` : entry.file;
+    }
+
+    /**
+     * Create a file list item
+     * @param {Object} entry - Library entry
+     * @returns {HTMLElement} File item element
+     */
+    createItem(entry) {
+        const isLocal = entry.localId !== undefined;
+        const item = document.createElement('div');
+        item.className = `file-item${isLocal ? ' local' : ''}${this.keyOf(entry) === this.activeKey ? ' active' : ''}`;
+        item.dataset.key = this.keyOf(entry);
+        if (isLocal) {
+            item.dataset.localId = entry.localId;
+        } else {
+            item.dataset.filename = entry.file;
+        }
+        item.title = isLocal && entry.file ? `برگرفته از ${entry.file}` : entry.description;
+
+        const meta = [
+            entry.nodeCount !== null ? `${entry.nodeCount} گزاره` : '',
+            entry.speakers.length > 0 ? `${entry.speakers.length} گوینده` : '',
+            isLocal ? `${entry.versionCount} نسخه` : '',
+            entry.date
+        ].filter(Boolean).join(' · ');
+
+        item.innerHTML = `
+            <div class="file-item-title"></div>
+            <div class="file-item-meta">${isLocal ? '<span class="file-item-badge">محلی</span>' : ''}${Markup.escape(meta)}</div>
+            ${entry.tags.length > 0 ? `<div class="file-item-tags">${entry.tags.map(tag => `<span class="file-item-tag">${Markup.escape(tag)}</span>`).join('')}</div>` : ''}
+            ${isLocal ? `
+                <div class="file-item-actions">
+                    <button class="file-item-action" data-action="history" title="نسخه‌ها">نسخه‌ها</button>
+                    <button class="file-item-action" data-action="rename" title="تغییر نام">تغییر نام</button>
+                    <button class="file-item-action" data-action="delete" title="حذف">حذف</button>
+                </div>
+            ` : ''}
+        `;
+        // Stored titles are typed by the user
+        item.querySelector('.file-item-title').textContent = entry.title;
+
+        item.querySelectorAll('.file-item-tag').forEach(chip => {
+            chip.addEventListener('click', (e) => {
+                // Clicking a tag filters by it instead of opening the debate
+                e.stopPropagation();
+                document.getElementById('libraryTag').value = chip.textContent;
+                this.render();
+            });
+        });
+
+        item.querySelectorAll('.file-item-action').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.handleAction(button.dataset.action, entry, item);
+            });
+        });
+
+        item.addEventListener('click', () => {
+            if (isLocal) {
+                if (this.onSelectLocal) this.onSelectLocal(entry.localId);
+            } else if (this.onSelect) {
+                this.onSelect(entry.file);
+            }
+        });
+
+        return item;
+    }
+
+    /**
+     * Run the history, rename or delete action of a stored debate
+     * @param {string} action - Action name
+     * @param {Object} entry - Library entry
+     * @param {HTMLElement} item - File item element
+     */
+    async handleAction(action, entry, item) {
+        try {
+            if (action === 'history') {
+                if (this.onHistory) this.onHistory(entry.localId);
+            } else if (action === 'rename') {
+                this.startRename(entry, item);
+            } else if (action === 'delete' && confirm(`مباحثه «${entry.title}» و همه نسخه‌های آن از مرورگر حذف شود؟`)) {
+                await LocalStore.remove(entry.localId);
+                if (this.onDeleteLocal) this.onDeleteLocal(entry.localId);
+                await this.loadLocal();
+            }
+        } catch (error) {
+            console.error('[LibraryPanel] Action failed:', error);
+            if (this.onError) this.onError(error.message);
+        }
+    }
+
+    /**
+     * Edit the title of a stored debate in place; Enter saves and Escape cancels
+     * @param {Object} entry - Library entry
+     * @param {HTMLElement} item - File item element
+     */
+    startRename(entry, item) {
+        const title = item.querySelector('.file-item-title');
+        const input = document.createElement('input');
+        input.className = 'file-item-rename';
+        input.value = entry.title;
+        title.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = async (save) => {
+            if (done) return;
+            done = true;
+            const value = input.value.trim();
+            if (save && value && value !== entry.title) {
+                await LocalStore.rename(entry.localId, value);
+            }
+            await this.loadLocal();
+        };
+
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * Download every stored debate as one archive file
+     */
+    async exportArchive() {
+        try {
+            const archive = await LocalStore.exportArchive();
+            if (archive.debates.length === 0) {
+                if (this.onError) this.onError('مباحثه‌ای در مرورگر ذخیره نشده است.');
+                return;
+            }
+            const date = new Date().toISOString().slice(0, 10);
+            Exporter.download(JSON.stringify(archive, null, 2), `debate-library-${date}.json`, 'application/json');
+        } catch (error) {
+            console.error('[LibraryPanel] Archive export failed:', error);
+            if (this.onError) this.onError(error.message);
+        }
+    }
+
+    /**
+     * Add the debates of an archive file to the browser library
+     * @param {File} file - Archive file
+     */
+    async importArchive(file) {
+        try {
+            const count = await LocalStore.importArchive(JSON.parse(await file.text()));
+            await this.loadLocal();
+            Debug.log(`[LibraryPanel] Imported ${count} debates from ${file.name}`);
+        } catch (error) {
+            console.error('[LibraryPanel] Archive import failed:', error);
+            if (this.onError) this.onError(error.message);
+        }
+    }
+
+    /**
+     * Mark the open debate in the list
+     * @param {string|null} key - Filename, local:<id>, or null for debates not in the library
+     */
+    setActive(key) {
+        this.activeKey = key;
+        this.list.querySelectorAll('.file-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.key === key);
+        });
+    }
+
+    /**
+     * Whether a file is in the library
+     * @param {string} filename - Name of the file
+     * @returns {boolean} True if the manifest lists it
+     */
+    has(filename) {
+        return this.entries.some(entry => entry.file === filename);
+    }
+
+    /**
+     * Library entry of a file
+     * @param {string} filename - Name of the file
+     * @returns {Object|undefined} Entry
+     */
+    entryFor(filename) {
+        return this.entries.find(entry => entry.file === filename);
+    }
+}
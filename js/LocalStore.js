@@ -0,0 +1,192 @@
+/**
+ * Local Store
+ * Keeps uploaded, merged, extracted and edited debates in IndexedDB with a version history
+ */
+
+import { Config } from './config.js';
+
+const STORE = 'debates';
+const ARCHIVE_FORMAT = 'debate-visualizer-library';
+
+export class LocalStore {
+    /**
+     * Whether the browser offers IndexedDB
+     * @returns {boolean} True if debates can be stored
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database once and reuse the connection
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    static open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(Config.storage.database, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again instead of keeping the failure
+            this.database.catch(() => { this.database = null; });
+        }
+        return this.database;
+    }
+
+    /**
+     * Run a request against the debate store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - Called with the object store, returns an IDBRequest
+     * @returns {Promise<*>} Result of the request, once the transaction has completed
+     */
+    static async run(mode, action) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(STORE, mode);
+            const request = action(transaction.objectStore(STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * All stored debates, most recently changed first
+     * @returns {Promise<Array<Object>>} Debate records
+     */
+    static async list() {
+        const records = await this.run('readonly', store => store.getAll());
+        return records.sort((a, b) => String(b.updated ?? '').localeCompare(String(a.updated ?? '')));
+    }
+
+    /**
+     * One stored debate
+     * @param {number} id - Debate id
+     * @returns {Promise<Object|undefined>} Debate record
+     */
+    static get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    /**
+     * Store a new debate with its first version
+     * @param {Object} debate - title, source (filename it came from, or null), nodes and note
+     * @returns {Promise<number>} Id of the new debate
+     */
+    static create({ title, source = null, nodes, note }) {
+        const now = new Date().toISOString();
+        return this.run('readwrite', store => store.add({
+            title,
+            source,
+            created: now,
+            updated: now,
+            versions: [{ date: now, note, nodes }]
+        }));
+    }
+
+    /**
+     * Add a version to a stored debate, dropping the oldest beyond Config.storage.maxVersions
+     * @param {number} id - Debate id
+     * @param {Array} nodes - Node list of the new version
+     * @param {string} note - What produced the version
+     * @returns {Promise<Object>} Updated record
+     */
+    static async addVersion(id, nodes, note) {
+        const record = await this.get(id);
+        if (!record) {
+            throw new Error(`Debate ${id} is not stored`);
+        }
+
+        const now = new Date().toISOString();
+        record.versions.push({ date: now, note, nodes });
+        record.versions = record.versions.slice(-Config.storage.maxVersions);
+        record.updated = now;
+        await this.run('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Rename a stored debate
+     * @param {number} id - Debate id
+     * @param {string} title - New title
+     */
+    static async rename(id, title) {
+        const record = await this.get(id);
+        if (!record) return;
+        record.title = title;
+        await this.run('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Delete a stored debate with all its versions
+     * @param {number} id - Debate id
+     */
+    static remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Archive of every stored debate
+     * @returns {Promise<Object>} Archive to save as JSON
+     */
+    static async exportArchive() {
+        return {
+            format: ARCHIVE_FORMAT,
+            version: 1,
+            exported: new Date().toISOString(),
+            debates: await this.list()
+        };
+    }
+
+    /**
+     * Add the debates of an archive; they get new ids so nothing stored is overwritten
+     * Nothing is imported if a debate has no versions or a version has no node list;
+     * missing titles, notes and dates are filled in and old versions beyond Config.storage.maxVersions dropped
+     * @param {Object} archive - Parsed archive file
+     * @returns {Promise<number>} Number of debates imported
+     */
+    static async importArchive(archive) {
+        if (archive?.format !== ARCHIVE_FORMAT || !Array.isArray(archive.debates)) {
+            throw new Error('فایل، بایگانی کتابخانه محلی نیست.');
+        }
+
+        const invalid = archive.debates
+            .map((debate, index) => ({ debate, index }))
+            .filter(({ debate }) => !Array.isArray(debate?.versions) || debate.versions.length === 0
+                || !debate.versions.every(version => Array.isArray(version?.nodes)))
+            .map(({ index }) => index + 1);
+        if (invalid.length > 0) {
+            throw new Error(`مباحثه‌های شماره ${invalid.join('، ')} در بایگانی نسخه معتبری ندارند؛ چیزی وارد نشد.`);
+        }
+
+        const now = new Date().toISOString();
+        for (const debate of archive.debates) {
+            const updated = this.isDate(debate.updated) ? debate.updated : now;
+            await this.run('readwrite', store => store.add({
+                title: typeof debate.title === 'string' && debate.title.trim() ? debate.title : 'بدون عنوان',
+                source: typeof debate.source === 'string' ? debate.source : null,
+                created: this.isDate(debate.created) ? debate.created : updated,
+                updated,
+                versions: debate.versions.map(version => ({
+                    date: this.isDate(version.date) ? version.date : updated,
+                    note: typeof version.note === 'string' ? version.note : '',
+                    nodes: version.nodes
+                })).slice(-Config.storage.maxVersions)
+            }));
+        }
+        return archive.debates.length;
+    }
+
+    /**
+     * Whether a value is a date string as written by the store
+     * @param {*} value - Value to check
+     * @returns {boolean} True for a parseable date string
+     */
+    static isDate(value) {
+        return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * Markup Utilities
+ * Escapes debate text before it is placed in HTML templates; titles, quotes and
+ * speaker names come from uploaded or extracted files
+ */
+
+const ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+export class Markup {
+    /**
+     * Escape text for use in element content or a quoted attribute
+     * @param {*} text - Plain text; null and undefined become an empty string
+     * @returns {string} Escaped text
+     */
+    static escape(text) {
+        return String(text ?? '').replace(/[&<>"']/g, ch => ENTITIES[ch]);
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Merge Dialog
+ * Previews how an incremental batch merges into the open debate before applying it
+ */
+
+import { BatchMerger } from './BatchMerger.js';
+import { GraphValidator } from './GraphValidator.js';
+import { Markup } from './Markup.js';
+
+export class MergeDialog {
+    constructor(dialogId) {
+        this.dialog = document.getElementById(dialogId);
+        this.existingNodes = [];
+        this.batchNodes = [];
+        this.result = null;
+
+        this.onApply = null;
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('mergeApply').addEventListener('click', () => {
+            if (this.onApply && this.result) {
+                this.onApply(this.result);
+            }
+            this.close();
+        });
+
+        document.getElementById('mergeCancel').addEventListener('click', () => this.close());
+
+        this.dialog.querySelectorAll('input[name="collisionMode"]').forEach(input => {
+            input.addEventListener('change', () => this.update());
+        });
+    }
+
+    /**
+     * Open the dialog for a batch
+     * @param {Array} existingNodes - Nodes of the open debate
+     * @param {Array} batchNodes - new_nodes of the incoming batch
+     * @param {string} sourceName - Name of the batch file
+     */
+    open(existingNodes, batchNodes, sourceName) {
+        this.existingNodes = existingNodes;
+        this.batchNodes = batchNodes;
+        document.getElementById('mergeSource').textContent = `${sourceName} — ${batchNodes.length} گزاره`;
+        this.update();
+        this.dialog.classList.add('visible');
+    }
+
+    close() {
+        this.dialog.classList.remove('visible');
+        this.result = null;
+    }
+
+    /**
+     * Recompute the merge with the selected collision mode and show the diff
+     */
+    update() {
+        const mode = this.dialog.querySelector('input[name="collisionMode"]:checked').value;
+        this.result = BatchMerger.merge(this.existingNodes, this.batchNodes, mode);
+
+        const { added, changed, rejected, dropped } = this.result;
+        const report = GraphValidator.validate({ new_nodes: this.result.nodes });
+
+        const addedItems = added.map(({ node, previousId }) => {
+            const note = previousId ? ` <span class="merge-note">(شناسه قبلی ${Markup.escape(previousId)})</span>` : '';
+            return `<li><span class="merge-id">${Markup.escape(node.id)}</span>${Markup.escape(node.title)}${note}</li>`;
+        });
+        const changedItems = changed.map(({ node, fields }) => {
+            return `<li><span class="merge-id">${Markup.escape(node.id)}</span>${Markup.escape(node.title)} <span class="merge-note">(${fields.join('، ')})</span></li>`;
+        });
+        const rejectedItems = rejected.map(node => {
+            return `<li><span class="merge-id">${Markup.escape(node.id)}</span>${Markup.escape(node.title)}</li>`;
+        });
+        const droppedItems = dropped.map(({ nodeId, title, relation }) => {
+            return `<li><span class="merge-id">${Markup.escape(nodeId)}</span>${Markup.escape(title)} <span class="merge-note">(→ ${Markup.escape(relation.target_node_id)})</span></li>`;
+        });
+
+        const section = (className, title, items) => items.length === 0 ? '' : `
+            <div class="merge-section ${className}">
+                <h4>${title} (${items.length})</h4>
+                <ul>${items.join('')}</ul>
+            </div>
+        `;
+
+        const diffEl = document.getElementById('mergeDiff');
+        diffEl.innerHTML = `
+            ${section('added', 'گزاره‌های جدید', addedItems)}
+            ${section('changed', 'گزاره‌های تغییر یافته', changedItems)}
+            ${section('rejected', 'رد شده به دلیل شناسه تکراری', rejectedItems)}
+            ${section('rejected', 'روابط حذف شده به گزاره‌های رد شده', droppedItems)}
+            ${added.length + changed.length === 0 ? '<p class="merge-empty">این دسته تغییری ایجاد نمی‌کند.</p>' : ''}
+            <p class="merge-validation">پس از ادغام: ${report.errorCount} خطا، ${report.warningCount} هشدار</p>
+        `;
+
+        document.getElementById('mergeApply').disabled = added.length + changed.length === 0;
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * Mock Backend
+ * Serves canned responses in turn so that extraction can be tried offline
+ */
+
+export class MockBackend {
+    /**
+     * @param {Object} settings - responses: URLs of the files served in turn
+     */
+    constructor(settings) {
+        this.responses = settings.responses || [];
+        this.calls = 0;
+    }
+
+    /**
+     * Return the next canned response; the prompt is ignored
+     * @param {string} prompt - Rendered prompt
+     * @param {AbortSignal} signal - Signal to cancel the request
+     * @returns {Promise<string>} Reply text
+     */
+    async complete(prompt, signal) {
+        if (this.responses.length === 0) {
+            throw new Error('هیچ پاسخ آماده‌ای تعریف نشده است.');
+        }
+
+        const url = this.responses[this.calls % this.responses.length];
+        this.calls++;
+
+        const response = await fetch(url, { signal });
+        if (!response.ok) {
+            throw new Error(`پاسخ آماده ${url} بارگذاری نشد.`);
+        }
+        return await response.text();
+    }
+}
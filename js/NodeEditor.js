@@ -0,0 +1,283 @@
+/**
+ * Node Editor
+ * Context menu, edit dialogs and undo/redo controls on top of GraphEditor
+ */
+
+import { Markup } from './Markup.js';
+
+export class NodeEditor {
+    constructor(graphEditor) {
+        this.editor = graphEditor;
+        this.menu = document.getElementById('nodeMenu');
+        this.dialog = document.getElementById('nodeEditorDialog');
+        this.reparentDialog = document.getElementById('reparentDialog');
+
+        // Tree node the menu was opened on, and the pending form action
+        this.target = null;
+        this.mode = null;
+
+        this.onError = null;
+
+        this.init();
+    }
+
+    init() {
+        this.menu.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.hideMenu();
+                this.runAction(button.dataset.action);
+            });
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!this.menu.contains(e.target)) {
+                this.hideMenu();
+            }
+        });
+
+        document.getElementById('nodeEditorSave').addEventListener('click', () => this.saveNode());
+        document.getElementById('nodeEditorCancel').addEventListener('click', () => this.dialog.classList.remove('visible'));
+        document.getElementById('addRelationBtn').addEventListener('click', () => this.addRelationRow({}));
+
+        document.getElementById('reparentSave').addEventListener('click', () => this.saveReparent());
+        document.getElementById('reparentCancel').addEventListener('click', () => this.reparentDialog.classList.remove('visible'));
+
+        document.getElementById('undoBtn').addEventListener('click', () => this.editor.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.editor.redo());
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.editor.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.editor.redo();
+            }
+        });
+
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Enable or disable undo/redo according to the history
+     */
+    updateHistoryButtons() {
+        document.getElementById('undoBtn').disabled = !this.editor.canUndo();
+        document.getElementById('redoBtn').disabled = !this.editor.canRedo();
+    }
+
+    /**
+     * Show the context menu for a tree node
+     * @param {Object} nodeData - Tree node the menu belongs to
+     * @param {Event} event - Mouse event for positioning
+     */
+    showMenu(nodeData, event) {
+        this.target = nodeData;
+
+        const isThesis = nodeData.type === 'thesis';
+        this.menu.querySelector('[data-action="reparent"]').disabled = isThesis || !this.parentIdOf(nodeData);
+        this.menu.querySelector('[data-action="delete"]').disabled = isThesis;
+        this.menu.querySelector('[data-action="delete-subtree"]').disabled = isThesis;
+
+        this.menu.style.left = `${event.clientX}px`;
+        this.menu.style.top = `${event.clientY}px`;
+        this.menu.classList.add('visible');
+    }
+
+    hideMenu() {
+        this.menu.classList.remove('visible');
+    }
+
+    /**
+     * Parent of a tree node occurrence
+     * @param {Object} nodeData - Tree node
+     * @returns {string|null} ID of the parent in this occurrence
+     */
+    parentIdOf(nodeData) {
+        const ids = nodeData.path.split('/');
+        return ids.length > 1 ? ids[ids.length - 2] : null;
+    }
+
+    /**
+     * Run a context menu action on the current target
+     * @param {string} action - Action name
+     */
+    runAction(action) {
+        const node = this.target;
+        switch (action) {
+            case 'edit':
+                this.openNodeDialog('edit', this.editor.nodes.find(n => n.id === node.id));
+                break;
+            case 'add-child':
+                this.openNodeDialog('add', null);
+                break;
+            case 'reparent':
+                this.openReparentDialog(node);
+                break;
+            case 'delete':
+                if (confirm(`گزاره «${node.title}» حذف شود؟ زیرگزاره‌های آن به والدش منتقل می‌شوند.`)) {
+                    this.guard(() => this.editor.deleteNode(node.id));
+                }
+                break;
+            case 'delete-subtree':
+                if (confirm(`گزاره «${node.title}» و همه زیرگزاره‌های آن حذف شوند؟`)) {
+                    this.guard(() => this.editor.deleteSubtree(node.id));
+                }
+                break;
+        }
+    }
+
+    /**
+     * Run an editor operation and report refused edits
+     * @param {Function} operation - Operation to run
+     * @returns {boolean} True if the operation succeeded
+     */
+    guard(operation) {
+        try {
+            operation();
+            return true;
+        } catch (error) {
+            console.error('[NodeEditor] Edit refused:', error);
+            if (this.onError) {
+                this.onError(error.message);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Open the node form
+     * @param {string} mode - 'edit' for the target node, 'add' for a new child of it
+     * @param {Object|null} node - Flat node being edited
+     */
+    openNodeDialog(mode, node) {
+        this.mode = mode;
+
+        const value = (field) => node?.[field] ?? '';
+        document.getElementById('nodeEditorTitle').textContent = mode === 'add'
+            ? `افزودن زیرگزاره به «${this.target.title}»`
+            : `ویرایش گزاره ${node.id}`;
+        document.getElementById('editTitle').value = value('title');
+        document.getElementById('editDescription').value = value('description');
+        document.getElementById('editQuote').value = value('quote');
+        document.getElementById('editSpeaker').value = mode === 'add' ? (this.target.speaker || '') : value('speaker');
+        document.getElementById('editType').value = mode === 'add' ? 'practical' : value('type');
+        document.getElementById('editIntensity').value = node?.score?.intensity ?? 0.5;
+        document.getElementById('editConfidence').value = node?.score?.confidence ?? 0.5;
+
+        // Thesis type cannot be chosen for a child
+        document.querySelector('#editType option[value="thesis"]').disabled = mode === 'add' || node.type !== 'thesis';
+
+        document.getElementById('editRelations').innerHTML = '';
+        const relations = mode === 'add'
+            ? [{ target_node_id: this.target.id, relation_type: 'support', reasoning: '' }]
+            : (node.relations || []);
+        relations.forEach(relation => this.addRelationRow(relation));
+
+        this.dialog.classList.add('visible');
+        document.getElementById('editTitle').focus();
+    }
+
+    /**
+     * Append a relation row to the node form
+     * @param {Object} relation - Relation to show
+     */
+    addRelationRow(relation) {
+        const row = document.createElement('div');
+        row.className = 'relation-row';
+
+        const editedId = this.mode === 'edit' ? this.target.id : null;
+        const options = this.editor.nodes
+            .filter(n => n.id !== editedId)
+            .map(n => `<option value="${Markup.escape(n.id)}">${Markup.escape(n.id)} — ${Markup.escape(n.title)}</option>`)
+            .join('');
+
+        row.innerHTML = `
+            <select class="relation-target">${options}</select>
+            <select class="relation-kind">
+                <option value="support">حمایت</option>
+                <option value="attack">انتقاد</option>
+            </select>
+            <input class="relation-reasoning" type="text" placeholder="دلیل ارتباط">
+            <button class="relation-remove" type="button" title="حذف رابطه">×</button>
+        `;
+        row.querySelector('.relation-target').value = relation.target_node_id || this.target.id;
+        row.querySelector('.relation-kind').value = relation.relation_type || 'support';
+        row.querySelector('.relation-reasoning').value = relation.reasoning || '';
+        row.querySelector('.relation-remove').addEventListener('click', () => row.remove());
+
+        document.getElementById('editRelations').appendChild(row);
+    }
+
+    /**
+     * Read the node form and apply it
+     */
+    saveNode() {
+        const title = document.getElementById('editTitle').value.trim();
+        if (!title) {
+            alert('عنوان گزاره نمی‌تواند خالی باشد.');
+            return;
+        }
+
+        const clamp = (input) => Math.min(1, Math.max(0, parseFloat(input.value) || 0));
+        const fields = {
+            title,
+            description: document.getElementById('editDescription').value.trim(),
+            quote: document.getElementById('editQuote').value.trim(),
+            speaker: document.getElementById('editSpeaker').value.trim(),
+            type: document.getElementById('editType').value,
+            score: {
+                intensity: clamp(document.getElementById('editIntensity')),
+                confidence: clamp(document.getElementById('editConfidence'))
+            }
+        };
+
+        const relations = Array.from(document.querySelectorAll('#editRelations .relation-row')).map(row => ({
+            target_node_id: row.querySelector('.relation-target').value,
+            relation_type: row.querySelector('.relation-kind').value,
+            reasoning: row.querySelector('.relation-reasoning').value.trim()
+        }));
+
+        const ok = this.guard(() => {
+            if (this.mode === 'add') {
+                this.editor.addNode(fields, relations);
+            } else {
+                this.editor.updateNode(this.target.id, { ...fields, relations });
+            }
+        });
+
+        if (ok) {
+            this.dialog.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Open the re-parent dialog
+     * @param {Object} nodeData - Tree node to move
+     */
+    openReparentDialog(nodeData) {
+        const parentId = this.parentIdOf(nodeData);
+        const select = document.getElementById('reparentTarget');
+        select.innerHTML = this.editor.nodes
+            .filter(n => n.id !== nodeData.id && n.id !== parentId)
+            .map(n => `<option value="${Markup.escape(n.id)}">${Markup.escape(n.id)} — ${Markup.escape(n.title)}</option>`)
+            .join('');
+
+        document.getElementById('reparentSubtitle').textContent =
+            `انتقال «${nodeData.title}» از زیر گزاره ${parentId} به:`;
+        this.reparentDialog.classList.add('visible');
+    }
+
+    saveReparent() {
+        const node = this.target;
+        const ok = this.guard(() => {
+            this.editor.reparent(node.id, this.parentIdOf(node), document.getElementById('reparentTarget').value);
+        });
+
+        if (ok) {
+            this.reparentDialog.classList.remove('visible');
+        }
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * Node-Link Tree
+ * Horizontal tree view that keeps deep, narrow branches readable
+ */
+
+import { ChartRenderer } from './ChartRenderer.js';
+import { Config } from './config.js';
+
+export class NodeLinkTree extends ChartRenderer {
+    /**
+     * @param {string} containerId - ID of the container element
+     * @param {string} direction - 'rtl' grows from the right, 'ltr' from the left
+     */
+    constructor(containerId, direction = 'rtl') {
+        super(containerId);
+        this.direction = direction;
+
+        this.init();
+        this.enablePanZoom();
+    }
+
+    /**
+     * Render the tree
+     * @param {Object} rootNode - Root node to render
+     */
+    render(rootNode) {
+        this.currentRoot = rootNode;
+        this.root = d3.hierarchy(rootNode);
+
+        const { rowHeight, columnWidth, nodeRadius, labelLength } = Config.layouts.tree;
+        d3.tree().nodeSize([rowHeight, columnWidth])(this.root);
+
+        // d3.tree lays out top-down; swap axes and mirror for right-to-left
+        const sign = this.direction === 'rtl' ? -1 : 1;
+        const x = d => sign * d.y;
+        const y = d => d.x;
+
+        this.g.selectAll('*').remove();
+        this.resetPanZoom();
+
+        this.g.append('g')
+            .selectAll('path')
+            .data(this.root.links())
+            .enter()
+            .append('path')
+            .attr('class', 'chart-link')
+            .attr('d', d3.linkHorizontal().x(x).y(y))
+            .attr('stroke', link => link.target.data.relationType === 'attack' ? Config.colors.attack : Config.colors.support);
+
+        const nodes = this.g.append('g')
+            .selectAll('g')
+            .data(this.root.descendants())
+            .enter()
+            .append('g')
+            .attr('transform', d => `translate(${x(d)}, ${y(d)})`);
+
+        nodes.append('circle')
+            .attr('r', d => d.depth === 0 ? nodeRadius * 1.5 : nodeRadius);
+
+        // Labels of inner nodes sit towards the root, leaf labels away from it
+        nodes.append('text')
+            .attr('class', 'chart-label')
+            .attr('dominant-baseline', 'middle')
+            .attr('x', d => (d.children ? -sign : sign) * (nodeRadius + 6))
+            .attr('text-anchor', d => (d.children ? -sign : sign) > 0 ? 'start' : 'end')
+            .text(d => ChartRenderer.truncate(d.data.title, labelLength));
+
+        this.decorateMarks(nodes);
+
+        const labelSpace = labelLength * Config.layouts.charWidth;
+        const xs = this.root.descendants().map(x);
+        const ys = this.root.descendants().map(y);
+        this.fitViewBox(
+            Math.min(...xs) - labelSpace,
+            Math.min(...ys),
+            Math.max(...xs) + labelSpace,
+            Math.max(...ys)
+        );
+    }
+}
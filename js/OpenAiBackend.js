@@ -0,0 +1,53 @@
+/**
+ * OpenAI Backend
+ * Sends prompts to an OpenAI-compatible chat completions endpoint (OpenAI, Ollama, llama.cpp server)
+ */
+
+import { Config } from './config.js';
+
+export class OpenAiBackend {
+    /**
+     * @param {Object} settings - baseUrl, model and an optional apiKey
+     */
+    constructor(settings) {
+        this.baseUrl = settings.baseUrl.replace(/\/+$/, '');
+        this.model = settings.model;
+        this.apiKey = settings.apiKey || '';
+    }
+
+    /**
+     * Send a prompt and return the text of the reply
+     * @param {string} prompt - Rendered prompt
+     * @param {AbortSignal} signal - Signal to cancel the request
+     * @returns {Promise<string>} Reply text
+     */
+    async complete(prompt, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            signal,
+            body: JSON.stringify({
+                model: this.model,
+                temperature: Config.extraction.temperature,
+                messages: [{ role: 'user', content: prompt }]
+            })
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`سرور مدل خطای ${response.status} برگرداند. ${detail.slice(0, 200)}`);
+        }
+
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('پاسخ سرور مدل متنی ندارد.');
+        }
+        return content;
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * Persian Text Utilities
+ * Normalises Persian/Arabic text so that spelling variants compare equal
+ */
+
+// Arabic letter forms that Persian text often contains by mistake
+const CHARACTER_MAP = {
+    'ي': 'ی',
+    'ى': 'ی',
+    'ك': 'ک',
+    'ة': 'ه',
+    'أ': 'ا',
+    'إ': 'ا',
+    'ٱ': 'ا',
+    'ؤ': 'و',
+    'ۀ': 'ه'
+};
+
+const VARIANTS = new RegExp(`[${Object.keys(CHARACTER_MAP).join('')}]`, 'g');
+
+// Tashkeel, superscript alef and tatweel
+const DIACRITICS = /[\u064B-\u065F\u0670\u0640]/g;
+
+// Zero-width non-joiner, zero-width joiner and the bidi marks that editors leave behind
+const INVISIBLES = /[\u200C\u200D\u200E\u200F\u202A-\u202E]/g;
+
+export class PersianText {
+    /**
+     * Normalise text for comparison
+     * Letter variants are unified, diacritics and zero-width characters removed,
+     * digits converted to Latin and whitespace collapsed
+     * @param {string} text - Text to normalise
+     * @returns {string} Normalised text
+     */
+    static normalize(text) {
+        if (!text) return '';
+
+        return String(text)
+            .replace(VARIANTS, ch => CHARACTER_MAP[ch])
+            .replace(DIACRITICS, '')
+            .replace(INVISIBLES, '')
+            .replace(/[\u06F0-\u06F9]/g, d => String(d.charCodeAt(0) - 0x06F0))
+            .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Normalise text and keep track of where each character came from
+     * Produces the same text as normalize, character for character
+     * @param {string} text - Text to normalise
+     * @returns {Object} Normalised text and, per character, its index in the original
+     */
+    static normalizeWithMap(text) {
+        const source = String(text || '');
+        let normalized = '';
+        const map = [];
+
+        for (let i = 0; i < source.length; i++) {
+            if (/\s/.test(source[i])) {
+                // Collapse whitespace and drop it at the start
+                if (normalized.length > 0 && !normalized.endsWith(' ')) {
+                    normalized += ' ';
+                    map.push(i);
+                }
+                continue;
+            }
+
+            // Diacritics and zero-width characters normalise to nothing
+            for (const ch of this.normalize(source[i])) {
+                normalized += ch;
+                map.push(i);
+            }
+        }
+
+        // Drop trailing whitespace like trim() does
+        if (normalized.endsWith(' ')) {
+            normalized = normalized.slice(0, -1);
+            map.pop();
+        }
+        return { text: normalized, map };
+    }
+
+    /**
+     * Whether a text contains a query after normalisation
+     * @param {string} text - Text to search in
+     * @param {string} query - Already normalised query
+     * @returns {boolean} True if the query occurs in the text
+     */
+    static includes(text, query) {
+        return this.normalize(text).includes(query);
+    }
+}
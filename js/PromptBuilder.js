@@ -0,0 +1,105 @@
+/**
+ * Prompt Builder
+ * Fills the placeholders of the system prompt and splits long transcripts into chunks
+ */
+
+import { Config } from './config.js';
+
+// Placeholders of system_prompt.md
+const PLACEHOLDERS = {
+    speakers: '{{INSERT_SPEAKER_NAMES_HERE}}',
+    existingGraph: '{{INSERT_EXISTING_JSON_HERE}}',
+    transcript: '{{INSERT_RAW_TEXT_HERE}}'
+};
+
+// Letters of Arabic-script languages, which tokenisers split into more tokens
+const ARABIC_SCRIPT = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/g;
+
+// End of a sentence, Persian or Latin punctuation
+const SENTENCE_END = /(?<=[.!?؟…])\s+/;
+
+export class PromptBuilder {
+    /**
+     * Fill the placeholders of the prompt template
+     * @param {string} template - Text of system_prompt.md
+     * @param {Object} values - speakers (Array<string>), existingGraph (string) and transcript (string)
+     * @returns {string} Rendered prompt
+     */
+    static render(template, { speakers = [], existingGraph = '', transcript = '' }) {
+        return template
+            .split(PLACEHOLDERS.speakers).join(speakers.join('\n'))
+            .split(PLACEHOLDERS.existingGraph).join(existingGraph)
+            .split(PLACEHOLDERS.transcript).join(transcript);
+    }
+
+    /**
+     * Rough token count of a text
+     * Persian letters take more tokens per character than Latin text, so they are counted separately
+     * @param {string} text - Text to measure
+     * @returns {number} Estimated number of tokens
+     */
+    static estimateTokens(text) {
+        if (!text) return 0;
+        const { persian, other } = Config.prompt.charsPerToken;
+        const persianChars = (text.match(ARABIC_SCRIPT) || []).length;
+        return Math.ceil(persianChars / persian + (text.length - persianChars) / other);
+    }
+
+    /**
+     * Split a transcript into sequential chunks that stay under a token budget
+     * Paragraphs are kept whole where possible, then sentences, and only overlong
+     * sentences are cut mid-text
+     * @param {string} text - Transcript text
+     * @param {number} maxTokens - Token budget per chunk
+     * @returns {Array<Object>} Chunks with their text and token estimate
+     */
+    static chunk(text, maxTokens = Config.prompt.chunkTokens) {
+        const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+
+        const units = paragraphs.flatMap(paragraph => {
+            if (this.estimateTokens(paragraph) <= maxTokens) return [paragraph];
+            return this.pack(paragraph.split(SENTENCE_END).flatMap(s => this.cut(s, maxTokens)), maxTokens, ' ');
+        });
+
+        return this.pack(units, maxTokens, '\n\n').map(chunk => ({
+            text: chunk,
+            tokens: this.estimateTokens(chunk)
+        }));
+    }
+
+    /**
+     * Join consecutive pieces as long as the result stays under the budget
+     * @param {Array<string>} pieces - Text pieces in order
+     * @param {number} maxTokens - Token budget
+     * @param {string} separator - Text placed between joined pieces
+     * @returns {Array<string>} Joined pieces
+     */
+    static pack(pieces, maxTokens, separator) {
+        const packed = [];
+        let current = '';
+        pieces.forEach(piece => {
+            const joined = current ? `${current}${separator}${piece}` : piece;
+            if (current && this.estimateTokens(joined) > maxTokens) {
+                packed.push(current);
+                current = piece;
+            } else {
+                current = joined;
+            }
+        });
+        if (current) {
+            packed.push(current);
+        }
+        return packed;
+    }
+
+    /**
+     * Cut a sentence that alone exceeds the budget at word boundaries
+     * @param {string} sentence - Sentence to cut
+     * @param {number} maxTokens - Token budget
+     * @returns {Array<string>} Parts of the sentence
+     */
+    static cut(sentence, maxTokens) {
+        if (this.estimateTokens(sentence) <= maxTokens) return [sentence];
+        return this.pack(sentence.split(/\s+/), maxTokens, ' ');
+    }
+}
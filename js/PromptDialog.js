@@ -0,0 +1,244 @@
+/**
+ * Prompt Dialog
+ * Collects speakers, a transcript and the existing graph, copies the rendered system prompt
+ * or hands the chunks to automatic extraction
+ */
+
+import { Config } from './config.js';
+import { Markup } from './Markup.js';
+import { PromptBuilder } from './PromptBuilder.js';
+
+export class PromptDialog {
+    constructor(dialogId) {
+        this.dialog = document.getElementById(dialogId);
+        this.template = '';
+        this.existingGraph = '';
+        this.chunks = [];
+        this.selectedChunk = 0;
+
+        this.onCopy = null;
+        this.onExtract = null;
+        this.onStop = null;
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('promptChunkTokens').value = Config.prompt.chunkTokens;
+
+        const fileInput = document.getElementById('promptTranscriptInput');
+        document.getElementById('promptLoadTranscript').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            // Reset input so same file can be selected again
+            fileInput.value = '';
+            if (!file) return;
+            this.setTranscript(await file.text());
+        });
+
+        document.getElementById('promptTranscript').addEventListener('input', () => this.updateChunks());
+        document.getElementById('promptChunkTokens').addEventListener('change', () => this.updateChunks());
+        document.getElementById('promptIncludeGraph').addEventListener('change', () => this.updateEstimate());
+        document.getElementById('promptExtraSpeakers').addEventListener('input', () => this.updateEstimate());
+
+        document.getElementById('promptCopy').addEventListener('click', () => {
+            if (this.onCopy) {
+                this.onCopy(this.buildPrompt(), this.chunks.length > 1 ? this.selectedChunk + 1 : null);
+            }
+        });
+        document.getElementById('promptCancel').addEventListener('click', () => this.close());
+
+        const backendSelect = document.getElementById('extractBackend');
+        backendSelect.innerHTML = Object.entries(Config.extraction.backends)
+            .map(([name, backend]) => `<option value="${name}">${backend.label}</option>`)
+            .join('');
+        backendSelect.value = Config.extraction.defaultBackend;
+        backendSelect.addEventListener('change', () => this.showBackend());
+        this.showBackend();
+
+        document.getElementById('extractRun').addEventListener('click', () => {
+            if (this.chunks.length === 0) {
+                alert('ابتدا متن جلسه را وارد کنید.');
+                return;
+            }
+            if (this.onExtract) {
+                this.onExtract({
+                    backend: backendSelect.value,
+                    overrides: {
+                        baseUrl: document.getElementById('extractBaseUrl').value.trim(),
+                        model: document.getElementById('extractModel').value.trim(),
+                        apiKey: document.getElementById('extractApiKey').value.trim()
+                    },
+                    template: this.template,
+                    speakers: this.selectedSpeakers(),
+                    chunks: this.chunks.slice(this.selectedChunk).map(chunk => chunk.text),
+                    firstChunk: this.selectedChunk,
+                    includeGraph: document.getElementById('promptIncludeGraph').checked
+                });
+            }
+        });
+        document.getElementById('extractStop').addEventListener('click', () => {
+            if (this.onStop) {
+                this.onStop();
+            }
+        });
+    }
+
+    /**
+     * Fill the endpoint fields with the defaults of the selected backend
+     */
+    showBackend() {
+        const backend = Config.extraction.backends[document.getElementById('extractBackend').value];
+        const isMock = backend.type === 'mock';
+        ['extractBaseUrl', 'extractModel', 'extractApiKey'].forEach(id => {
+            document.getElementById(id).disabled = isMock;
+        });
+        document.getElementById('extractBaseUrl').value = backend.baseUrl || '';
+        document.getElementById('extractModel').value = backend.model || '';
+    }
+
+    /**
+     * Show the extraction progress
+     * @param {string} message - Status text
+     * @param {boolean} running - Whether extraction is still running
+     * @param {boolean} failed - Whether the message reports an error
+     */
+    setStatus(message, running, failed = false) {
+        const status = document.getElementById('extractStatus');
+        status.textContent = message;
+        status.classList.toggle('error', failed);
+        document.getElementById('extractRun').disabled = running;
+        document.getElementById('extractStop').disabled = !running;
+    }
+
+    /**
+     * Move the chunk selection, e.g. past the chunks that have been extracted
+     * @param {number} index - Index of the chunk to select
+     */
+    selectChunk(index) {
+        this.selectedChunk = Math.min(index, Math.max(0, this.chunks.length - 1));
+        this.updateChunks();
+    }
+
+    /**
+     * Open the dialog
+     * The transcript and chunk choice are kept between openings, so that the next
+     * chunk can be copied after the result of the previous one has been merged
+     * @param {string} template - Text of system_prompt.md
+     * @param {Array<string>} speakers - Speakers of the open debate
+     * @param {string} existingGraph - JSON of the open debate, or '' when none is open
+     * @param {string} transcript - Transcript to start with when none has been entered
+     */
+    open(template, speakers, existingGraph, transcript = '') {
+        this.template = template;
+
+        const checked = new Set(this.selectedSpeakers());
+        document.getElementById('promptSpeakers').innerHTML = speakers.length === 0
+            ? '<span class="prompt-hint">گوینده‌ای در مباحثه باز وجود ندارد</span>'
+            : speakers.map(speaker => `
+                <label>
+                    <input type="checkbox" value="${Markup.escape(speaker)}"${checked.size === 0 || checked.has(speaker) ? ' checked' : ''}>
+                    ${Markup.escape(speaker)}
+                </label>
+            `).join('');
+        this.dialog.querySelectorAll('#promptSpeakers input').forEach(input => {
+            input.addEventListener('change', () => this.updateEstimate());
+        });
+
+        this.setExistingGraph(existingGraph);
+
+        if (!document.getElementById('promptTranscript').value && transcript) {
+            this.setTranscript(transcript);
+        } else {
+            this.updateChunks();
+        }
+
+        this.dialog.classList.add('visible');
+    }
+
+    close() {
+        this.dialog.classList.remove('visible');
+    }
+
+    /**
+     * Replace the graph offered as the existing graph, e.g. after extraction grew it
+     * @param {string} existingGraph - JSON of the open debate, or '' when none is open
+     */
+    setExistingGraph(existingGraph) {
+        const includeGraph = document.getElementById('promptIncludeGraph');
+        if (!this.existingGraph || !existingGraph) {
+            includeGraph.checked = Boolean(existingGraph);
+        }
+        includeGraph.disabled = !existingGraph;
+        this.existingGraph = existingGraph;
+    }
+
+    /**
+     * Replace the transcript text and start again from the first chunk
+     * @param {string} text - Transcript text
+     */
+    setTranscript(text) {
+        document.getElementById('promptTranscript').value = text;
+        this.selectedChunk = 0;
+        this.updateChunks();
+    }
+
+    /**
+     * Names ticked in the speaker list plus the extra names typed in
+     * @returns {Array<string>} Speaker names
+     */
+    selectedSpeakers() {
+        const ticked = Array.from(this.dialog.querySelectorAll('#promptSpeakers input:checked'), input => input.value);
+        const extra = document.getElementById('promptExtraSpeakers').value
+            .split(/[,،\n]/)
+            .map(name => name.trim())
+            .filter(Boolean);
+        return [...new Set([...ticked, ...extra])];
+    }
+
+    /**
+     * Split the transcript and list the chunks with their token estimates
+     */
+    updateChunks() {
+        const budget = parseInt(document.getElementById('promptChunkTokens').value) || Config.prompt.chunkTokens;
+        this.chunks = PromptBuilder.chunk(document.getElementById('promptTranscript').value, budget);
+        this.selectedChunk = Math.min(this.selectedChunk, Math.max(0, this.chunks.length - 1));
+
+        const list = document.getElementById('promptChunks');
+        list.innerHTML = this.chunks.length <= 1 ? '' : this.chunks.map((chunk, index) => `
+            <label class="prompt-chunk">
+                <input type="radio" name="promptChunk" value="${index}"${index === this.selectedChunk ? ' checked' : ''}>
+                بخش ${index + 1} از ${this.chunks.length}
+                <span class="prompt-chunk-tokens">~${chunk.tokens} توکن</span>
+            </label>
+        `).join('');
+        list.querySelectorAll('input').forEach(input => {
+            input.addEventListener('change', () => {
+                this.selectedChunk = parseInt(input.value);
+                this.updateEstimate();
+            });
+        });
+
+        this.updateEstimate();
+    }
+
+    /**
+     * Show the token estimate of the prompt that would be copied
+     */
+    updateEstimate() {
+        const tokens = PromptBuilder.estimateTokens(this.buildPrompt());
+        document.getElementById('promptEstimate').textContent = `پرامپت نهایی: حدود ${tokens} توکن`;
+    }
+
+    /**
+     * Render the prompt for the selected chunk
+     * @returns {string} Prompt text
+     */
+    buildPrompt() {
+        return PromptBuilder.render(this.template, {
+            speakers: this.selectedSpeakers(),
+            existingGraph: document.getElementById('promptIncludeGraph').checked ? this.existingGraph : '',
+            transcript: this.chunks[this.selectedChunk]?.text || ''
+        });
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * Quote Anchor
+ * Locates node quotes in the source transcript
+ */
+
+import { PersianText } from './PersianText.js';
+
+// Ellipses the extraction uses to shorten a quote
+const ELLIPSIS = /\.{3,}|…/;
+
+// Quotation marks wrapped around a quote
+const QUOTE_MARKS = /^["'«»“”]+|["'«»“”]+$/g;
+
+export class QuoteAnchor {
+    /**
+     * Anchor the quotes of all nodes in a transcript
+     * Status is 'exact' for a verbatim match, 'normalized' for a match after whitespace and
+     * Persian character normalisation, 'fragments' when the parts between ellipses are found
+     * in order, 'missing' when the quote cannot be found and 'empty' for nodes without a quote
+     * @param {string} transcript - Transcript text
+     * @param {Array} nodes - Flat node list
+     * @returns {Map<string, Object>} Status and character ranges in the transcript by node id
+     */
+    static anchorAll(transcript, nodes) {
+        const normalized = PersianText.normalizeWithMap(transcript);
+        const anchors = new Map();
+        nodes.forEach(node => anchors.set(node.id, this.anchor(transcript, normalized, node.quote)));
+        return anchors;
+    }
+
+    /**
+     * Anchor one quote
+     * @param {string} transcript - Transcript text
+     * @param {Object} normalized - Result of PersianText.normalizeWithMap for the transcript
+     * @param {string} quote - Quote to find
+     * @returns {Object} Status and ranges
+     */
+    static anchor(transcript, normalized, quote) {
+        const text = (quote || '').trim().replace(QUOTE_MARKS, '').trim();
+        if (!text) {
+            return { status: 'empty', ranges: [] };
+        }
+
+        const exact = transcript.indexOf(text);
+        if (exact !== -1) {
+            return { status: 'exact', ranges: [{ start: exact, end: exact + text.length }] };
+        }
+
+        const whole = this.findNormalized(normalized, text, 0);
+        if (whole) {
+            return { status: 'normalized', ranges: [whole] };
+        }
+
+        // Each part between ellipses must occur, in order
+        const fragments = text.split(ELLIPSIS).map(f => f.trim()).filter(Boolean);
+        if (fragments.length > 1) {
+            const ranges = [];
+            let from = 0;
+            for (const fragment of fragments) {
+                const range = this.findNormalized(normalized, fragment, from);
+                if (!range) {
+                    return { status: 'missing', ranges: [] };
+                }
+                ranges.push(range);
+                from = range.normalizedEnd;
+            }
+            return { status: 'fragments', ranges };
+        }
+
+        return { status: 'missing', ranges: [] };
+    }
+
+    /**
+     * Find a string in the normalised transcript and map the match back to the original
+     * @param {Object} normalized - Result of PersianText.normalizeWithMap
+     * @param {string} text - Text to find
+     * @param {number} from - Normalised index to start from
+     * @returns {Object|null} Original start/end and the normalised end, or null
+     */
+    static findNormalized(normalized, text, from) {
+        const needle = PersianText.normalize(text);
+        if (!needle) return null;
+
+        const index = normalized.text.indexOf(needle, from);
+        if (index === -1) return null;
+
+        const last = index + needle.length - 1;
+        return {
+            start: normalized.map[index],
+            end: normalized.map[last] + 1,
+            normalizedEnd: last + 1
+        };
+    }
+
+    /**
+     * Nodes whose quotes overlap a transcript range
+     * @param {Map<string, Object>} anchors - Result of anchorAll
+     * @param {number} start - Start of the range
+     * @param {number} end - End of the range
+     * @returns {Array<string>} Node ids
+     */
+    static nodesAt(anchors, start, end) {
+        const ids = [];
+        anchors.forEach((anchor, id) => {
+            if (anchor.ranges.some(r => r.start < Math.max(end, start + 1) && r.end > start)) {
+                ids.push(id);
+            }
+        });
+        return ids;
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * Search Panel
+ * Search box with hit list and attribute filters for the open debate
+ */
+
+import { Config } from './config.js';
+import { DebateSearch } from './DebateSearch.js';
+import { Markup } from './Markup.js';
+import { UNKNOWN_SPEAKER } from './SpeakerAnalytics.js';
+
+export class SearchPanel {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.input = document.getElementById('searchInput');
+        this.results = document.getElementById('searchResults');
+        this.nodes = [];
+        this.occurrences = new Map();
+        this.hits = [];
+
+        this.onHighlight = null;
+        this.onFilter = null;
+        this.onSelect = null;
+
+        this.init();
+    }
+
+    init() {
+        this.input.addEventListener('input', () => this.runSearch());
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && this.hits.length > 0) {
+                this.selectHit(this.hits[0]);
+            } else if (e.key === 'Escape') {
+                this.input.value = '';
+                this.runSearch();
+            }
+        });
+        this.input.addEventListener('focus', () => {
+            if (this.hits.length > 0) this.results.classList.add('visible');
+        });
+        document.addEventListener('click', (e) => {
+            if (!this.container.contains(e.target)) {
+                this.results.classList.remove('visible');
+            }
+        });
+
+        ['filterSpeaker', 'filterType', 'filterRelation', 'filterMinIntensity', 'filterMaxIntensity', 'filterMode'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applyFilters());
+        });
+
+        document.getElementById('filterClear').addEventListener('click', () => this.clear());
+    }
+
+    /**
+     * Point the panel at a debate, keeping the current query and filters
+     * @param {Array} nodes - Flat node list
+     * @param {Map<string, Array<Object>>} occurrences - Occurrences from TreeBuilder.collectOccurrences
+     */
+    setDebate(nodes, occurrences) {
+        this.nodes = nodes;
+        this.occurrences = occurrences;
+        this.container.classList.add('visible');
+
+        const speakerSelect = document.getElementById('filterSpeaker');
+        const selected = speakerSelect.value;
+        // Nodes without a speaker are listed like the speaker dashboard lists them
+        const speakers = [...new Set(nodes.map(n => n.speaker || UNKNOWN_SPEAKER))].sort();
+        speakerSelect.innerHTML = '<option value="">همه گویندگان</option>'
+            + speakers.map(s => `<option value="${Markup.escape(s)}">${Markup.escape(s)}</option>`).join('');
+        speakerSelect.value = speakers.includes(selected) ? selected : '';
+
+        this.runSearch();
+        this.applyFilters();
+    }
+
+    /**
+     * Limit the chart to one speaker
+     * @param {string} speaker - Speaker name, empty to clear
+     */
+    setSpeaker(speaker) {
+        const speakerSelect = document.getElementById('filterSpeaker');
+        speakerSelect.value = speaker;
+        if (speakerSelect.value !== speaker) return;
+        this.applyFilters();
+    }
+
+    hide() {
+        this.container.classList.remove('visible');
+    }
+
+    /**
+     * Current query and filters, with defaults left empty
+     * @returns {Object} query, speaker, type, relationType, minIntensity, maxIntensity, mode
+     */
+    getState() {
+        const value = (id, fallback) => {
+            const current = document.getElementById(id).value;
+            return current === fallback ? '' : current;
+        };
+
+        return {
+            query: this.input.value.trim(),
+            speaker: value('filterSpeaker', ''),
+            type: value('filterType', ''),
+            relationType: value('filterRelation', ''),
+            minIntensity: value('filterMinIntensity', '0'),
+            maxIntensity: value('filterMaxIntensity', '1'),
+            mode: value('filterMode', 'dim')
+        };
+    }
+
+    /**
+     * Restore query and filters; missing values fall back to the defaults
+     * @param {Object} state - Values as returned by getState
+     */
+    setState(state) {
+        this.input.value = state.query || '';
+        document.getElementById('filterSpeaker').value = state.speaker || '';
+        document.getElementById('filterType').value = state.type || '';
+        document.getElementById('filterRelation').value = state.relationType || '';
+        document.getElementById('filterMinIntensity').value = state.minIntensity || 0;
+        document.getElementById('filterMaxIntensity').value = state.maxIntensity || 1;
+        document.getElementById('filterMode').value = state.mode || 'dim';
+        this.runSearch();
+        this.results.classList.remove('visible');
+        this.applyFilters();
+    }
+
+    /**
+     * Reset query and filters
+     */
+    clear() {
+        this.input.value = '';
+        document.getElementById('filterSpeaker').value = '';
+        document.getElementById('filterType').value = '';
+        document.getElementById('filterRelation').value = '';
+        document.getElementById('filterMinIntensity').value = 0;
+        document.getElementById('filterMaxIntensity').value = 1;
+        this.runSearch();
+        this.applyFilters();
+    }
+
+    runSearch() {
+        this.hits = DebateSearch.search(this.nodes, this.occurrences, this.input.value);
+
+        if (this.onHighlight) {
+            this.onHighlight(this.hits.map(hit => hit.node.id));
+        }
+        this.renderResults();
+    }
+
+    renderResults() {
+        if (!this.input.value.trim()) {
+            this.results.innerHTML = '';
+            this.results.classList.remove('visible');
+            return;
+        }
+
+        if (this.hits.length === 0) {
+            this.results.innerHTML = '<div class="search-empty">نتیجه‌ای یافت نشد</div>';
+            this.results.classList.add('visible');
+            return;
+        }
+
+        const shown = this.hits.slice(0, Config.search.maxResults);
+        this.results.innerHTML = shown.map((hit, index) => `
+            <div class="search-result${hit.paths.length === 0 ? ' unreachable' : ''}" data-index="${index}">
+                <div class="search-result-title">${Markup.escape(hit.node.title)}</div>
+                <div class="search-result-meta">${hit.fields.join('، ')}${hit.paths.length > 1 ? ` · ${hit.paths.length} جا` : ''}</div>
+                <div class="search-result-path">${hit.breadcrumb.map(title => Markup.escape(title)).join(' › ')}</div>
+            </div>
+        `).join('') + (this.hits.length > shown.length
+            ? `<div class="search-empty">و ${this.hits.length - shown.length} نتیجه دیگر</div>`
+            : '');
+
+        this.results.querySelectorAll('.search-result').forEach(item => {
+            item.addEventListener('click', () => this.selectHit(this.hits[parseInt(item.dataset.index)]));
+        });
+        this.results.classList.add('visible');
+    }
+
+    /**
+     * Zoom to the first occurrence of a hit
+     * @param {Object} hit - Search hit
+     */
+    selectHit(hit) {
+        if (hit.paths.length === 0) return;
+        this.results.classList.remove('visible');
+        if (this.onSelect) {
+            this.onSelect(hit.paths[0]);
+        }
+    }
+
+    applyFilters() {
+        const readRange = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isNaN(value) ? fallback : value;
+        };
+
+        const predicate = DebateSearch.buildFilter({
+            speaker: document.getElementById('filterSpeaker').value,
+            type: document.getElementById('filterType').value,
+            relationType: document.getElementById('filterRelation').value,
+            minIntensity: readRange('filterMinIntensity', 0),
+            maxIntensity: readRange('filterMaxIntensity', 1)
+        });
+
+        if (this.onFilter) {
+            this.onFilter(predicate, document.getElementById('filterMode').value);
+        }
+    }
+}
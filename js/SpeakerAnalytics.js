@@ -0,0 +1,94 @@
+/**
+ * Speaker Analytics
+ * Per-speaker statistics and speaker-to-speaker interactions of a debate
+ */
+
+import { Config } from './config.js';
+
+// Label for nodes without a speaker
+export const UNKNOWN_SPEAKER = 'نامشخص';
+
+export class SpeakerAnalytics {
+    /**
+     * Compute statistics for every speaker
+     * Relation counts are per relation, so a claim with two parents counts twice; averages
+     * are over the claims that have the score, and null when none has it
+     * @param {Array} nodes - Flat node list
+     * @returns {Array<Object>} Speaker stats, most active speaker first
+     */
+    static analyze(nodes) {
+        const speakerOf = new Map(nodes.map(n => [n.id, n.speaker || UNKNOWN_SPEAKER]));
+        const stats = new Map();
+
+        const statsFor = (speaker) => {
+            if (!stats.has(speaker)) {
+                stats.set(speaker, {
+                    speaker,
+                    claims: 0,
+                    support: 0,
+                    attack: 0,
+                    foundational: 0,
+                    practical: 0,
+                    intensitySum: 0,
+                    intensityCount: 0,
+                    confidenceSum: 0,
+                    confidenceCount: 0,
+                    interactions: new Map()
+                });
+            }
+            return stats.get(speaker);
+        };
+
+        nodes.forEach(node => {
+            const entry = statsFor(speakerOf.get(node.id));
+            entry.claims++;
+            if (node.type === 'foundational' || node.type === 'practical') {
+                entry[node.type]++;
+            }
+            if (typeof node.score?.intensity === 'number') {
+                entry.intensitySum += node.score.intensity;
+                entry.intensityCount++;
+            }
+            if (typeof node.score?.confidence === 'number') {
+                entry.confidenceSum += node.score.confidence;
+                entry.confidenceCount++;
+            }
+
+            (node.relations || []).forEach(relation => {
+                const kind = relation.relation_type === 'attack' ? 'attack' : 'support';
+                entry[kind]++;
+
+                const targetSpeaker = speakerOf.get(relation.target_node_id);
+                if (!targetSpeaker) return;
+                if (!entry.interactions.has(targetSpeaker)) {
+                    entry.interactions.set(targetSpeaker, { speaker: targetSpeaker, support: 0, attack: 0 });
+                }
+                entry.interactions.get(targetSpeaker)[kind]++;
+            });
+        });
+
+        return [...stats.values()]
+            .map(({ intensitySum, intensityCount, confidenceSum, confidenceCount, interactions, ...entry }) => ({
+                ...entry,
+                averageIntensity: intensityCount > 0 ? intensitySum / intensityCount : null,
+                averageConfidence: confidenceCount > 0 ? confidenceSum / confidenceCount : null,
+                interactions: [...interactions.values()].sort((a, b) => (b.support + b.attack) - (a.support + a.attack))
+            }))
+            .sort((a, b) => b.claims - a.claims);
+    }
+
+    /**
+     * Assign a palette colour to each speaker
+     * @param {Array<Object>} stats - Result of analyze
+     * @returns {Map<string, string>} Colour by speaker name
+     */
+    static speakerColors(stats) {
+        const palette = Config.colors.speakers;
+        const colors = new Map();
+        stats
+            .filter(entry => entry.speaker !== UNKNOWN_SPEAKER)
+            .forEach((entry, i) => colors.set(entry.speaker, palette[i % palette.length]));
+        colors.set(UNKNOWN_SPEAKER, Config.colors.unknownSpeaker);
+        return colors;
+    }
+}
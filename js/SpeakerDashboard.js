@@ -0,0 +1,84 @@
+/**
+ * Speaker Dashboard
+ * Dialog summarising who made which claims and whom they supported or attacked
+ */
+
+import { Markup } from './Markup.js';
+
+export class SpeakerDashboard {
+    constructor(dialogId) {
+        this.dialog = document.getElementById(dialogId);
+
+        this.onSelectSpeaker = null;
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('speakerClose').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Open the dashboard
+     * @param {Array<Object>} stats - Result of SpeakerAnalytics.analyze
+     * @param {Map<string, string>} colors - Colour by speaker name
+     */
+    open(stats, colors) {
+        const percent = (part, total) => total === 0 ? 0 : Math.round(part / total * 100);
+        const average = (value) => value === null ? '—' : value.toFixed(2);
+        const split = (left, right, leftClass, rightClass) => `
+            <div class="speaker-split">
+                <span class="${leftClass}" style="width: ${percent(left, left + right)}%"></span>
+                <span class="${rightClass}" style="width: ${percent(right, left + right)}%"></span>
+            </div>
+        `;
+
+        document.getElementById('speakerStats').innerHTML = stats.map(entry => {
+            const interactions = entry.interactions.map(i => `
+                <li>
+                    <span class="speaker-dot" style="background-color: ${colors.get(i.speaker)}"></span>
+                    ${Markup.escape(i.speaker)}:
+                    ${i.support > 0 ? `<span class="speaker-support">${i.support} حمایت</span>` : ''}
+                    ${i.attack > 0 ? `<span class="speaker-attack">${i.attack} انتقاد</span>` : ''}
+                </li>
+            `).join('');
+
+            return `
+                <div class="speaker-card">
+                    <div class="speaker-header" data-speaker="${Markup.escape(entry.speaker)}" title="نمایش فقط گزاره‌های این گوینده">
+                        <span class="speaker-dot" style="background-color: ${colors.get(entry.speaker)}"></span>
+                        <span class="speaker-name">${Markup.escape(entry.speaker)}</span>
+                        <span class="speaker-claims">${entry.claims} گزاره</span>
+                    </div>
+                    <div class="speaker-row">
+                        <span>حمایت ${entry.support} / انتقاد ${entry.attack}</span>
+                        ${split(entry.support, entry.attack, 'support', 'attack')}
+                    </div>
+                    <div class="speaker-row">
+                        <span>بنیادین ${entry.foundational} / عملی ${entry.practical}</span>
+                        ${split(entry.foundational, entry.practical, 'foundational', 'practical')}
+                    </div>
+                    <div class="speaker-row">
+                        <span>میانگین شدت ${average(entry.averageIntensity)} · میانگین اطمینان ${average(entry.averageConfidence)}</span>
+                    </div>
+                    ${interactions ? `<ul class="speaker-interactions">${interactions}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        document.querySelectorAll('#speakerStats .speaker-header').forEach(header => {
+            header.addEventListener('click', () => {
+                this.close();
+                if (this.onSelectSpeaker) {
+                    this.onSelectSpeaker(header.dataset.speaker);
+                }
+            });
+        });
+
+        this.dialog.classList.add('visible');
+    }
+
+    close() {
+        this.dialog.classList.remove('visible');
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Static Sunburst
+ * Writes the sunburst of a debate as a standalone SVG document without a browser or d3,
+ * with the layout, colours, textures, labels and legend of the interactive chart
+ */
+
+import { ChartRenderer } from './ChartRenderer.js';
+import { Config } from './config.js';
+import { D3Sunburst } from './D3Sunburst.js';
+import { Exporter } from './Exporter.js';
+import { Legend } from './Legend.js';
+import { SunburstLayout } from './SunburstLayout.js';
+import { TreeBuilder } from './TreeBuilder.js';
+
+export class StaticSunburst {
+    /**
+     * Draw the tree below a node
+     * Acceptability colours need the tree annotated by ArgumentEvaluator first
+     * @param {Object} rootNode - Tree node to draw as root
+     * @param {Object} options - size, title, colorMode, speakerColors, fillBy and sizing
+     * @returns {Object} SVG text with its width and height
+     */
+    static render(rootNode, {
+        size = Config.chart.viewBoxWidth,
+        title = rootNode.title,
+        colorMode = 'intensity',
+        speakerColors = new Map(),
+        fillBy = Config.encoding.defaultFill,
+        sizing = Config.sizing.defaultMode
+    } = {}) {
+        const root = SunburstLayout.hierarchy(rootNode);
+        SunburstLayout.layout(root, size / 2 - Config.chart.radiusPadding, sizing);
+
+        const legendItems = Legend.items({ fillBy, colorMode, speakerColors });
+        const { headerHeight, legendHeight } = Config.export;
+        const width = size;
+        const legendRows = Math.ceil(legendItems.length / Exporter.legendColumns(width, legendItems.length));
+        const height = size + headerHeight + legendRows * legendHeight;
+
+        // One pattern per texture and colour, as in the chart
+        const patterns = new Map();
+        const fill = (d) => {
+            const color = TreeBuilder.getNodeColor(d.data, rootNode, colorMode, speakerColors, fillBy);
+            const texture = TreeBuilder.getNodeTexture(d.data, rootNode, fillBy);
+            if (texture === 'plain') {
+                return color;
+            }
+            const id = `texture-${texture}-${color.slice(1)}`;
+            if (!patterns.has(id)) {
+                patterns.set(id, ChartRenderer.textureMarkup(id, color, texture));
+            }
+            return `url(#${id})`;
+        };
+
+        const marks = SunburstLayout.descendants(root).map(d => {
+            const outline = d.data.isShared
+                ? ` stroke="${Config.colors.shared}" stroke-width="${Config.shared.strokeWidth}" stroke-dasharray="${Config.shared.dashArray}"`
+                : '';
+            return `<path class="chart-mark" d="${SunburstLayout.arcPath(d.shape)}" fill="${fill(d)}"${outline}>`
+                + `<title>${Exporter.escapeXml(d.data.title)}</title></path>`;
+        });
+
+        return {
+            svg: [
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" direction="rtl">`,
+                `<style>
+            text { font-family: 'Vazirmatn', sans-serif; fill: #1a1a2e; stroke: none; }
+            .arc-label { font-size: 12px; }
+            .center-label { font-size: 13px; font-weight: 600; }</style>`,
+                `<defs>${[...patterns.values()].join('')}</defs>`,
+                `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+                `<text x="${width / 2}" y="${headerHeight / 2}" text-anchor="middle" dominant-baseline="middle" font-size="22" font-weight="600">${Exporter.escapeXml(title)}</text>`,
+                `<g transform="translate(${width / 2}, ${headerHeight + size / 2})">`,
+                ...marks,
+                this.labels(root),
+                '</g>',
+                this.legend(width, size + headerHeight, legendItems),
+                '</svg>'
+            ].join('\n'),
+            width,
+            height
+        };
+    }
+
+    /**
+     * Titles along the arcs and the root title in the centre, placed as in the chart
+     * @param {Object} root - Hierarchy root after SunburstLayout.layout
+     * @returns {string} SVG group
+     */
+    static labels(root) {
+        const labels = SunburstLayout.labels(root);
+        const paths = labels.map((label, i) => `<path id="label-${i}" d="${D3Sunburst.labelPath(label.d.shape, label.radius)}"/>`);
+        const texts = labels.map((label, i) => '<text class="chart-label arc-label" direction="rtl" dominant-baseline="middle">'
+            + `<textPath href="#label-${i}" startOffset="50%" text-anchor="middle">`
+            + `${Exporter.escapeXml(ChartRenderer.truncate(label.d.data.title, label.chars))}</textPath></text>`);
+
+        const { centerLineHeight, centerMaxLines } = Config.chart;
+        const chars = SunburstLayout.centerChars(root);
+        if (chars > 0) {
+            const lines = D3Sunburst.wrapLines(root.data.title, chars, centerMaxLines);
+            const tspans = lines.map((line, i) => `<tspan x="0" y="${(i - (lines.length - 1) / 2) * centerLineHeight}">${Exporter.escapeXml(line)}</tspan>`);
+            texts.push(`<text class="chart-label center-label" direction="rtl" text-anchor="middle" dominant-baseline="middle">${tspans.join('')}</text>`);
+        }
+
+        return `<g class="sunburst-labels"><defs>${paths.join('')}</defs>${texts.join('\n')}</g>`;
+    }
+
+    /**
+     * Legend band below the chart, laid out like the legend of exported images
+     * @param {number} width - Image width
+     * @param {number} top - Y position of the legend band
+     * @param {Array<Object>} items - Entries from Legend.items
+     * @returns {string} SVG group
+     */
+    static legend(width, top, items) {
+        const { legendHeight, legendItemWidth } = Config.export;
+        const perRow = Exporter.legendColumns(width, items.length);
+
+        const entries = items.map((item, i) => {
+            const row = Math.floor(i / perRow);
+            const column = i % perRow;
+            const inRow = Math.min(perRow, items.length - row * perRow);
+            const x = (width + inRow * legendItemWidth) / 2 - (column + 1) * legendItemWidth;
+            const y = top + row * legendHeight + legendHeight / 2;
+
+            return `<g transform="translate(${x + legendItemWidth - 24}, ${y - 8})">${Legend.swatchMarkup(item, `legend-texture-${i}`, 16)}</g>`
+                + `<text x="${x + legendItemWidth - 32}" y="${y}" text-anchor="start" dominant-baseline="middle" font-size="14">${Exporter.escapeXml(item.label)}</text>`;
+        });
+        return `<g>${entries.join('\n')}</g>`;
+    }
+}
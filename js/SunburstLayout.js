@@ -0,0 +1,296 @@
+/**
+ * Sunburst Layout
+ * Angles, rings and label places of the sunburst, computed without d3 or the DOM so
+ * that the same layout can be drawn in the browser and written out by the command line
+ *
+ * Works on any hierarchy whose nodes have 'data', 'depth', 'height', 'parent' and
+ * 'children', so d3 hierarchies and the plain ones built by hierarchy() both do.
+ */
+
+import { Config } from './config.js';
+
+// Weight of a tree node in each sizing mode; siblings share their parent's span in
+// proportion to it. Cumulative weights add up the weights of the whole subtree.
+const SIZINGS = {
+    'equal': { weight: () => 1 },
+    'intensity': { weight: n => Math.max(n.score?.intensity ?? 1, Config.sizing.minWeight) },
+    'confidence': { weight: n => Math.max(n.score?.confidence ?? 1, Config.sizing.minWeight) },
+    'subtree-size': { weight: () => 1, cumulative: true },
+    'subtree-weight': { weight: n => (n.score?.intensity ?? 1) * (n.score?.confidence ?? 1), cumulative: true }
+};
+
+// Angles and radii closer than this are treated as equal
+const EPSILON = 1e-9;
+
+export class SunburstLayout {
+    /**
+     * Build a hierarchy over a tree from TreeBuilder
+     * @param {Object} data - Tree node to use as root
+     * @param {Object|null} parent - Hierarchy node of the parent
+     * @returns {Object} Hierarchy node
+     */
+    static hierarchy(data, parent = null) {
+        const node = { data, depth: parent ? parent.depth + 1 : 0, height: 0, parent };
+        if (data.children?.length > 0) {
+            node.children = data.children.map(child => this.hierarchy(child, node));
+            node.height = 1 + Math.max(...node.children.map(child => child.height));
+        }
+        return node;
+    }
+
+    /**
+     * Visit a hierarchy breadth-first, parents before their children
+     * Children removed by the callback are not visited
+     * @param {Object} root - Hierarchy root
+     * @param {Function} callback - Called with every hierarchy node
+     */
+    static each(root, callback) {
+        const queue = [root];
+        for (let i = 0; i < queue.length; i++) {
+            callback(queue[i]);
+            if (queue[i].children) {
+                queue.push(...queue[i].children);
+            }
+        }
+    }
+
+    /**
+     * All nodes of a hierarchy, breadth-first
+     * @param {Object} root - Hierarchy root
+     * @returns {Array<Object>} Hierarchy nodes
+     */
+    static descendants(root) {
+        const nodes = [];
+        this.each(root, d => nodes.push(d));
+        return nodes;
+    }
+
+    /**
+     * Lay out a sunburst: cull, share the circle between the arcs and give every arc its shape
+     * Sets 'shape' (x0, x1, r0, r1 and pad) on every hierarchy node left in the drawing
+     * @param {Object} root - Hierarchy root
+     * @param {number} radius - Radius of the whole chart
+     * @param {string} sizing - Key of SIZINGS
+     * @returns {number} Number of arcs left out for being too narrow
+     */
+    static layout(root, radius, sizing) {
+        // Rings too deep to get any width are left out until zoomed into
+        this.cull(root, d => d.depth <= Config.performance.maxDepth);
+        const maxDepth = root.height;
+
+        // Share the angle between siblings by the sizing mode
+        this.assignSpans(root, 0, 2 * Math.PI, sizing, Config.sizing.minAngle);
+
+        const { verticalGap, padAngle, radiusExponent, exponentDepthThreshold } = Config.spacing;
+        const exponent = radiusExponent.base + (maxDepth - exponentDepthThreshold) * radiusExponent.perLevel;
+        // Rings start out equally wide; the exponent gives the outer rings, which hold most arcs, more room
+        const ringRadius = (depth) => Math.pow(depth / (maxDepth + 1), exponent) * radius;
+        const gap = radius * verticalGap;
+
+        this.each(root, d => {
+            const depthFraction = maxDepth > 0 ? d.depth / maxDepth : 0;
+            const r1 = ringRadius(d.depth + 1) - gap;
+            d.shape = {
+                x0: d.x0,
+                x1: d.x1,
+                r0: ringRadius(d.depth) + gap,
+                r1: d.depth === 0 ? Math.min(r1, radius * Config.chart.maxCenterRadius) : r1,
+                pad: padAngle.inner - depthFraction * (padAngle.inner - padAngle.outer)
+            };
+        });
+
+        // Arcs too narrow to see are left out, measured along their outer edge
+        return this.cull(root, d => (d.shape.x1 - d.shape.x0) * d.shape.r1 >= Config.performance.minMarkSize);
+    }
+
+    /**
+     * Split a span between the descendants of a hierarchy node by a sizing mode
+     * @param {Object} root - Hierarchy node
+     * @param {number} x0 - Start of the span
+     * @param {number} x1 - End of the span
+     * @param {string} sizing - Key of SIZINGS
+     * @param {number} minSpan - Smallest span given to a node, so that small claims stay clickable
+     */
+    static assignSpans(root, x0, x1, sizing, minSpan) {
+        const { weight, cumulative } = SIZINGS[sizing] || SIZINGS.equal;
+        // Weighed on the tree, so subtrees culled from the drawing still count
+        const weights = new Map();
+        const weigh = (node) => {
+            const own = Math.max(0, weight(node) || 0);
+            const below = node.children.reduce((sum, child) => sum + weigh(child), 0);
+            weights.set(node, cumulative ? own + below : own);
+            return weights.get(node);
+        };
+        weigh(root.data);
+        this.assignWeightedSpans(root, x0, x1, d => weights.get(d.data), minSpan);
+    }
+
+    /**
+     * Split a span between siblings in proportion to their weights, recursively
+     * Every sibling gets at least minSpan (or an equal share, when the span is too small
+     * for that); the rest is shared by the siblings above the minimum. Siblings that all
+     * weigh nothing share the span equally.
+     * @param {Object} node - Hierarchy node
+     * @param {number} x0 - Start of the span
+     * @param {number} x1 - End of the span
+     * @param {Function} weightOf - Weight of a hierarchy node
+     * @param {number} minSpan - Smallest span of a node
+     */
+    static assignWeightedSpans(node, x0, x1, weightOf, minSpan) {
+        node.x0 = x0;
+        node.x1 = x1;
+
+        const children = node.children || [];
+        if (children.length === 0) return;
+
+        const sum = (values) => values.reduce((total, value) => total + value, 0);
+        const span = x1 - x0;
+        const floor = Math.min(minSpan, span / children.length);
+        let weights = children.map(child => weightOf(child));
+        if (sum(weights) <= 0) {
+            weights = children.map(() => 1);
+        }
+
+        // Lightest first, fix siblings whose share would fall below the floor at the floor;
+        // the heavier ones only gain from that, so the first one above it ends the search
+        const order = children.map((child, i) => i).sort((a, b) => weights[a] - weights[b]);
+        const spans = [];
+        let free = span;
+        let freeWeight = sum(weights);
+        for (const i of order) {
+            if (freeWeight > 0 && free * weights[i] / freeWeight >= floor) break;
+            spans[i] = floor;
+            free -= floor;
+            freeWeight -= weights[i];
+        }
+        children.forEach((child, i) => {
+            if (spans[i] === undefined) spans[i] = free * weights[i] / freeWeight;
+        });
+
+        let start = x0;
+        children.forEach((child, i) => {
+            this.assignWeightedSpans(child, start, start + spans[i], weightOf, minSpan);
+            start += spans[i];
+        });
+    }
+
+    /**
+     * Leave nodes out of a hierarchy, with everything below them
+     * Used for marks too small to see or too deep to get any room; the tree itself is
+     * untouched, so zooming in brings them back
+     * @param {Object} root - Hierarchy root
+     * @param {Function} keep - Whether a hierarchy node is drawn
+     * @returns {number} Number of nodes left out
+     */
+    static cull(root, keep) {
+        let culled = 0;
+        this.each(root, d => {
+            if (!d.children) return;
+            const kept = d.children.filter(keep);
+            if (kept.length === d.children.length) return;
+
+            d.children
+                .filter(child => !kept.includes(child))
+                .forEach(child => { culled += this.descendants(child).length; });
+            // Visited after this node, so pruned children are never looked at
+            d.children = kept.length > 0 ? kept : undefined;
+        });
+
+        if (culled > 0) {
+            // Layouts read the height of the pruned hierarchy
+            const measure = (d) => {
+                d.height = d.children ? 1 + Math.max(...d.children.map(measure)) : 0;
+                return d.height;
+            };
+            measure(root);
+        }
+        return culled;
+    }
+
+    /**
+     * Sizing modes a view can offer
+     * @returns {Array<string>} Keys of SIZINGS
+     */
+    static sizingModes() {
+        return Object.keys(SIZINGS);
+    }
+
+    /**
+     * Arcs wide and thick enough for a label, with the radius and length of the label
+     * @param {Object} root - Hierarchy root after layout()
+     * @returns {Array<Object>} Labels with the hierarchy node, radius and number of characters
+     */
+    static labels(root) {
+        const { labelMinChars, labelMinThickness } = Config.chart;
+        return this.descendants(root)
+            .filter(d => d.depth > 0 && d.shape.r1 - d.shape.r0 >= labelMinThickness)
+            .map(d => {
+                const radius = (d.shape.r0 + d.shape.r1) / 2;
+                const length = radius * (d.shape.x1 - d.shape.x0 - d.shape.pad);
+                return { d, radius, chars: Math.floor(length / Config.layouts.charWidth) - 1 };
+            })
+            .filter(label => label.chars >= labelMinChars);
+    }
+
+    /**
+     * Characters that fit on a line of the root title in the centre circle
+     * @param {Object} root - Hierarchy root after layout()
+     * @returns {number} Characters per line, 0 when the circle is too small for a title
+     */
+    static centerChars(root) {
+        // Widest line that stays inside the circle around its middle
+        const chars = Math.floor(root.shape.r1 * 1.6 / Config.layouts.charWidth);
+        return chars >= Config.chart.labelMinChars ? chars : 0;
+    }
+
+    /**
+     * SVG path of an arc shape, as d3.arc draws it
+     * Padding keeps the same width at the inner and outer edge; arcs too narrow for their
+     * padding shrink to a line in their middle
+     * @param {Object} shape - Arc shape
+     * @returns {string} SVG path
+     */
+    static arcPath({ x0, x1, r0, r1, pad }) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const point = (radius, angle) => `${round(radius * Math.sin(angle))},${round(-radius * Math.cos(angle))}`;
+        const arc = (radius, from, to) => {
+            const large = Math.abs(to - from) > Math.PI ? 1 : 0;
+            return `A${round(radius)},${round(radius)} 0 ${large} ${to > from ? 1 : 0} ${point(radius, to)}`;
+        };
+
+        if (r1 <= EPSILON) {
+            return 'M0,0Z';
+        }
+
+        // A whole ring is drawn as two half circles, the inner one the other way round
+        if (x1 - x0 >= 2 * Math.PI - EPSILON) {
+            const outer = `M${point(r1, x0)}${arc(r1, x0, x0 + Math.PI)}${arc(r1, x0 + Math.PI, x0)}`;
+            const inner = r0 > EPSILON
+                ? `M${point(r0, x0)}${arc(r0, x0, x0 - Math.PI)}${arc(r0, x0 - Math.PI, x0)}`
+                : '';
+            return `${outer}${inner}Z`;
+        }
+
+        // Angles of one edge, inset so that the gap to the neighbours is pad wide at the pad radius
+        const padRadius = Math.sqrt(r0 * r0 + r1 * r1);
+        const edge = (radius) => {
+            const inset = pad / 2 > EPSILON && radius > EPSILON
+                ? Math.asin(Math.min(1, padRadius / radius * Math.sin(pad / 2)))
+                : 0;
+            const mid = (x0 + x1) / 2;
+            return x1 - x0 - 2 * inset > EPSILON ? [x0 + inset, x1 - inset] : [mid, mid];
+        };
+
+        const [outerStart, outerEnd] = edge(r1);
+        const [innerStart, innerEnd] = edge(r0);
+        let path = `M${point(r1, outerStart)}`;
+        if (outerEnd > outerStart) {
+            path += arc(r1, outerStart, outerEnd);
+        }
+        path += `L${point(r0, innerEnd)}`;
+        if (r0 > EPSILON && innerEnd > innerStart) {
+            path += arc(r0, innerEnd, innerStart);
+        }
+        return `${path}Z`;
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * Transcript Pane
+ * Shows the source transcript with the quotes of nodes highlighted
+ */
+
+import { Markup } from './Markup.js';
+import { QuoteAnchor } from './QuoteAnchor.js';
+
+export class TranscriptPane {
+    constructor(paneId) {
+        this.pane = document.getElementById(paneId);
+        this.body = document.getElementById('transcriptBody');
+        this.text = '';
+        this.anchors = new Map();
+        this.nodeMap = new Map();
+
+        this.onSelectNode = null;
+        this.onReplace = null;
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('transcriptClose').addEventListener('click', () => this.hide());
+        document.getElementById('transcriptReplace').addEventListener('click', () => {
+            if (this.onReplace) {
+                this.onReplace();
+            }
+        });
+
+        // Selecting text, or clicking a highlighted quote, lists the nodes citing it
+        this.body.addEventListener('mouseup', () => this.showCitingNodes());
+    }
+
+    /**
+     * Show a transcript
+     * @param {string} name - File name of the transcript
+     * @param {string} text - Transcript text
+     * @param {Map<string, Object>} anchors - Result of QuoteAnchor.anchorAll
+     * @param {Array} nodes - Flat node list
+     */
+    show(name, text, anchors, nodes) {
+        this.text = text;
+        document.getElementById('transcriptName').textContent = name;
+        this.update(anchors, nodes);
+    }
+
+    /**
+     * Redraw the highlights after the nodes changed
+     * @param {Map<string, Object>} anchors - Result of QuoteAnchor.anchorAll
+     * @param {Array} nodes - Flat node list
+     */
+    update(anchors, nodes) {
+        this.anchors = anchors;
+        this.nodeMap = new Map(nodes.map(n => [n.id, n]));
+        this.renderSummary();
+        this.renderText();
+        this.hideCitingNodes();
+    }
+
+    open() {
+        this.pane.classList.add('visible');
+    }
+
+    hide() {
+        this.pane.classList.remove('visible');
+    }
+
+    isOpen() {
+        return this.pane.classList.contains('visible');
+    }
+
+    /**
+     * Remove the transcript
+     */
+    clear() {
+        this.text = '';
+        this.anchors = new Map();
+        this.nodeMap = new Map();
+        this.body.innerHTML = '';
+        this.hide();
+    }
+
+    /**
+     * Counts by anchor status and the list of quotes that could not be found
+     */
+    renderSummary() {
+        const counts = { exact: 0, normalized: 0, fragments: 0, missing: 0 };
+        const missing = [];
+        this.anchors.forEach((anchor, id) => {
+            if (anchor.status in counts) counts[anchor.status]++;
+            if (anchor.status === 'missing') missing.push(this.nodeMap.get(id));
+        });
+
+        const found = counts.exact + counts.normalized + counts.fragments;
+        const summary = document.getElementById('transcriptSummary');
+        summary.innerHTML = `
+            <span>${found} نقل‌قول یافت شد (${counts.normalized + counts.fragments} پس از یکسان‌سازی یا به‌صورت بخش‌بخش)</span>
+            ${missing.length > 0 ? `
+                <details class="transcript-missing">
+                    <summary>${missing.length} نقل‌قول در متن یافت نشد و ممکن است ساختگی باشد</summary>
+                    <ul>${missing.map(node => `<li class="transcript-node" data-id="${Markup.escape(node.id)}">${Markup.escape(node.id)} — ${Markup.escape(node.title)}</li>`).join('')}</ul>
+                </details>
+            ` : ''}
+        `;
+        this.bindNodeLinks(summary);
+    }
+
+    /**
+     * Draw the transcript with one mark per stretch of text covered by the same quotes
+     */
+    renderText() {
+        const boundaries = new Set([0, this.text.length]);
+        const ranges = [];
+        this.anchors.forEach((anchor, id) => {
+            anchor.ranges.forEach(range => {
+                boundaries.add(range.start);
+                boundaries.add(range.end);
+                ranges.push({ ...range, id });
+            });
+        });
+        const points = [...boundaries].sort((a, b) => a - b);
+
+        const fragment = document.createDocumentFragment();
+        for (let i = 0; i < points.length - 1; i++) {
+            const start = points[i];
+            const end = points[i + 1];
+            const ids = ranges.filter(r => r.start <= start && r.end >= end).map(r => r.id);
+
+            // Every segment records its offset so that selections can be mapped back
+            const segment = document.createElement(ids.length > 0 ? 'mark' : 'span');
+            segment.dataset.start = start;
+            segment.textContent = this.text.slice(start, end);
+            if (ids.length > 0) {
+                segment.className = 'quote-anchor';
+                segment.dataset.ids = [...new Set(ids)].join(' ');
+            }
+            fragment.appendChild(segment);
+        }
+
+        this.body.innerHTML = '';
+        this.body.appendChild(fragment);
+    }
+
+    /**
+     * Scroll to the quote of a node and highlight it
+     * @param {string} nodeId - ID of the node
+     * @returns {boolean} True if the quote was found in the transcript
+     */
+    reveal(nodeId) {
+        this.body.querySelectorAll('.quote-anchor.active').forEach(mark => mark.classList.remove('active'));
+
+        const marks = Array.from(this.body.querySelectorAll('.quote-anchor'))
+            .filter(mark => mark.dataset.ids.split(' ').includes(nodeId));
+        marks.forEach(mark => mark.classList.add('active'));
+
+        if (marks.length > 0 && this.isOpen()) {
+            marks[0].scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }
+        return marks.length > 0;
+    }
+
+    /**
+     * Transcript offset of a point in the selection
+     * @param {Node} container - Container of the point
+     * @param {number} offset - Offset within the container
+     * @returns {number|null} Offset in the transcript text
+     */
+    textOffset(container, offset) {
+        const element = container.nodeType === Node.TEXT_NODE ? container.parentElement : container;
+        const segment = element.closest('[data-start]');
+        if (!segment || !this.body.contains(segment)) return null;
+
+        const within = container.nodeType === Node.TEXT_NODE ? offset : 0;
+        return Number(segment.dataset.start) + within;
+    }
+
+    /**
+     * List the nodes whose quotes overlap the current selection
+     */
+    showCitingNodes() {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0) return;
+
+        const range = selection.getRangeAt(0);
+        const start = this.textOffset(range.startContainer, range.startOffset);
+        const end = this.textOffset(range.endContainer, range.endOffset);
+        if (start === null || end === null) {
+            this.hideCitingNodes();
+            return;
+        }
+
+        const ids = QuoteAnchor.nodesAt(this.anchors, start, end);
+        const list = document.getElementById('transcriptSelection');
+        if (ids.length === 0) {
+            this.hideCitingNodes();
+            return;
+        }
+
+        list.innerHTML = `
+            <h4>گزاره‌هایی که به این بخش استناد می‌کنند (${ids.length})</h4>
+            <ul>${ids.map(id => `<li class="transcript-node" data-id="${Markup.escape(id)}">${Markup.escape(id)} — ${Markup.escape(this.nodeMap.get(id)?.title)}</li>`).join('')}</ul>
+        `;
+        list.classList.add('visible');
+        this.bindNodeLinks(list);
+    }
+
+    hideCitingNodes() {
+        const list = document.getElementById('transcriptSelection');
+        list.classList.remove('visible');
+        list.innerHTML = '';
+    }
+
+    /**
+     * Make node items inside a container select their node
+     * @param {HTMLElement} container - Element holding .transcript-node items
+     */
+    bindNodeLinks(container) {
+        container.querySelectorAll('.transcript-node').forEach(item => {
+            item.addEventListener('click', () => {
+                if (this.onSelectNode) {
+                    this.onSelectNode(item.dataset.id);
+                }
+            });
+        });
+    }
+}
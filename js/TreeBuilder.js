@@ -4,82 +4,182 @@
  */
 
 import { Config } from './config.js';
+import { Debug } from './Debug.js';
 
 export class TreeBuilder {
     /**
-     * Build tree from flat node list
+     * Build graph indexes from flat node list
+     * Every relation is an edge from the child (source) to its target (parent)
      * @param {Array} nodes - Array of node objects
-     * @returns {Object} Root node with children
+     * @returns {Object} Graph with nodeMap, childIndex, parentIndex and thesis
      */
-    static buildTree(nodes) {
-        console.log('[TreeBuilder] buildTree() called with nodes:', nodes);
-
-        // Create a map for quick lookup
+    static buildGraph(nodes) {
         const nodeMap = new Map();
+        const childIndex = new Map();
+        const parentIndex = new Map();
 
-        // Initialize all nodes with empty children array
         nodes.forEach(node => {
-            nodeMap.set(node.id, {
-                ...node,
-                children: [],
-                value: node.score?.intensity || 1
+            nodeMap.set(node.id, node);
+            childIndex.set(node.id, []);
+            parentIndex.set(node.id, []);
+        });
+
+        nodes.forEach(node => {
+            (Array.isArray(node.relations) ? node.relations : []).forEach(relation => {
+                const targetId = relation?.target_node_id;
+                if (!nodeMap.has(targetId) || targetId === node.id) return;
+
+                // Only the first relation between the same pair of nodes counts
+                const parents = parentIndex.get(node.id);
+                if (parents.some(p => p.id === targetId)) return;
+
+                parents.push({ id: targetId, relation });
+                childIndex.get(targetId).push({ id: node.id, relation });
             });
         });
 
-        // Find the thesis node (root)
-        const thesisNode = Array.from(nodeMap.values()).find(n => n.type === 'thesis');
-        if (!thesisNode) {
+        const thesis = nodes.find(n => n.type === 'thesis') || null;
+
+        return { nodeMap, childIndex, parentIndex, thesis };
+    }
+
+    /**
+     * Build tree from flat node list
+     * Nodes with several parents are unfolded under every parent with their full subtree.
+     * Shared nodes can make the tree grow exponentially, so once it holds
+     * Config.performance.maxOccurrences nodes, a node already unfolded elsewhere is added
+     * without children and marked isCollapsed; its subtree stays at the first occurrence.
+     * @param {Array} nodes - Array of node objects
+     * @returns {Object} Root node with children
+     */
+    static buildTree(nodes) {
+        Debug.log('[TreeBuilder] buildTree() called with nodes:', nodes);
+
+        const graph = this.buildGraph(nodes);
+
+        if (!graph.thesis) {
             console.error('No thesis node found in the data');
             return null;
         }
 
-        console.log('[TreeBuilder] Thesis node found:', thesisNode);
+        Debug.log('[TreeBuilder] Thesis node found:', graph.thesis);
 
         // Recursively build tree from thesis
-        const visited = new Set();
-        const buildTreeRecursive = (parentNode) => {
-            if (visited.has(parentNode.id)) return;
-            visited.add(parentNode.id);
-
-            // Find all nodes that target this parent node
-            const children = Array.from(nodeMap.values()).filter(n => {
-                if (!n.relations || n.relations.length === 0) return false;
-                return n.relations.some(r => r.target_node_id === parentNode.id);
+        // Cycles are cut by checking the ancestors of the current branch only,
+        // so shared nodes keep their subtree under every parent
+        const ancestors = new Set();
+        const unfolded = new Set();
+        let built = 0;
+        let collapsed = 0;
+        const buildTreeRecursive = (id, relation, parentPath) => {
+            const source = graph.nodeMap.get(id);
+            const parents = graph.parentIndex.get(id);
+            const path = parentPath === null ? id : `${parentPath}/${id}`;
+
+            const treeNode = {
+                ...source,
+                children: [],
+                value: source.score?.intensity ?? 1,
+                path,
+                parentIds: parents.map(p => p.id),
+                isShared: parents.length > 1
+            };
+
+            if (relation) {
+                treeNode.relationType = relation.relation_type;
+                treeNode.relationReasoning = relation.reasoning;
+            }
+
+            const children = graph.childIndex.get(id);
+            built++;
+            if (children.length > 0 && unfolded.has(id) && built > Config.performance.maxOccurrences) {
+                treeNode.isCollapsed = true;
+                collapsed++;
+                return treeNode;
+            }
+            unfolded.add(id);
+
+            ancestors.add(id);
+            children.forEach(child => {
+                if (ancestors.has(child.id)) {
+                    console.warn(`[TreeBuilder] Skipping cyclic relation ${child.id} -> ${id}`);
+                    return;
+                }
+                treeNode.children.push(buildTreeRecursive(child.id, child.relation, path));
             });
+            ancestors.delete(id);
 
-            console.log(`[TreeBuilder] Found ${children.length} children for node ${parentNode.id}:`, children.map(c => c.id));
-
-            children.forEach(childNode => {
-                // Add relation info to child
-                const relation = childNode.relations.find(r => r.target_node_id === parentNode.id);
-                const childWithRelation = {
-                    ...childNode,
-                    relationType: relation?.relation_type,
-                    relationReasoning: relation?.reasoning
-                };
-                parentNode.children.push(childWithRelation);
-                buildTreeRecursive(childWithRelation);
-            });
+            return treeNode;
         };
 
-        buildTreeRecursive(thesisNode);
+        const tree = buildTreeRecursive(graph.thesis.id, null, null);
+        if (collapsed > 0) {
+            console.warn(`[TreeBuilder] Collapsed ${collapsed} repeated subtrees after ${Config.performance.maxOccurrences} tree nodes`);
+        }
 
-        console.log('[TreeBuilder] Final tree with children:', thesisNode);
-        return thesisNode;
+        Debug.log('[TreeBuilder] Final tree with children:', tree);
+        return tree;
     }
 
     /**
-      * Get color for node based on type and relation, with brightness based on intensity
+     * Collect every occurrence of each node in the tree
+     * @param {Object} tree - Root node returned by buildTree
+     * @returns {Map<string, Array<Object>>} Node id to list of tree nodes
+     */
+    static collectOccurrences(tree) {
+        const occurrences = new Map();
+
+        const walk = (node) => {
+            if (!occurrences.has(node.id)) {
+                occurrences.set(node.id, []);
+            }
+            occurrences.get(node.id).push(node);
+            node.children.forEach(walk);
+        };
+        walk(tree);
+
+        return occurrences;
+    }
+
+    /**
+     * Resolve an occurrence path to the chain of tree nodes leading to it
+     * @param {Object} tree - Root node returned by buildTree
+     * @param {string} path - Slash-separated node ids starting at the thesis
+     * @returns {Array<Object>|null} Tree nodes from the root to the occurrence
+     */
+    static resolvePath(tree, path) {
+        const ids = path.split('/');
+        if (ids[0] !== tree.id) return null;
+
+        const chain = [tree];
+        for (const id of ids.slice(1)) {
+            const next = chain[chain.length - 1].children.find(c => c.id === id);
+            if (!next) return null;
+            chain.push(next);
+        }
+
+        return chain;
+    }
+
+    /**
+      * Get color for node based on relation or type, with brightness based on intensity
       * @param {Object} node - Node object
       * @param {Object} currentRoot - Current root node (thesis)
+      * @param {string} colorMode - 'intensity' for the raw score, 'acceptability' for the computed one, 'speaker' for speaker colours
+      * @param {Map<string, string>} speakerColors - Colour by speaker name, used in 'speaker' mode
+      * @param {string} fillBy - 'relation' to colour by support/attack, 'type' by node type
       * @returns {string} Color hex code
       */
-     static getNodeColor(node, currentRoot) {
+     static getNodeColor(node, currentRoot, colorMode = 'intensity', speakerColors = new Map(), fillBy = 'relation') {
          let baseColor;
 
          // For current thesis (root), use light blue color
          if (currentRoot && node.id === currentRoot.id) {
              baseColor = Config.colors.thesis;
+         } else if (colorMode === 'speaker') {
+             baseColor = speakerColors.get(node.speaker) || Config.colors.unknownSpeaker;
+         } else if (fillBy === 'type') {
+             baseColor = node.type === 'foundational' ? Config.colors.foundational : Config.colors.practical;
          } else {
              // For other nodes, color based on relation type
              baseColor = node.relationType === 'attack' ? Config.colors.attack : Config.colors.support;
@@ -90,10 +190,28 @@ export class TreeBuilder {
          if (currentRoot && node.id === currentRoot.id) {
              return baseColor;
          }
-         const intensity = node.score?.intensity || 0.5;
+         const intensity = colorMode === 'acceptability'
+             ? (node.acceptability ?? 0.5)
+             : (node.score?.intensity ?? 0.5);
          return this.adjustBrightness(baseColor, intensity);
      }
 
+    /**
+     * Get the texture drawn over a node's fill: node type when the fill shows the
+     * relation, relation type when it shows the node type
+     * @param {Object} node - Node object
+     * @param {Object} currentRoot - Current root node, drawn without texture
+     * @param {string} fillBy - 'relation' or 'type'
+     * @returns {string} Texture name from Config.encoding.textures, 'plain' for none
+     */
+    static getNodeTexture(node, currentRoot, fillBy = 'relation') {
+        if (currentRoot && node.id === currentRoot.id) {
+            return 'plain';
+        }
+        const key = fillBy === 'type' ? (node.relationType || 'support') : node.type;
+        return Config.encoding.textures[key] || 'plain';
+    }
+
     static adjustBrightness(hexColor, intensity) {
         const r = parseInt(hexColor.slice(1, 3), 16);
         const g = parseInt(hexColor.slice(3, 5), 16);
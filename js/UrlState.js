@@ -0,0 +1,63 @@
+/**
+ * URL State
+ * Encodes the open file or stored debate, zoom path, view, sizing and filters in the URL hash
+ */
+
+// Hash parameter for each filter field of SearchPanel
+const FILTER_PARAMS = {
+    query: 'q',
+    speaker: 'speaker',
+    type: 'type',
+    relationType: 'relation',
+    minIntensity: 'min',
+    maxIntensity: 'max',
+    mode: 'mode'
+};
+
+export class UrlState {
+    /**
+     * Parse a hash
+     * @param {string} hash - Location hash, with or without the leading '#'
+     * @returns {Object} file, local debate id, zoom path, view, sizing and filters; missing values are null
+     */
+    static parse(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const filters = {};
+        Object.entries(FILTER_PARAMS).forEach(([field, param]) => {
+            filters[field] = params.get(param);
+        });
+
+        return {
+            file: params.get('file'),
+            local: params.get('local'),
+            zoom: params.get('zoom'),
+            view: params.get('view'),
+            size: params.get('size'),
+            filters
+        };
+    }
+
+    /**
+     * Build a hash, leaving out empty values
+     * @param {Object} state - file, local debate id, zoom path, view, sizing and filters
+     * @returns {string} Hash with leading '#', or '' when there is nothing to encode
+     */
+    static build(state) {
+        const params = new URLSearchParams();
+        const set = (param, value) => {
+            if (value !== null && value !== undefined && value !== '') {
+                params.set(param, value);
+            }
+        };
+
+        set('file', state.file);
+        set('local', state.local);
+        set('zoom', state.zoom);
+        set('view', state.view);
+        set('size', state.size);
+        Object.entries(FILTER_PARAMS).forEach(([field, param]) => set(param, state.filters?.[field]));
+
+        const text = params.toString();
+        return text ? `#${text}` : '';
+    }
+}
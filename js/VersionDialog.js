@@ -0,0 +1,61 @@
+/**
+ * Version Dialog
+ * Lists the saved versions of a debate stored in the browser and restores one of them
+ */
+
+import { Markup } from './Markup.js';
+
+export class VersionDialog {
+    constructor(dialogId) {
+        this.dialog = document.getElementById(dialogId);
+        this.record = null;
+
+        this.onRestore = null;
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('versionClose').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Open the dialog for a stored debate
+     * @param {Object} record - Record from LocalStore
+     */
+    open(record) {
+        this.record = record;
+        document.getElementById('versionTitle').textContent = record.title;
+
+        const list = document.getElementById('versionList');
+        const latest = record.versions.length - 1;
+        // Newest first
+        list.innerHTML = record.versions.map((version, index) => `
+            <li class="version-item">
+                <span class="version-date">${new Date(version.date).toLocaleString('fa-IR')}</span>
+                <span class="version-note">${Markup.escape(version.note)} · ${version.nodes.length} گزاره</span>
+                ${index === latest
+                    ? '<span class="version-current">نسخه فعلی</span>'
+                    : `<button class="modal-btn version-restore" data-index="${index}">بازگردانی</button>`}
+            </li>
+        `).reverse().join('');
+
+        list.querySelectorAll('.version-restore').forEach(button => {
+            button.addEventListener('click', () => {
+                const version = this.record.versions[Number(button.dataset.index)];
+                const id = this.record.id;
+                this.close();
+                if (this.onRestore) {
+                    this.onRestore(id, version);
+                }
+            });
+        });
+
+        this.dialog.classList.add('visible');
+    }
+
+    close() {
+        this.dialog.classList.remove('visible');
+        this.record = null;
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * Entry point of the benchmark page
+ * Generates a large debate and times building the tree and drawing the sunburst,
+ * with culling of tiny and deep arcs switched on or off for comparison
+ */
+
+import { ArgumentEvaluator } from './ArgumentEvaluator.js';
+import { BenchmarkFixture } from './BenchmarkFixture.js';
+import { Config } from './config.js';
+import { D3Sunburst } from './D3Sunburst.js';
+import { Exporter } from './Exporter.js';
+import { TreeBuilder } from './TreeBuilder.js';
+
+const CULLING = { ...Config.performance };
+
+let chart = null;
+
+/**
+ * Wait until the browser has laid out and painted the last change
+ * @returns {Promise<void>}
+ */
+function nextPaint() {
+    return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)));
+}
+
+/**
+ * Time a step, including the paint it causes
+ * @param {Array<Object>} results - Rows to add the timing to
+ * @param {string} label - Name of the step
+ * @param {Function} step - Step to run, may return a note for the row
+ */
+async function measure(results, label, step) {
+    const start = performance.now();
+    const note = step();
+    await nextPaint();
+    results.push({ label, time: performance.now() - start, note: note || '' });
+}
+
+/**
+ * Size and seed of the generated debate from the form
+ * @returns {Object} count and seed
+ */
+function settings() {
+    return {
+        count: Math.max(10, Number(document.getElementById('benchmarkCount').value) || 5000),
+        seed: Number(document.getElementById('benchmarkSeed').value) || 1
+    };
+}
+
+/**
+ * Generate, build, draw and zoom the debate and list the timings
+ */
+async function run() {
+    const { count, seed } = settings();
+    const culling = document.getElementById('benchmarkCulling').checked;
+    Object.assign(Config.performance, culling ? CULLING : { maxDepth: Infinity, minMarkSize: 0 });
+
+    const results = [];
+    const marks = () => `${document.querySelectorAll('#benchmarkChart .chart-mark').length} کمان رسم شد`;
+
+    let nodes;
+    let tree;
+    await measure(results, 'ساخت داده', () => {
+        nodes = BenchmarkFixture.generate(count, { seed });
+        return `${nodes.length} گزاره`;
+    });
+    await measure(results, 'ساخت درخت', () => {
+        tree = TreeBuilder.buildTree(nodes);
+        let occurrences = 0;
+        let collapsed = 0;
+        TreeBuilder.collectOccurrences(tree).forEach(list => {
+            occurrences += list.length;
+            collapsed += list.filter(node => node.isCollapsed).length;
+        });
+        return `${occurrences} جایگاه در درخت${collapsed > 0 ? `، ${collapsed} ارجاع جمع‌شده` : ''}`;
+    });
+    await measure(results, 'ارزیابی', () => {
+        ArgumentEvaluator.annotate(tree, ArgumentEvaluator.evaluate(nodes));
+    });
+
+    if (chart) {
+        chart.destroy();
+    }
+    chart = new D3Sunburst('benchmarkChart');
+    // Time the drawing itself, not the zoom animation
+    chart.duration = 0;
+    chart.resize();
+
+    await measure(results, 'رسم نمودار', () => {
+        chart.render(tree);
+        return marks();
+    });
+    const largest = [...tree.children].sort((a, b) => b.children.length - a.children.length)[0];
+    if (largest) {
+        await measure(results, 'بزرگ‌نمایی', () => {
+            chart.zoomTo(largest);
+            return marks();
+        });
+        await measure(results, 'بازگشت', () => {
+            chart.zoomTo(tree);
+            return marks();
+        });
+    }
+    await measure(results, 'تغییر رنگ', () => {
+        chart.setColorMode('acceptability');
+    });
+
+    document.getElementById('benchmarkResults').innerHTML = results.map(row => `
+        <tr><td>${row.label}</td><td>${row.time.toFixed(1)}</td><td>${row.note}</td></tr>
+    `).join('');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const runButton = document.getElementById('benchmarkRun');
+    runButton.addEventListener('click', async () => {
+        runButton.disabled = true;
+        try {
+            await run();
+        } finally {
+            runButton.disabled = false;
+        }
+    });
+
+    document.getElementById('benchmarkDownload').addEventListener('click', () => {
+        const { count, seed } = settings();
+        const nodes = BenchmarkFixture.generate(count, { seed });
+        Exporter.download(JSON.stringify({ new_nodes: nodes }, null, 2), `benchmark-${count}.json`, 'application/json');
+    });
+});
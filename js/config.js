@@ -11,7 +11,170 @@ export const Config = {
         practical: '#7ED321',
         support: '#50C878',
         attack: '#E74C3C',
-        border: '#ffffff'
+        shared: '#8E44AD',
+        border: '#ffffff',
+        // Assigned to speakers in order of activity when colouring by speaker
+        speakers: ['#4A90E2', '#E67E22', '#16A085', '#C0392B', '#E84393', '#2C3E50', '#D4AC0D', '#7F8C8D'],
+        unknownSpeaker: '#BDC3C7'
+    },
+
+    // ==================== Encoding ====================
+    // Relation type and node type are shown together: one drives the fill colour, the
+    // other the texture drawn over it. The toolbar toggle swaps the two.
+    encoding: {
+        // 'relation' fills by support/attack and textures by node type; 'type' the reverse
+        defaultFill: 'relation',
+        // Texture of each node or relation type: 'plain', 'hatch' or 'dots'
+        textures: {
+            foundational: 'plain',
+            practical: 'hatch',
+            support: 'plain',
+            attack: 'hatch'
+        },
+        // Fill of the texture swatches in the legend
+        neutral: '#A0AAB4',
+        // Pattern cell size, line width and ink of the textures
+        patternSize: 7,
+        patternWidth: 2,
+        patternColor: 'rgba(255, 255, 255, 0.6)'
+    },
+
+    // ==================== Shared Nodes ====================
+    // Nodes with several parents appear once under each parent
+    shared: {
+        strokeWidth: 2,
+        dashArray: '6 3'
+    },
+
+    // ==================== Schema ====================
+    schema: {
+        nodeTypes: ['thesis', 'foundational', 'practical'],
+        relationTypes: ['support', 'attack']
+    },
+
+    // ==================== Validation ====================
+    validation: {
+        // Allowed number of words in a node title
+        titleWords: {
+            min: 3,
+            max: 8
+        }
+    },
+
+    // ==================== Import ====================
+    import: {
+        // Type of imported claims when the source format does not tell foundational from practical
+        defaultType: 'foundational'
+    },
+
+    // ==================== Evaluation ====================
+    evaluation: {
+        // 'weighted-sum', 'df-quad' or 'grounded'
+        defaultSemantics: 'df-quad',
+
+        // Starting score of the thesis, neutral so only arguments decide the verdict
+        thesisBase: 0.5,
+
+        // How far the support/attack balance can move a weighted-sum score
+        weightedSumFactor: 0.5,
+
+        // Gradual scores at or beyond these count as accepted / rejected
+        thresholds: {
+            accept: 0.6,
+            reject: 0.4
+        }
+    },
+
+    // ==================== Library ====================
+    library: {
+        // Debates listed in the sidebar, with their titles, tags and sizes
+        manifest: 'json/files.json'
+    },
+
+    // ==================== Local Storage ====================
+    storage: {
+        // IndexedDB database for uploaded and edited debates
+        database: 'debate-visualizer',
+        // Versions kept per debate; older ones are dropped
+        maxVersions: 30,
+        // Edits within this many milliseconds are saved as one version
+        saveDelay: 1000
+    },
+
+    // ==================== Search ====================
+    search: {
+        // Hits listed under the search box
+        maxResults: 30
+    },
+
+    // ==================== Transcript ====================
+    transcript: {
+        // Folder and extensions tried for the transcript of a listed debate,
+        // e.g. json/hijab.json → input/hijab.md
+        folder: 'input/',
+        extensions: ['md', 'txt']
+    },
+
+    // ==================== Prompt Builder ====================
+    prompt: {
+        // Token budget of one transcript chunk
+        chunkTokens: 3000,
+
+        // Characters per token used for the rough estimate
+        charsPerToken: {
+            persian: 2.5,
+            other: 4
+        }
+    },
+
+    // ==================== Extraction ====================
+    extraction: {
+        // Backend selected when the prompt builder opens
+        defaultBackend: 'openai',
+
+        // Endpoints the rendered prompt can be sent to; every 'openai-compatible'
+        // backend is called at <baseUrl>/chat/completions
+        backends: {
+            'openai': {
+                label: 'OpenAI',
+                type: 'openai-compatible',
+                baseUrl: 'https://api.openai.com/v1',
+                model: 'gpt-4o-mini'
+            },
+            'ollama': {
+                label: 'Ollama (محلی)',
+                type: 'openai-compatible',
+                baseUrl: 'http://localhost:11434/v1',
+                model: 'qwen2.5:14b'
+            },
+            'llama.cpp': {
+                label: 'llama.cpp (محلی)',
+                type: 'openai-compatible',
+                baseUrl: 'http://localhost:8080/v1',
+                model: 'local'
+            },
+            'mock': {
+                label: 'پاسخ‌های آماده (آزمایشی)',
+                type: 'mock',
+                // Files served in turn as the response to each chunk: the hijab debate, then a
+                // batch that re-scores one of its claims and adds three that build on it
+                responses: ['json/hijab.json', 'json/batches/hijab-2.json']
+            }
+        },
+
+        temperature: 0
+    },
+
+    // ==================== Compare ====================
+    compare: {
+        // Smallest change of intensity or confidence reported as re-scored
+        scoreThreshold: 0.05
+    },
+
+    // ==================== Editor ====================
+    editor: {
+        // Number of undo steps kept in memory
+        historyLimit: 100
     },
 
     // ==================== Border Configuration ====================
@@ -35,9 +198,6 @@ export const Config = {
         viewBoxWidth: 1200,
         viewBoxHeight: 1200,
 
-        // Center scale for arc generation (default, adjusted dynamically based on depth)
-        defaultCenterScale: 0.6,
-
         // Maximum radius for center node as fraction of total radius
         maxCenterRadius: 0.4,
 
@@ -45,7 +205,66 @@ export const Config = {
         radiusPadding: 5,
 
         // Minimum radius to render
-        minRadius: 10
+        minRadius: 10,
+
+        // Arc labels: fewest characters worth showing, and thinnest ring (px) that gets one
+        labelMinChars: 4,
+        labelMinThickness: 14,
+
+        // Root title in the centre: line height (px) and most lines
+        centerLineHeight: 16,
+        centerMaxLines: 4
+    },
+
+    // ==================== Sizing ====================
+    sizing: {
+        // How siblings share their parent's angle (sunburst) or height (icicle):
+        // 'equal', 'intensity', 'confidence', 'subtree-size' or 'subtree-weight'
+        defaultMode: 'equal',
+        // Smallest weight of a claim under 'intensity' or 'confidence', so a score of 0 still gets a share
+        minWeight: 0.05,
+        // Smallest angle of a sunburst arc in radians (about 2 degrees)
+        minAngle: 0.035,
+        // Smallest height of an icicle cell in pixels
+        minHeight: 12
+    },
+
+    // ==================== Layouts ====================
+    layouts: {
+        // View shown on start: 'sunburst', 'icicle', 'tree-rtl', 'tree-ltr' or 'force'
+        defaultView: 'sunburst',
+
+        // Mouse wheel scale range for the tree and force views
+        panZoomExtent: [0.2, 4],
+
+        // Space around fitted drawings and approximate label character width
+        padding: 20,
+        charWidth: 7,
+
+        tree: {
+            rowHeight: 28,
+            columnWidth: 240,
+            nodeRadius: 6,
+            labelLength: 30
+        },
+
+        icicle: {
+            gap: 2,
+            minLabelHeight: 14
+        },
+
+        force: {
+            linkDistance: 60,
+            charge: -160,
+            ticks: 300,
+            nodeRadius: {
+                min: 5,
+                max: 12
+            },
+            // Only nodes this close to the root get a label
+            labelDepth: 1,
+            labelLength: 24
+        }
     },
 
     // ==================== Padding & Spacing ====================
@@ -70,9 +289,49 @@ export const Config = {
         exponentDepthThreshold: 3
     },
 
+    // ==================== Export ====================
+    export: {
+        // Band above the chart and height of each legend row below it in exported images
+        headerHeight: 60,
+        legendHeight: 50,
+        legendItemWidth: 130,
+
+        // Pixel density of PNG exports
+        pngScale: 2,
+
+        // Stylesheet whose font files are embedded into SVG exports
+        fontCssUrl: 'https://fonts.googleapis.com/css2?family=Vazirmatn:wght@300;400;500;600;700&display=swap'
+    },
+
     // ==================== Animation ====================
     animation: {
         // Delay after showing chart before forcing resize
-        resizeDelay: 50
+        resizeDelay: 50,
+        // Duration of zoom transitions in the sunburst (ms)
+        zoomDuration: 750,
+        // Fade-in of the sunburst labels after a transition (ms)
+        labelFade: 200,
+        // Duration of the transition between sizing modes (ms)
+        sizingDuration: 600
+    },
+
+    // ==================== Performance ====================
+    performance: {
+        // Levels drawn below the current root; deeper claims are reached by zooming in
+        maxDepth: 8,
+        // Marks thinner than this many pixels are not drawn, nor anything below them;
+        // zooming in brings them back
+        minMarkSize: 1.5,
+        // Drawings with more marks than this move to their new place without animation
+        maxAnimatedMarks: 1500,
+        // Tree nodes built before shared claims stop repeating their subtree: past this,
+        // a claim already unfolded elsewhere is shown as a collapsed reference
+        maxOccurrences: 20000
+    },
+
+    // ==================== Debug ====================
+    debug: {
+        // Trace logging to the console; '?debug' in the page address also turns it on
+        logging: false
     }
 };
\ No newline at end of file